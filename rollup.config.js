@@ -1,21 +1,64 @@
-export default {
-  input: 'src/index.js',
-  output: [
-    {
-      file: 'dist/smart-form-predictor.cjs.js',
-      format: 'cjs',
-      sourcemap: true
-    },
-    {
-      file: 'dist/smart-form-predictor.esm.js',
-      format: 'esm',
-      sourcemap: true
-    },
-    {
-      file: 'dist/smart-form-predictor.umd.js',
-      format: 'umd',
-      name: 'SmartFormPredictor',
-      sourcemap: true
-    }
-  ]
-};
\ No newline at end of file
+export default [
+  {
+    input: 'src/index.js',
+    output: [
+      {
+        file: 'dist/smart-form-predictor.cjs.js',
+        format: 'cjs',
+        sourcemap: true
+      },
+      {
+        file: 'dist/smart-form-predictor.esm.js',
+        format: 'esm',
+        sourcemap: true
+      },
+      {
+        file: 'dist/smart-form-predictor.umd.js',
+        format: 'umd',
+        name: 'SmartFormPredictor',
+        sourcemap: true
+      }
+    ]
+  },
+  {
+    input: 'src/adapters/vue.js',
+    output: [
+      {
+        file: 'dist/adapters/vue.cjs.js',
+        format: 'cjs',
+        sourcemap: true
+      },
+      {
+        file: 'dist/adapters/vue.esm.js',
+        format: 'esm',
+        sourcemap: true
+      }
+    ]
+  },
+  {
+    input: 'src/adapters/react.js',
+    external: ['react'],
+    output: [
+      {
+        file: 'dist/adapters/react.cjs.js',
+        format: 'cjs',
+        sourcemap: true
+      },
+      {
+        file: 'dist/adapters/react.esm.js',
+        format: 'esm',
+        sourcemap: true
+      }
+    ]
+  },
+  {
+    input: 'src/worker.js',
+    output: [
+      {
+        file: 'dist/smart-form-predictor.worker.js',
+        format: 'iife',
+        sourcemap: true
+      }
+    ]
+  }
+];
@@ -1,3 +1,5 @@
+import { Environment } from './Environment.js';
+
 /**
  * 跨会话学习类
  * Cross Session Learner
@@ -5,8 +7,10 @@
 export class CrossSessionLearner {
   /**
    * 构造函数
+   * @param {Environment} environment - 运行环境（时钟）
    */
-  constructor() {
+  constructor(environment = new Environment()) {
+    this.environment = environment;
     this.userProfile = {};
   }
   
@@ -96,7 +100,7 @@ export class CrossSessionLearner {
   extractTemporalPatterns(sessions) {
     return sessions.reduce((patterns, session) => {
       // 分析填写时间模式
-      const timestamp = session.timestamp || Date.now();
+      const timestamp = session.timestamp || this.environment.now();
       const date = new Date(timestamp);
       
       // 按小时分析
@@ -0,0 +1,442 @@
+// 特征缺失时使用的分支值
+const MISSING = '';
+
+/**
+ * 创建以取值或标签为键的表
+ * 没有原型，"constructor"、"__proto__" 等取值不会与Object.prototype的成员冲突
+ * @param {Object} source - 复制的初始内容
+ * @returns {Object} 表
+ */
+function createTable(source = {}) {
+  return Object.assign(Object.create(null), source);
+}
+
+/**
+ * 决策树类
+ * Decision Tree
+ *
+ * ID3风格的分类树，用于 country、department、plan 等取值有限的字段。
+ * 按其他字段的取值做多路划分，每次选择信息增益最大的字段；样本过少的分支不单独建立，
+ * 这类取值在预测时使用父节点的分布，从而避免按姓名、邮箱等几乎唯一的字段划分。
+ *
+ * 叶节点保存各特征取值下的标签计数，增量训练时据此计算信息增益并继续划分，不需要保留样本；
+ * 新建的叶节点只统计之后到达的样本，因此增量生长的树与在全部样本上重新训练的结果可能不同。
+ */
+export class DecisionTree {
+  /**
+   * 构造函数
+   * @param {Object} options - 选项
+   * @param {number} options.maxDepth - 最大深度
+   * @param {number} options.minSamplesSplit - 继续划分所需的最少样本数
+   * @param {number} options.minSamplesLeaf - 建立分支所需的最少样本数
+   */
+  constructor(options = {}) {
+    this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : 5;
+    this.minSamplesSplit = options.minSamplesSplit !== undefined ? options.minSamplesSplit : 4;
+    this.minSamplesLeaf = options.minSamplesLeaf !== undefined ? options.minSamplesLeaf : 2;
+    
+    // 内部节点 { distribution: { 标签: 次数 }, count, feature, children: { 取值: 节点 }, pending: { 取值: { 标签: 次数 } } }
+    // 叶节点 { distribution, count, observed: { 标签: 次数 }, stats: { 特征: { 取值: { 标签: 次数 } } } }
+    // pending记录尚未达到minSamplesLeaf、没有建立分支的取值；observed为stats中统计过的样本
+    this.root = null;
+  }
+  
+  /**
+   * 训练决策树
+   * @param {Array<Object>} features - 特征 [{ fieldName: value }]
+   * @param {Array} labels - 标签
+   * @returns {DecisionTree} 当前实例
+   */
+  fit(features, labels) {
+    const samples = [];
+    const featureNames = new Set();
+    
+    labels.forEach((label, index) => {
+      if (label === null || label === undefined || label.toString() === '') return;
+      const x = features[index] || {};
+      Object.keys(x).forEach(name => featureNames.add(name));
+      samples.push({ x, y: label.toString() });
+    });
+    
+    this.root = samples.length > 0 ? this._build(samples, Array.from(featureNames).sort(), 0) : null;
+    return this;
+  }
+  
+  /**
+   * 增量训练：沿决策路径更新各节点的分布，在叶节点累计统计量并在满足条件时划分
+   * 耗时只与树的深度和特征数有关
+   * @param {Object} features - 特征 { fieldName: value }
+   * @param {any} label - 标签
+   * @returns {DecisionTree} 当前实例
+   */
+  partialFit(features, label) {
+    if (label === null || label === undefined || label.toString() === '') return this;
+    
+    const x = features || {};
+    const y = label.toString();
+    if (!this.root) {
+      this.root = this._createLeaf({});
+    }
+    
+    const used = new Set();
+    let node = this.root;
+    let depth = 0;
+    
+    while (true) {
+      node.count++;
+      node.distribution[y] = (node.distribution[y] || 0) + 1;
+      if (!node.feature) break;
+      
+      used.add(node.feature);
+      const value = this._getValue(x, node.feature);
+      if (node.children[value]) {
+        node = node.children[value];
+        depth++;
+        continue;
+      }
+      
+      // 该取值还没有分支，样本数达到minSamplesLeaf时建立新的叶节点
+      const counts = node.pending[value] || createTable();
+      counts[y] = (counts[y] || 0) + 1;
+      node.pending[value] = counts;
+      
+      const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+      if (total >= this.minSamplesLeaf) {
+        node.children[value] = this._createLeaf(counts);
+        delete node.pending[value];
+      }
+      return this;
+    }
+    
+    this._observe(node, x, y, used);
+    this._splitLeaf(node, depth);
+    return this;
+  }
+  
+  /**
+   * 预测标签的概率分布
+   * 沿与特征取值一致的分支向下，遇到没有建立分支的取值时停在当前节点
+   * @param {Object} features - 特征 { fieldName: value }
+   * @returns {Object} { probabilities: [{ value, probability }], path: [{ feature, value }], count }
+   */
+  predict(features) {
+    if (!this.root) {
+      return { probabilities: [], path: [], count: 0 };
+    }
+    
+    const path = [];
+    let node = this.root;
+    
+    while (node.feature) {
+      const value = this._getValue(features || {}, node.feature);
+      const child = node.children[value];
+      if (!child) break;
+      
+      path.push({ feature: node.feature, value });
+      node = child;
+    }
+    
+    const probabilities = Object.entries(node.distribution)
+      .map(([value, count]) => ({ value, probability: count / node.count }))
+      .sort((a, b) => b.probability - a.probability || (a.value < b.value ? -1 : 1));
+    
+    return { probabilities, path, count: node.count };
+  }
+  
+  /**
+   * 生成可读的预测依据
+   * 例如：country = "FR" → plan = "pro" → Paris (80% of 5 submissions)
+   * @param {Object} features - 特征 { fieldName: value }
+   * @returns {string|null} 预测依据，未训练时返回null
+   */
+  explain(features) {
+    const { probabilities, path, count } = this.predict(features);
+    if (probabilities.length === 0) return null;
+    
+    const steps = path.map(({ feature, value }) => {
+      return value === MISSING ? `${feature} is empty` : `${feature} = "${value}"`;
+    });
+    const [best] = probabilities;
+    steps.push(`${best.value} (${Math.round(best.probability * 100)}% of ${count} submissions)`);
+    
+    return steps.join(' → ');
+  }
+  
+  /**
+   * 序列化模型
+   * @returns {Object} 可JSON序列化的对象
+   */
+  toJSON() {
+    return {
+      maxDepth: this.maxDepth,
+      minSamplesSplit: this.minSamplesSplit,
+      minSamplesLeaf: this.minSamplesLeaf,
+      root: this.root
+    };
+  }
+  
+  /**
+   * 从序列化数据恢复模型
+   * @param {Object} data - toJSON()的结果
+   * @returns {DecisionTree} 模型实例
+   */
+  static fromJSON(data) {
+    const tree = new DecisionTree({
+      maxDepth: data.maxDepth,
+      minSamplesSplit: data.minSamplesSplit,
+      minSamplesLeaf: data.minSamplesLeaf
+    });
+    tree.root = tree._restoreNode(data.root);
+    return tree;
+  }
+  
+  /**
+   * 把反序列化得到的节点中以取值或标签为键的表恢复为没有原型的表
+   * @param {Object|null} node - 节点
+   * @returns {Object|null} 恢复后的节点
+   */
+  _restoreNode(node) {
+    if (!node) return null;
+    
+    const restored = { ...node, distribution: createTable(node.distribution) };
+    if (node.feature) {
+      restored.children = createTable();
+      Object.entries(node.children).forEach(([value, child]) => {
+        restored.children[value] = this._restoreNode(child);
+      });
+      restored.pending = createTable();
+      Object.entries(node.pending).forEach(([value, counts]) => {
+        restored.pending[value] = createTable(counts);
+      });
+    } else {
+      restored.observed = createTable(node.observed);
+      restored.stats = createTable();
+      Object.entries(node.stats).forEach(([feature, table]) => {
+        restored.stats[feature] = createTable();
+        Object.entries(table).forEach(([value, counts]) => {
+          restored.stats[feature][value] = createTable(counts);
+        });
+      });
+    }
+    return restored;
+  }
+  
+  /**
+   * 递归建立节点
+   * @param {Array<Object>} samples - 样本 [{ x, y }]
+   * @param {Array<string>} featureNames - 尚未使用的特征
+   * @param {number} depth - 当前深度
+   * @returns {Object} 节点
+   */
+  _build(samples, featureNames, depth) {
+    const distribution = this._countLabels(samples);
+    const tables = createTable();
+    featureNames.forEach(feature => {
+      tables[feature] = createTable();
+      for (const [value, group] of this._partition(samples, feature).entries()) {
+        tables[feature][value] = this._countLabels(group);
+      }
+    });
+    
+    const feature = this._canSplit(distribution, samples.length, depth) ?
+      this._findBestSplit(tables, distribution, samples.length) : null;
+    
+    if (!feature) {
+      return { distribution, count: samples.length, observed: createTable(distribution), stats: tables };
+    }
+    
+    const remaining = featureNames.filter(name => name !== feature);
+    const node = { distribution, count: samples.length, feature, children: createTable(), pending: createTable() };
+    
+    for (const [value, group] of this._partition(samples, feature).entries()) {
+      if (group.length >= this.minSamplesLeaf) {
+        node.children[value] = this._build(group, remaining, depth + 1);
+      } else {
+        node.pending[value] = this._countLabels(group);
+      }
+    }
+    
+    return node;
+  }
+  
+  /**
+   * 创建叶节点
+   * @param {Object} distribution - 标签计数
+   * @returns {Object} 叶节点，统计量从之后到达的样本开始累计
+   */
+  _createLeaf(distribution) {
+    const count = Object.values(distribution).reduce((sum, value) => sum + value, 0);
+    return { distribution: createTable(distribution), count, observed: createTable(), stats: createTable() };
+  }
+  
+  /**
+   * 在叶节点的统计量中计入一个样本
+   * @param {Object} leaf - 叶节点
+   * @param {Object} x - 特征
+   * @param {string} y - 标签
+   * @param {Set<string>} used - 决策路径上已使用的特征
+   */
+  _observe(leaf, x, y, used) {
+    // 新出现的特征：之前统计过的样本都缺少该特征
+    Object.keys(x).forEach(feature => {
+      if (!used.has(feature) && !leaf.stats[feature]) {
+        leaf.stats[feature] = createTable();
+        if (Object.keys(leaf.observed).length > 0) {
+          leaf.stats[feature][MISSING] = createTable(leaf.observed);
+        }
+      }
+    });
+    
+    Object.keys(leaf.stats).forEach(feature => {
+      const value = this._getValue(x, feature);
+      const counts = leaf.stats[feature][value] || createTable();
+      counts[y] = (counts[y] || 0) + 1;
+      leaf.stats[feature][value] = counts;
+    });
+    
+    leaf.observed[y] = (leaf.observed[y] || 0) + 1;
+  }
+  
+  /**
+   * 按叶节点的统计量划分叶节点
+   * @param {Object} leaf - 叶节点
+   * @param {number} depth - 叶节点的深度
+   */
+  _splitLeaf(leaf, depth) {
+    const observed = Object.values(leaf.observed).reduce((sum, count) => sum + count, 0);
+    if (!this._canSplit(leaf.observed, observed, depth)) return;
+    
+    const feature = this._findBestSplit(leaf.stats, leaf.observed, observed);
+    if (!feature) return;
+    
+    const table = leaf.stats[feature];
+    leaf.feature = feature;
+    leaf.children = createTable();
+    leaf.pending = createTable();
+    delete leaf.observed;
+    delete leaf.stats;
+    
+    for (const [value, counts] of Object.entries(table)) {
+      const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+      if (total >= this.minSamplesLeaf) {
+        leaf.children[value] = this._createLeaf(counts);
+      } else {
+        leaf.pending[value] = counts;
+      }
+    }
+  }
+  
+  /**
+   * 判断节点是否允许继续划分
+   * @param {Object} distribution - 标签计数
+   * @param {number} count - 样本数
+   * @param {number} depth - 节点深度
+   * @returns {boolean} 是否允许划分
+   */
+  _canSplit(distribution, count, depth) {
+    return depth < this.maxDepth &&
+      count >= this.minSamplesSplit &&
+      Object.keys(distribution).length > 1;
+  }
+  
+  /**
+   * 选择信息增益最大的特征，增益相同时取名称靠前的，保证结果确定
+   * @param {Object} tables - 各特征的计数表 { 特征: { 取值: { 标签: 次数 } } }
+   * @param {Object} distribution - 划分前的标签计数
+   * @param {number} count - 划分前的样本数
+   * @returns {string|null} 特征名，没有正增益时返回null
+   */
+  _findBestSplit(tables, distribution, count) {
+    const entropy = this._entropy(distribution, count);
+    let best = null;
+    
+    Object.keys(tables).sort().forEach(feature => {
+      const gain = this._informationGain(tables[feature], count, entropy);
+      if (gain > 1e-9 && (!best || gain > best.gain)) {
+        best = { feature, gain };
+      }
+    });
+    
+    return best ? best.feature : null;
+  }
+  
+  /**
+   * 计算按某个特征划分的信息增益
+   * 样本数不足minSamplesLeaf的分支不会建立，其中的样本视为未划分
+   * @param {Object} table - 该特征的计数表 { 取值: { 标签: 次数 } }
+   * @param {number} count - 划分前的样本数
+   * @param {number} entropy - 划分前的熵
+   * @returns {number} 信息增益
+   */
+  _informationGain(table, count, entropy) {
+    let remainder = 0;
+    let unsplit = 0;
+    
+    Object.values(table).forEach(counts => {
+      const total = Object.values(counts).reduce((sum, value) => sum + value, 0);
+      if (total >= this.minSamplesLeaf) {
+        remainder += total / count * this._entropy(counts, total);
+      } else {
+        unsplit += total;
+      }
+    });
+    
+    remainder += unsplit / count * entropy;
+    return entropy - remainder;
+  }
+  
+  /**
+   * 按特征取值对样本分组
+   * @param {Array<Object>} samples - 样本
+   * @param {string} feature - 特征
+   * @returns {Map<string, Array<Object>>} 取值 -> 样本
+   */
+  _partition(samples, feature) {
+    const groups = new Map();
+    samples.forEach(sample => {
+      const value = this._getValue(sample.x, feature);
+      if (!groups.has(value)) {
+        groups.set(value, []);
+      }
+      groups.get(value).push(sample);
+    });
+    return groups;
+  }
+  
+  /**
+   * 统计标签出现次数
+   * @param {Array<Object>} samples - 样本
+   * @returns {Object} { 标签: 次数 }
+   */
+  _countLabels(samples) {
+    const counts = createTable();
+    samples.forEach(({ y }) => {
+      counts[y] = (counts[y] || 0) + 1;
+    });
+    return counts;
+  }
+  
+  /**
+   * 计算熵
+   * @param {Object} counts - 标签计数
+   * @param {number} total - 样本数
+   * @returns {number} 熵（比特）
+   */
+  _entropy(counts, total) {
+    return Object.values(counts).reduce((sum, count) => {
+      const p = count / total;
+      return sum - p * Math.log2(p);
+    }, 0);
+  }
+  
+  /**
+   * 读取特征取值，缺失时为MISSING
+   * @param {Object} features - 特征
+   * @param {string} feature - 特征名
+   * @returns {string} 取值
+   */
+  _getValue(features, feature) {
+    const value = Object.prototype.hasOwnProperty.call(features, feature) ? features[feature] : undefined;
+    return value === null || value === undefined ? MISSING : value.toString();
+  }
+}
@@ -0,0 +1,97 @@
+import { MemoryStorage } from './MemoryStorage.js';
+
+/**
+ * 运行环境类
+ * Runtime Environment
+ *
+ * 集中提供时钟、设备类型和存储后端，使核心逻辑不依赖浏览器全局对象
+ */
+export class Environment {
+  /**
+   * 构造函数
+   * @param {Object} options - 环境选项
+   * @param {Function} options.now - 返回当前时间戳（毫秒）的函数
+   * @param {string} options.deviceType - 设备类型，未提供时根据navigator检测
+   * @param {Object} options.storage - 实现Web Storage接口的存储后端
+   */
+  constructor(options = {}) {
+    this._now = typeof options.now === 'function' ? options.now : () => Date.now();
+    this.deviceType = options.deviceType || null;
+    this.storage = options.storage || Environment.detectStorage();
+  }
+  
+  /**
+   * 获取当前时间戳
+   * @returns {number} 时间戳（毫秒）
+   */
+  now() {
+    return this._now();
+  }
+  
+  /**
+   * 获取当前日期
+   * @returns {Date} 日期对象
+   */
+  getDate() {
+    return new Date(this.now());
+  }
+  
+  /**
+   * 获取设备类型
+   * @returns {string} 设备类型
+   */
+  getDeviceType() {
+    if (this.deviceType) return this.deviceType;
+    
+    if (typeof navigator === 'undefined') {
+      return 'server';
+    }
+    
+    const userAgent = navigator.userAgent || navigator.vendor ||
+      (typeof window !== 'undefined' ? window.opera : '') || '';
+    
+    // 检测移动设备
+    if (/android/i.test(userAgent)) {
+      return 'android';
+    }
+    
+    if (/iPad|iPhone|iPod/.test(userAgent) && !(typeof window !== 'undefined' && window.MSStream)) {
+      return 'ios';
+    }
+    
+    // 检测桌面设备
+    if (/Win/.test(userAgent)) {
+      return 'windows';
+    }
+    
+    if (/Mac/.test(userAgent)) {
+      return 'mac';
+    }
+    
+    if (/Linux/.test(userAgent)) {
+      return 'linux';
+    }
+    
+    return 'desktop';
+  }
+  
+  /**
+   * 检测可用的存储后端
+   * 浏览器中使用localStorage，不可用时退回到内存存储
+   * @returns {Object} 存储后端
+   */
+  static detectStorage() {
+    try {
+      if (typeof localStorage !== 'undefined' && localStorage !== null) {
+        const testKey = '__storage_test__';
+        localStorage.setItem(testKey, testKey);
+        localStorage.removeItem(testKey);
+        return localStorage;
+      }
+    } catch (e) {
+      // 隐私模式等情况下localStorage不可写
+    }
+    
+    return new MemoryStorage();
+  }
+}
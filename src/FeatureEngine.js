@@ -1,3 +1,18 @@
+import { Environment } from './Environment.js';
+import { FieldSemantics } from './FieldSemantics.js';
+
+// 两次按键间隔超过该值（毫秒）视为停顿，不计入打字速度
+const TYPING_PAUSE = 1000;
+
+// 计算打字速度时使用的最近按键间隔数
+const RECENT_INTERVALS = 10;
+
+// 上次修正之后至少连续按下这么多字符键，才认为用户在有把握地输入
+const CONFIDENT_KEYSTROKES = 5;
+
+// 保留的焦点访问记录数
+const FOCUS_HISTORY_LIMIT = 200;
+
 /**
  * 特征工程类
  * Feature Engineering Engine
@@ -5,11 +20,16 @@
 export class FeatureEngine {
   /**
    * 构造函数
+   * @param {Environment} environment - 运行环境（时钟、设备类型）
+   * @param {FieldSemantics} semantics - 字段语义解析器
    */
-  constructor() {
+  constructor(environment = new Environment(), semantics = new FieldSemantics()) {
+    this.environment = environment;
+    this.semantics = semantics;
+    
     // 初始化时间跟踪
-    this.typingStartTimes = new Map();
-    this.fieldEntryTimes = new Map();
+    this.typingSessions = new Map(); // 字段名 -> 本次获得焦点以来的按键和输入记录
+    this.focusHistory = []; // 焦点访问记录 [{ name, scope, focusTime, blurTime }]，按获得焦点的先后排列
   }
   
   /**
@@ -20,10 +40,13 @@ export class FeatureEngine {
    * @returns {Object} 特征对象
    */
   extractFeatures(field, formState, userContext = {}) {
+    const fieldSemantics = this.semantics.resolve(field);
+    
     const features = {
       // 表单上下文特征
       formContext: {
         filledFields: this.getFilledFields(formState),
+        fieldValues: this.getFieldValues(formState),
         fieldSequence: this.getFieldSequence(formState),
         timeSpent: this.getTimeSpentPerField(formState)
       },
@@ -32,13 +55,17 @@ export class FeatureEngine {
       userBehavior: {
         typingSpeed: this.calculateTypingSpeed(field),
         correctionPattern: this.getCorrectionPattern(field),
-        hesitationTime: this.getHesitationTime(field)
+        hesitationTime: this.getHesitationTime(field),
+        inputMethod: this.getInputMethod(field)
       },
       
       // 语义特征
       semantic: {
-        fieldCategory: this.categorizeField(field),
-        expectedFormat: this.detectExpectedFormat(field),
+        fieldCategory: fieldSemantics.category,
+        expectedFormat: fieldSemantics.format,
+        autocompleteToken: fieldSemantics.token,
+        addressType: fieldSemantics.addressType,
+        section: fieldSemantics.section,
         relationshipStrength: this.getRelationshipStrength(field, formState)
       },
       
@@ -66,17 +93,42 @@ export class FeatureEngine {
     });
   }
   
+  /**
+   * 获取已填充字段的值，作为字段预测模型的特征
+   * @param {Object} formState - 表单状态
+   * @returns {Object} 字段值 { fieldName: value }
+   */
+  getFieldValues(formState) {
+    const values = {};
+    this.getFilledFields(formState).forEach(fieldName => {
+      values[fieldName] = formState[fieldName].value;
+    });
+    return values;
+  }
+  
   /**
    * 获取字段填写顺序
    * @param {Object} formState - 表单状态
    * @returns {Array} 字段顺序列表
    */
   getFieldSequence(formState) {
-    // 简化实现，实际应基于焦点变化历史
-    return Object.keys(formState).filter(fieldName => {
+    // 按第一次获得焦点的先后排列表单中的字段
+    const sequence = [];
+    this.focusHistory.forEach(visit => {
+      if (visit.name in formState && !sequence.includes(visit.name)) {
+        sequence.push(visit.name);
+      }
+    });
+    
+    // 没有获得过焦点但已有值的字段（如自动填充）按表单中的顺序排在最后
+    Object.keys(formState).forEach(fieldName => {
       const field = formState[fieldName];
-      return field.focused || (field.value && field.value.toString().trim() !== '');
+      if (!sequence.includes(fieldName) && (field.focused || (field.value && field.value.toString().trim() !== ''))) {
+        sequence.push(fieldName);
+      }
     });
+    
+    return sequence;
   }
   
   /**
@@ -87,10 +139,17 @@ export class FeatureEngine {
   getTimeSpentPerField(formState) {
     const timeSpent = {};
     
+    // 累加每次获得焦点的停留时间，字段可能被多次访问
+    const currentTime = this.environment.now();
+    this.focusHistory.forEach(visit => {
+      if (visit.name in formState) {
+        timeSpent[visit.name] = (timeSpent[visit.name] || 0) + this._getDwellTime(visit, currentTime);
+      }
+    });
+    
     for (const [fieldName, field] of Object.entries(formState)) {
-      if (field.focusStartTime) {
+      if (!(fieldName in timeSpent) && field.focusStartTime) {
         const startTime = parseInt(field.focusStartTime);
-        const currentTime = Date.now();
         timeSpent[fieldName] = currentTime - startTime;
       }
     }
@@ -98,19 +157,141 @@ export class FeatureEngine {
     return timeSpent;
   }
   
+  /**
+   * 记录字段获得焦点，开始新的焦点访问和输入记录
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述或字段名
+   * @param {string|null} scope - 表单作用域
+   */
+  recordFocus(field, scope = null) {
+    const now = this.environment.now();
+    const fieldName = this._getFieldName(field);
+    
+    // 没有收到失去焦点事件的访问在此结束
+    this.focusHistory.forEach(visit => {
+      if (visit.blurTime === null) visit.blurTime = now;
+    });
+    
+    this.focusHistory.push({ name: fieldName, scope: scope, focusTime: now, blurTime: null });
+    if (this.focusHistory.length > FOCUS_HISTORY_LIMIT) {
+      this.focusHistory.shift();
+    }
+    
+    const session = this._createTypingSession(now);
+    session.length = this._getValueLength(field);
+    this.typingSessions.set(fieldName, session);
+  }
+  
+  /**
+   * 记录字段失去焦点，结束该字段的焦点访问
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述或字段名
+   * @param {string|null} scope - 表单作用域
+   */
+  recordBlur(field, scope = null) {
+    const fieldName = this._getFieldName(field);
+    const visit = this.focusHistory.find(item =>
+      item.name === fieldName && item.scope === scope && item.blurTime === null);
+    
+    if (visit) {
+      visit.blurTime = this.environment.now();
+    }
+  }
+  
+  /**
+   * 获取表单的焦点访问顺序和停留时间
+   * @param {string|null} scope - 表单作用域
+   * @returns {Array<Object>} 按访问先后排列 [{ name, dwell }]，dwell为停留时间（毫秒）
+   */
+  getFocusSequence(scope = null) {
+    const currentTime = this.environment.now();
+    return this.focusHistory
+      .filter(visit => visit.scope === scope)
+      .map(visit => ({ name: visit.name, dwell: this._getDwellTime(visit, currentTime) }));
+  }
+  
+  /**
+   * 清除表单的焦点访问记录，通常在提交之后调用
+   * @param {string|null} scope - 表单作用域
+   */
+  clearFocusHistory(scope = null) {
+    this.focusHistory = this.focusHistory.filter(visit => visit.scope !== scope);
+  }
+  
+  /**
+   * 记录一次按键
+   * 只统计字符键和删除键，方向键、修饰键等不影响打字节奏
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述或字段名
+   * @param {string} key - KeyboardEvent.key
+   */
+  recordKeystroke(field, key) {
+    const isDeletion = key === 'Backspace' || key === 'Delete';
+    if (typeof key !== 'string' || (key.length !== 1 && !isDeletion)) return;
+    
+    const session = this._getTypingSession(field);
+    const now = this.environment.now();
+    
+    if (session.lastKeyTime === null) {
+      session.firstKeyTime = now;
+    } else {
+      session.intervals.push(now - session.lastKeyTime);
+      if (session.intervals.length > RECENT_INTERVALS) {
+        session.intervals.shift();
+      }
+    }
+    
+    session.lastKeyTime = now;
+    session.keystrokes++;
+    session.keysSinceCorrection = isDeletion ? 0 : session.keysSinceCorrection + 1;
+  }
+  
+  /**
+   * 记录一次输入，区分键入、粘贴和删除
+   * @param {HTMLElement|Object} field - 字段元素或字段描述，value为输入后的值
+   * @param {string} inputType - InputEvent.inputType，不支持时根据值的长度变化判断
+   */
+  recordInput(field, inputType = '') {
+    const session = this._getTypingSession(field);
+    const length = this._getValueLength(field);
+    const delta = length - session.length;
+    session.length = length;
+    
+    let kind;
+    if (inputType) {
+      kind = inputType.startsWith('delete') ? 'delete' :
+        (['insertFromPaste', 'insertFromDrop', 'insertFromYank'].includes(inputType) ? 'paste' : 'insert');
+    } else {
+      kind = delta < 0 ? 'delete' : (delta > 1 ? 'paste' : 'insert');
+    }
+    
+    if (kind === 'delete') {
+      // 连续的删除算作一次修正
+      if (session.lastInput !== 'delete') {
+        session.corrections++;
+      }
+      session.deletions++;
+    } else if (kind === 'paste') {
+      session.pastes++;
+      session.pastedChars += Math.max(delta, 0);
+    } else {
+      session.typedChars += Math.max(delta, 1);
+    }
+    session.lastInput = kind;
+  }
+  
   /**
    * 计算打字速度
-   * @param {HTMLElement} field - 字段元素
+   * 只使用最近的按键间隔，停顿不计入
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述或字段名
    * @returns {number} 打字速度（字符/分钟）
    */
   calculateTypingSpeed(field) {
-    // 简化实现，实际应跟踪按键事件
-    const value = field.value || '';
-    const startTime = this.typingStartTimes.get(field) || Date.now();
-    const elapsedTime = (Date.now() - startTime) / 1000 / 60; // 转换为分钟
+    const session = this.typingSessions.get(this._getFieldName(field));
+    if (!session) return 0;
+    
+    const intervals = session.intervals.filter(interval => interval < TYPING_PAUSE);
+    const elapsedTime = intervals.reduce((sum, interval) => sum + interval, 0);
     
     if (elapsedTime > 0) {
-      return value.length / elapsedTime;
+      return intervals.length / elapsedTime * 60000;
     }
     
     return 0;
@@ -118,64 +299,140 @@ export class FeatureEngine {
   
   /**
    * 获取修正模式
-   * @param {HTMLElement} field - 字段元素
-   * @returns {string} 修正模式
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述或字段名
+   * @returns {string} 'unknown'（尚无输入）、'pasted'（主要为粘贴）、'none'、'occasional' 或 'frequent'
    */
   getCorrectionPattern(field) {
-    // 简化实现，实际应跟踪删除和修改操作
-    return 'unknown';
+    const session = this.typingSessions.get(this._getFieldName(field));
+    if (!session || session.typedChars + session.pastedChars + session.deletions === 0) {
+      return 'unknown';
+    }
+    
+    if (session.pastedChars > session.typedChars) return 'pasted';
+    if (session.corrections === 0) return 'none';
+    
+    // 删除超过输入的五分之一视为频繁修正
+    return session.deletions / (session.typedChars + session.deletions) > 0.2 ? 'frequent' : 'occasional';
   }
   
   /**
-   * 获取犹豫时间
-   * @param {HTMLElement} field - 字段元素
+   * 获取犹豫时间，即获得焦点到第一次按键的时间
+   * 尚未按键时返回获得焦点以来的时间
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述或字段名
    * @returns {number} 犹豫时间（毫秒）
    */
   getHesitationTime(field) {
-    // 简化实现，实际应测量首次输入前的延迟
-    return 0;
+    const session = this.typingSessions.get(this._getFieldName(field));
+    if (!session || session.focusTime === null) return 0;
+    
+    const endTime = session.firstKeyTime !== null ? session.firstKeyTime : this.environment.now();
+    return Math.max(endTime - session.focusTime, 0);
   }
   
   /**
-   * 字段分类
-   * @param {HTMLElement} field - 字段元素
-   * @returns {string} 字段类别
+   * 获取输入方式
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述或字段名
+   * @returns {string} 'none'、'typed'、'pasted' 或 'mixed'
    */
-  categorizeField(field) {
-    const fieldName = field.name || '';
-    const fieldType = field.type || '';
+  getInputMethod(field) {
+    const session = this.typingSessions.get(this._getFieldName(field));
+    if (!session || (session.typedChars === 0 && session.pastes === 0)) return 'none';
+    if (session.pastes === 0) return 'typed';
+    return session.typedChars === 0 ? 'pasted' : 'mixed';
+  }
+  
+  /**
+   * 用户是否正在快速且有把握地输入
+   * 最近没有停顿、上次修正之后连续输入了多个字符且速度不低于阈值
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述或字段名
+   * @param {number} minSpeed - 打字速度阈值（字符/分钟）
+   * @returns {boolean} 是否正在快速输入
+   */
+  isTypingConfidently(field, minSpeed) {
+    const session = this.typingSessions.get(this._getFieldName(field));
+    if (!session || session.lastKeyTime === null) return false;
     
-    const patterns = {
-      personal: ['name', 'email', 'phone', 'address', 'firstName', 'lastName'],
-      professional: ['company', 'title', 'department', 'position'],
-      temporal: ['date', 'time', 'birthday', 'dob', 'year'],
-      location: ['city', 'state', 'country', 'zipcode', 'postal', 'location'],
-      financial: ['card', 'credit', 'payment', 'price', 'cost'],
-      identification: ['id', 'passport', 'ssn', 'social']
-    };
+    if (this.environment.now() - session.lastKeyTime >= TYPING_PAUSE) return false;
+    if (session.keysSinceCorrection < CONFIDENT_KEYSTROKES) return false;
     
-    // 基于字段名分类
-    for (const [category, keywords] of Object.entries(patterns)) {
-      if (keywords.some(keyword => 
-        fieldName.toLowerCase().includes(keyword) || 
-        fieldType.toLowerCase().includes(keyword))) {
-        return category;
-      }
+    return this.calculateTypingSpeed(field) >= minSpeed;
+  }
+  
+  /**
+   * 计算一次焦点访问的停留时间，仍在访问中时计算到当前时间
+   * @param {Object} visit - 焦点访问记录
+   * @param {number} currentTime - 当前时间
+   * @returns {number} 停留时间（毫秒）
+   */
+  _getDwellTime(visit, currentTime) {
+    const endTime = visit.blurTime !== null ? visit.blurTime : currentTime;
+    return Math.max(endTime - visit.focusTime, 0);
+  }
+  
+  /**
+   * 获取字段的输入记录，没有时以未获得焦点的状态创建
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述或字段名
+   * @returns {Object} 输入记录
+   */
+  _getTypingSession(field) {
+    const fieldName = this._getFieldName(field);
+    if (!this.typingSessions.has(fieldName)) {
+      const session = this._createTypingSession(null);
+      session.length = this._getValueLength(field);
+      this.typingSessions.set(fieldName, session);
     }
-    
-    // 基于字段类型分类
-    const typeCategories = {
-      'email': 'personal',
-      'tel': 'personal',
-      'date': 'temporal',
-      'number': 'financial'
+    return this.typingSessions.get(fieldName);
+  }
+  
+  /**
+   * 创建输入记录
+   * @param {number|null} focusTime - 获得焦点的时间
+   * @returns {Object} 输入记录
+   */
+  _createTypingSession(focusTime) {
+    return {
+      focusTime: focusTime,
+      firstKeyTime: null,
+      lastKeyTime: null,
+      intervals: [],          // 最近的按键间隔（毫秒）
+      keystrokes: 0,
+      keysSinceCorrection: 0, // 上次按删除键之后的字符键数
+      typedChars: 0,
+      pastedChars: 0,
+      pastes: 0,
+      deletions: 0,
+      corrections: 0,         // 连续删除算作一次
+      lastInput: null,        // 'insert' | 'paste' | 'delete'
+      length: 0               // 上次输入后的值长度
     };
-    
-    if (typeCategories[fieldType]) {
-      return typeCategories[fieldType];
-    }
-    
-    return 'generic';
+  }
+  
+  /**
+   * 获取字段名
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述或字段名
+   * @returns {string} 字段名
+   */
+  _getFieldName(field) {
+    return typeof field === 'string' ? field : (field && field.name) || '';
+  }
+  
+  /**
+   * 获取字段值的长度
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述或字段名
+   * @returns {number} 长度，字段名或集合值时为0
+   */
+  _getValueLength(field) {
+    const value = field && typeof field === 'object' ? field.value : null;
+    return value === null || value === undefined || Array.isArray(value) ? 0 : value.toString().length;
+  }
+  
+  /**
+   * 字段分类
+   * @param {HTMLElement} field - 字段元素
+   * @returns {string} 字段类别
+   */
+  categorizeField(field) {
+    return this.semantics.resolve(field).category;
   }
   
   /**
@@ -184,28 +441,7 @@ export class FeatureEngine {
    * @returns {string} 预期格式
    */
   detectExpectedFormat(field) {
-    const fieldName = field.name || '';
-    const fieldType = field.type || '';
-    
-    // 基于字段类型判断
-    if (fieldType === 'email') return 'email';
-    if (fieldType === 'tel') return 'phone';
-    if (fieldType === 'date') return 'date';
-    if (fieldType === 'number') return 'number';
-    
-    // 基于字段名判断
-    if (fieldName.includes('email')) return 'email';
-    if (fieldName.includes('phone') || fieldName.includes('tel')) return 'phone';
-    if (fieldName.includes('date') || fieldName.includes('birthday')) return 'date';
-    if (fieldName.includes('zip') || fieldName.includes('postal')) return 'zipcode';
-    
-    // 基于pattern属性判断
-    if (field.pattern) {
-      // 简化实现，实际应解析pattern
-      return 'custom';
-    }
-    
-    return 'text';
+    return this.semantics.resolve(field).format;
   }
   
   /**
@@ -256,31 +492,7 @@ export class FeatureEngine {
    * @returns {string} 设备类型
    */
   detectDeviceType() {
-    const userAgent = navigator.userAgent || navigator.vendor || window.opera;
-    
-    // 检测移动设备
-    if (/android/i.test(userAgent)) {
-      return 'android';
-    }
-    
-    if (/iPad|iPhone|iPod/.test(userAgent) && !window.MSStream) {
-      return 'ios';
-    }
-    
-    // 检测桌面设备
-    if (/Win/.test(userAgent)) {
-      return 'windows';
-    }
-    
-    if (/Mac/.test(userAgent)) {
-      return 'mac';
-    }
-    
-    if (/Linux/.test(userAgent)) {
-      return 'linux';
-    }
-    
-    return 'desktop';
+    return this.environment.getDeviceType();
   }
   
   /**
@@ -288,7 +500,7 @@ export class FeatureEngine {
    * @returns {string} 时间段
    */
   getTimeOfDay() {
-    const hour = new Date().getHours();
+    const hour = this.environment.getDate().getHours();
     
     if (hour >= 6 && hour < 12) {
       return 'morning';
@@ -307,7 +519,7 @@ export class FeatureEngine {
    */
   getDayOfWeek() {
     const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    return days[new Date().getDay()];
+    return days[this.environment.getDate().getDay()];
   }
   
   /**
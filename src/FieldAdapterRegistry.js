@@ -0,0 +1,194 @@
+/**
+ * 字段适配器注册表类
+ * Field Adapter Registry
+ *
+ * 定义如何识别字段以及读写字段的值。内置支持原生表单控件和contenteditable区域，
+ * 表单关联的自定义元素（form-associated custom elements）可以注册自己的适配器。
+ */
+export class FieldAdapterRegistry {
+  /**
+   * 构造函数
+   */
+  constructor() {
+    // 自定义适配器 [{ selector, adapter }]，优先于内置适配器
+    this.customAdapters = [];
+    
+    // 原生控件：使用原生的value setter，以便Vue、React等框架的数据绑定同步更新
+    this.nativeAdapter = {
+      getName: element => element.name || this._getHostName(element),
+      getType: element => element.type || 'text',
+      getValue: element => element.value,
+      setValue: (element, value) => {
+        const prototype = Object.getPrototypeOf(element);
+        const descriptor = Object.getOwnPropertyDescriptor(prototype, 'value');
+        if (descriptor && descriptor.set) {
+          descriptor.set.call(element, value);
+        } else {
+          element.value = value;
+        }
+      }
+    };
+    
+    // contenteditable区域：以纯文本读写
+    this.contentEditableAdapter = {
+      getName: element => element.getAttribute('name') || element.dataset.smartName || element.id || '',
+      getType: () => 'text',
+      getValue: element => element.textContent,
+      setValue: (element, value) => {
+        element.textContent = value;
+      }
+    };
+  }
+  
+  /**
+   * 注册自定义元素的适配器
+   * @param {string} selector - 匹配元素的CSS选择器，通常是自定义元素的标签名
+   * @param {Object} adapter - 适配器
+   * @param {Function} adapter.getValue - 读取值 (element) => value
+   * @param {Function} adapter.setValue - 写入值 (element, value) => void
+   * @param {Function} adapter.getName - 可选，获取字段名，默认读取name属性
+   * @param {Function} adapter.getType - 可选，获取字段类型，默认为'text'
+   */
+  register(selector, adapter) {
+    if (!adapter || typeof adapter.getValue !== 'function' || typeof adapter.setValue !== 'function') {
+      throw new Error(`Field adapter for "${selector}" must implement getValue and setValue`);
+    }
+    
+    this.unregister(selector);
+    this.customAdapters.push({ selector, adapter });
+  }
+  
+  /**
+   * 移除自定义适配器
+   * @param {string} selector - 注册时使用的选择器
+   */
+  unregister(selector) {
+    this.customAdapters = this.customAdapters.filter(entry => entry.selector !== selector);
+  }
+  
+  /**
+   * 查找元素对应的适配器
+   * @param {HTMLElement} element - 元素
+   * @returns {Object|null} 适配器，元素不是字段时返回null
+   */
+  find(element) {
+    return this._findCustom(element) || this._findBuiltIn(element);
+  }
+  
+  /**
+   * 从事件中找到实际的字段
+   * 沿composedPath查找，可以穿过开放的shadow root；注册了适配器的自定义元素优先于其内部的控件
+   * @param {Event} event - 事件
+   * @returns {HTMLElement|null} 字段元素
+   */
+  resolveTarget(event) {
+    const path = typeof event.composedPath === 'function' ? event.composedPath() : [event.target];
+    const elements = [];
+    
+    for (const node of path) {
+      if (node === event.currentTarget) break;
+      if (node && node.nodeType === 1) {
+        elements.push(node);
+      }
+    }
+    
+    return elements.find(element => this._findCustom(element)) ||
+      elements.find(element => this._findBuiltIn(element)) ||
+      null;
+  }
+  
+  /**
+   * 获取字段名
+   * @param {HTMLElement} element - 字段元素
+   * @returns {string} 字段名
+   */
+  getName(element) {
+    const adapter = this.find(element);
+    if (adapter && typeof adapter.getName === 'function') {
+      return adapter.getName(element) || '';
+    }
+    return element.getAttribute('name') || '';
+  }
+  
+  /**
+   * 获取字段类型
+   * @param {HTMLElement} element - 字段元素
+   * @returns {string} 字段类型
+   */
+  getType(element) {
+    const adapter = this.find(element);
+    if (adapter && typeof adapter.getType === 'function') {
+      return adapter.getType(element);
+    }
+    return 'text';
+  }
+  
+  /**
+   * 读取字段值
+   * @param {HTMLElement} element - 字段元素
+   * @returns {any} 字段值
+   */
+  getValue(element) {
+    const adapter = this.find(element);
+    return adapter ? adapter.getValue(element) : undefined;
+  }
+  
+  /**
+   * 写入字段值
+   * @param {HTMLElement} element - 字段元素
+   * @param {any} value - 字段值
+   */
+  setValue(element, value) {
+    const adapter = this.find(element);
+    if (adapter) {
+      adapter.setValue(element, value);
+    }
+  }
+  
+  /**
+   * 查找匹配的自定义适配器
+   * @param {HTMLElement} element - 元素
+   * @returns {Object|null} 适配器
+   */
+  _findCustom(element) {
+    if (typeof element.matches !== 'function') return null;
+    
+    const entry = this.customAdapters.find(({ selector }) => {
+      try {
+        return element.matches(selector);
+      } catch (e) {
+        return false;
+      }
+    });
+    return entry ? entry.adapter : null;
+  }
+  
+  /**
+   * 查找内置适配器
+   * @param {HTMLElement} element - 元素
+   * @returns {Object|null} 适配器
+   */
+  _findBuiltIn(element) {
+    if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') {
+      return this.nativeAdapter;
+    }
+    
+    // 只识别编辑宿主本身，其中的子元素不单独作为字段
+    const editable = typeof element.getAttribute === 'function' ? element.getAttribute('contenteditable') : null;
+    if (editable !== null && editable !== 'false') {
+      return this.contentEditableAdapter;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * 获取shadow root宿主元素的name属性，用于没有name的内部控件
+   * @param {HTMLElement} element - 元素
+   * @returns {string} 字段名
+   */
+  _getHostName(element) {
+    const root = element.getRootNode();
+    return root && root.host ? root.host.getAttribute('name') || '' : '';
+  }
+}
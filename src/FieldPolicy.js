@@ -0,0 +1,136 @@
+import { FieldSemantics } from './FieldSemantics.js';
+
+/**
+ * 敏感字段策略类
+ * Sensitive Field Policy
+ *
+ * 决定字段是否可以被学习和显示建议。密码、银行卡、一次性验证码、隐藏字段和
+ * 带有 data-smart-ignore 的元素默认排除，可以通过 allow/deny 列表按字段名或选择器调整。
+ */
+export class FieldPolicy {
+  /**
+   * 构造函数
+   * @param {Object} options - 策略选项
+   * @param {Array<string|RegExp>} options.allow - 允许的字段：字段名、CSS选择器或匹配字段名的正则
+   * @param {Array<string|RegExp>} options.deny - 排除的字段，优先于allow
+   * @param {FieldSemantics} semantics - 字段语义解析器
+   */
+  constructor(options = {}, semantics = new FieldSemantics()) {
+    this.allow = options.allow || [];
+    this.deny = options.deny || [];
+    this.semantics = semantics;
+  }
+  
+  /**
+   * 判断字段是否可以被学习和显示建议
+   * 优先级：data-smart-ignore > deny列表 > allow列表 > 默认排除规则
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述或字段名
+   * @returns {boolean} 是否允许
+   */
+  isAllowed(field) {
+    const descriptor = typeof field === 'string' ? { name: field } : (field || {});
+    
+    if (this._isIgnored(descriptor)) return false;
+    if (this._matchesAny(descriptor, this.deny)) return false;
+    if (this._matchesAny(descriptor, this.allow)) return true;
+    
+    return !this.isSensitive(descriptor);
+  }
+  
+  /**
+   * 判断字段是否属于默认排除的敏感字段
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述或字段名
+   * @returns {boolean} 是否敏感
+   */
+  isSensitive(field) {
+    const descriptor = typeof field === 'string' ? { name: field } : (field || {});
+    const type = (descriptor.type || '').toLowerCase();
+    if (type === 'password' || type === 'hidden') return true;
+    
+    // 密码、一次性验证码和所有cc-*令牌，包括根据字段名推断出的
+    const { token } = this.semantics.resolve(descriptor);
+    if (!token) return false;
+    return token.startsWith('cc-') ||
+      token === 'one-time-code' ||
+      token === 'current-password' ||
+      token === 'new-password';
+  }
+  
+  /**
+   * 过滤表单数据，只保留允许学习的字段
+   * @param {Object} formData - 表单数据
+   * @param {Array<HTMLElement|Object>} fields - 字段元素或描述，提供时按字段的完整信息判断
+   * @returns {Object} 过滤后的表单数据
+   */
+  filter(formData, fields = []) {
+    const fieldsByName = new Map();
+    Array.from(fields).forEach(field => {
+      const fieldName = field ? this._getName(field) : '';
+      if (fieldName && !fieldsByName.has(fieldName)) {
+        fieldsByName.set(fieldName, field);
+      }
+    });
+    
+    const result = {};
+    for (const [fieldName, value] of Object.entries(formData)) {
+      if (this.isAllowed(fieldsByName.get(fieldName) || fieldName)) {
+        result[fieldName] = value;
+      }
+    }
+    return result;
+  }
+  
+  /**
+   * 判断字段是否被标记为忽略，元素本身或其祖先带有 data-smart-ignore
+   * @param {Object} descriptor - 字段元素或字段描述
+   * @returns {boolean} 是否忽略
+   */
+  _isIgnored(descriptor) {
+    if (typeof descriptor.closest === 'function') {
+      return descriptor.closest('[data-smart-ignore]') !== null;
+    }
+    return Boolean(descriptor.dataset && descriptor.dataset.smartIgnore !== undefined);
+  }
+  
+  /**
+   * 判断字段是否匹配规则列表
+   * @param {Object} descriptor - 字段元素或字段描述
+   * @param {Array<string|RegExp>} rules - 规则列表
+   * @returns {boolean} 是否匹配
+   */
+  _matchesAny(descriptor, rules) {
+    const fieldName = this._getName(descriptor);
+    
+    return rules.some(rule => {
+      if (rule instanceof RegExp) {
+        return rule.test(fieldName);
+      }
+      if (rule === fieldName) {
+        return true;
+      }
+      if (typeof descriptor.matches === 'function') {
+        try {
+          return descriptor.matches(rule);
+        } catch (e) {
+          // 不是合法的选择器，只按字段名匹配
+          return false;
+        }
+      }
+      return false;
+    });
+  }
+  
+  /**
+   * 获取字段名，兼容contenteditable、自定义元素和shadow root中没有name的控件
+   * @param {Object} descriptor - 字段元素或字段描述
+   * @returns {string} 字段名
+   */
+  _getName(descriptor) {
+    if (descriptor.name) return descriptor.name;
+    if (typeof descriptor.getAttribute !== 'function') return '';
+    
+    const root = descriptor.getRootNode();
+    return descriptor.getAttribute('name') ||
+      (root && root.host ? root.host.getAttribute('name') || '' : '');
+  }
+}
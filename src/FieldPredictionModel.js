@@ -1,3 +1,18 @@
+import { DecisionTree } from './DecisionTree.js';
+import { KNearestNeighbors } from './KNearestNeighbors.js';
+import { ModelEvaluator } from './ModelEvaluator.js';
+import { RidgeRegression } from './RidgeRegression.js';
+import { TextCompletionModel } from './TextCompletionModel.js';
+
+// 各字段类型的候选算法，排在前面的在评估结果相同时优先
+const ALGORITHMS = {
+  categorical: ['decisionTree', 'knn'],
+  numerical: ['regression', 'knn'],
+  // 文本字段的模型用于补全正在输入的值，其他算法无法替代
+  text: ['textCompletion']
+};
+const DEFAULT_ALGORITHMS = ['knn', 'decisionTree'];
+
 /**
  * 字段预测模型类
  * Field Prediction Model
@@ -6,12 +21,26 @@ export class FieldPredictionModel {
   /**
    * 构造函数
    * @param {string} fieldType - 字段类型
+   * @param {Object} options - 算法选项
+   * @param {string} options.algorithm - 固定使用的算法，不指定时通过评估选择
+   * @param {string|false} options.evaluation - 评估方法 'kfold' 或 'holdout'，为false时不评估
+   * @param {number} options.folds - K折交叉验证的折数
+   * @param {number} options.holdoutRatio - 留出法中用于测试的比例
+   * @param {number} options.minSamples - 开始评估所需的最少样本数
+   * @param {number} options.evaluationInterval - 每训练多少次重新评估一次
+   * @param {number} options.maxEvaluationSamples - 评估时最多使用的最近样本数
+   * @param {number} options.tolerance - 数值字段评估时视为命中的相对误差
+   * @param {number} options.k - K近邻的近邻数量
+   * @param {string} options.metric - K近邻的距离度量
    */
-  constructor(fieldType) {
+  constructor(fieldType, options = {}) {
     this.fieldType = fieldType;
-    this.trainingData = [];
+    this.options = options;
     this.model = null;
-    this.accuracy = 0;
+    this.accuracy = 0;        // 最近一次评估中第1位预测的命中率
+    this.evaluation = null;   // 最近一次评估的结果
+    this.updates = 0;         // 训练次数，包括增量训练
+    this.samples = 0;         // 已训练的样本数
   }
   
   /**
@@ -20,322 +49,422 @@ export class FieldPredictionModel {
    * @param {Array} labels - 标签数据
    */
   async train(features, labels) {
-    // 根据字段类型选择不同算法
-    switch(this.fieldType) {
-      case 'categorical':
+    this.updates++;
+    this.samples = labels.length;
+    const algorithm = await this._selectAlgorithm(features, labels);
+    return this._trainAlgorithm(algorithm, features, labels);
+  }
+  
+  /**
+   * 使用指定算法训练
+   * @param {string} algorithm - 算法名
+   * @param {Array} features - 特征数据
+   * @param {Array} labels - 标签数据
+   * @returns {Object} 模型
+   */
+  _trainAlgorithm(algorithm, features, labels) {
+    switch(algorithm) {
+      case 'decisionTree':
         return this.trainDecisionTree(features, labels);
-      case 'numerical':
+      case 'regression':
         return this.trainRegression(features, labels);
-      case 'text':
+      case 'textCompletion':
         return this.trainTextPrediction(features, labels);
-      default:
+      case 'knn':
         return this.trainGenericModel(features, labels);
+      default:
+        throw new Error(`Unknown algorithm: ${algorithm}`);
     }
   }
   
   /**
-   * 决策树训练（用于分类字段）
-   * @param {Array} features - 特征数据
-   * @param {Array} labels - 标签数据
+   * 增量训练：用一次提交更新已训练的模型，不需要访问历史提交
+   * 还没有模型时使用字段类型的默认算法
+   * @param {Object} sample - 样本 { features, label }，features由 FieldPredictionModel.getFeatures() 生成
+   * @returns {Object} 模型
    */
-  trainDecisionTree(features, labels) {
-    // 简化的决策树实现，适合浏览器环境
-    this.model = {
-      type: 'decisionTree',
-      predict: (context) => {
-        // 基于特征匹配的预测逻辑
-        const matches = this.findSimilarContexts(context, features, labels);
-        return this.majorityVote(matches);
-      }
-    };
+  partialFit({ features = {}, label }) {
+    if (label === null || label === undefined || label.toString() === '') return this.model;
+    
+    this.updates++;
+    this.samples++;
+    
+    if (!this.model) {
+      const algorithm = this.options.algorithm || FieldPredictionModel.getAlgorithms(this.fieldType)[0];
+      return this._trainAlgorithm(algorithm, [features], [label]);
+    }
     
+    switch (this.model.type) {
+      case 'decisionTree':
+        this.model.tree.partialFit(features, label);
+        break;
+      case 'regression':
+        this.model.regression.partialFit(features, label);
+        break;
+      case 'textCompletion':
+        this.model.completion.partialFit(label);
+        break;
+      case 'knn':
+        this.model.knn.partialFit(features, label);
+        break;
+      default:
+        throw new Error(`Unknown model type: ${this.model.type}`);
+    }
     return this.model;
   }
   
   /**
-   * 回归训练（用于数值字段）
-   * @param {Array} features - 特征数据
-   * @param {Array} labels - 标签数据
+   * 判断下一次提交后是否需要在保存的提交上训练或重新评估
+   * 没有模型、固定的算法与当前模型不同时需要训练；有多种候选算法且样本数刚达到评估要求
+   * 或距上次评估已满evaluationInterval次训练时需要重新评估（见 reevaluate()）；
+   * 其他时候只使用 partialFit() 增量更新
+   * @returns {boolean} 是否需要训练或重新评估
    */
-  trainRegression(features, labels) {
-    // 简化的线性回归实现
-    this.model = {
-      type: 'regression',
-      coefficients: this.calculateRegressionCoefficients(features, labels),
-      predict: (context) => {
-        return this.applyRegression(context, this.model.coefficients);
-      }
-    };
+  isRetrainDue() {
+    if (!this.model) return true;
     
-    return this.model;
+    const { algorithm = null, evaluation = 'kfold', minSamples = 10, evaluationInterval = 10 } = this.options;
+    // 只有一种候选算法时没有可选的，始终增量更新
+    if (algorithm) return this.model.type !== algorithm;
+    if (FieldPredictionModel.getAlgorithms(this.fieldType).length < 2) return false;
+    if (!evaluation || this.samples + 1 < minSamples) return false;
+    
+    return !this.evaluation || this.updates + 1 - this.evaluation.updates >= evaluationInterval;
   }
   
   /**
-   * 文本预测模型
+   * 在保存的最近提交上重新评估候选算法
+   * 选出的算法与当前模型相同时保留增量训练得到的模型（其中包含这些提交之前学到的内容），
+   * 只有其他算法胜出或配置固定了其他算法时才以这些提交重新训练
    * @param {Array} features - 特征数据
    * @param {Array} labels - 标签数据
+   * @returns {Promise<Object>} 模型
    */
-  trainTextPrediction(features, labels) {
-    // 构建字符级或词级的预测模型
-    const markovChain = this.buildMarkovChain(labels);
+  async reevaluate(features, labels) {
+    const { algorithm = null, minSamples = 10 } = this.options;
+    if (!this.model || labels.length === 0) return this.model;
     
-    this.model = {
-      type: 'markovChain',
-      markovChain: markovChain,
-      predict: (partialInput, context) => {
-        return markovChain.predict(partialInput, context);
-      }
-    };
+    if (algorithm) {
+      return algorithm === this.model.type ? this.model : this._trainAlgorithm(algorithm, features, labels);
+    }
     
-    return this.model;
+    // 保存的提交不足时无法评估，不应退回到默认算法
+    if (labels.length < minSamples) return this.model;
+    
+    const selected = await this._selectAlgorithm(features, labels);
+    return selected === this.model.type ? this.model : this._trainAlgorithm(selected, features, labels);
   }
   
   /**
-   * 通用模型训练
-   * @param {Array} features - 特征数据
-   * @param {Array} labels - 标签数据
+   * 获取字段类型的候选算法
+   * @param {string} fieldType - 字段类型
+   * @returns {Array<string>} 算法名，第一个为默认算法
    */
-  trainGenericModel(features, labels) {
-    // 使用简单的最近邻算法
-    this.model = {
-      type: 'knn',
-      trainingFeatures: features,
-      trainingLabels: labels,
-      predict: (context) => {
-        return this.kNearestNeighbors(context, features, labels);
-      }
-    };
-    
-    return this.model;
+  static getAlgorithms(fieldType) {
+    return ALGORITHMS[fieldType] || DEFAULT_ALGORITHMS;
   }
   
   /**
-   * 查找相似上下文
-   * @param {Object} context - 当前上下文
+   * 通过交叉验证选择算法，同时更新命中率
+   * 样本不足或关闭评估时使用默认算法；评估代价较高，两次评估之间沿用上次选出的算法
    * @param {Array} features - 特征数据
    * @param {Array} labels - 标签数据
-   * @returns {Array} 匹配的结果
+   * @returns {Promise<string>} 算法名
    */
-  findSimilarContexts(context, features, labels) {
-    const matches = [];
-    const threshold = 0.7; // 相似度阈值
+  async _selectAlgorithm(features, labels) {
+    const {
+      algorithm = null,
+      evaluation = 'kfold',
+      minSamples = 10,
+      evaluationInterval = 10,
+      maxEvaluationSamples = 200,
+      tolerance = 0.05
+    } = this.options;
+    const algorithms = algorithm ? [algorithm] : FieldPredictionModel.getAlgorithms(this.fieldType);
     
-    for (let i = 0; i < features.length; i++) {
-      const similarity = this.calculateSimilarity(context, features[i]);
-      if (similarity >= threshold) {
-        matches.push({
-          similarity: similarity,
-          label: labels[i]
-        });
-      }
+    if (!evaluation || labels.length < minSamples) {
+      this.evaluation = null;
+      this.accuracy = 0;
+      return algorithms[0];
     }
     
-    return matches;
+    if (this.evaluation && algorithms.includes(this.evaluation.algorithm) &&
+        this.updates - this.evaluation.updates < evaluationInterval) {
+      return this.evaluation.algorithm;
+    }
+    
+    const evaluator = new ModelEvaluator({
+      method: evaluation,
+      folds: this.options.folds,
+      holdoutRatio: this.options.holdoutRatio,
+      // 回归预测的数值很少与提交值完全相同，按完全相同计算会偏向只预测已有值的K近邻
+      tolerance: this.fieldType === 'numerical' ? tolerance : 0
+    });
+    // 交叉验证的耗时随样本数增长（K近邻为平方级），只在最近的样本上评估
+    const start = Math.max(labels.length - maxEvaluationSamples, 0);
+    const result = await evaluator.select(features.slice(start), labels.slice(start), algorithms, candidate => {
+      return new FieldPredictionModel(this.fieldType, { ...this.options, algorithm: candidate, evaluation: false });
+    });
+    
+    this.evaluation = { ...result, method: evaluation, samples: labels.length - start, updates: this.updates };
+    this.accuracy = result.top1;
+    return result.algorithm;
   }
   
   /**
-   * 计算相似度
-   * @param {Object} context1 - 上下文1
-   * @param {Object} context2 - 上下文2
-   * @returns {number} 相似度分数
+   * 预测候选值及其概率
+   * @param {Object} features - 其他字段的值，由 FieldPredictionModel.getFeatures() 生成
+   * @param {string} partialValue - 当前字段已输入的部分，文本补全模型据此补全
+   * @returns {Array<Object>} 按概率降序排列的候选值 [{ value, probability }]，回归模型另有预测区间 interval
    */
-  calculateSimilarity(context1, context2) {
-    // 简化的相似度计算
-    let matches = 0;
-    let total = 0;
+  predictCandidates(features, partialValue = '') {
+    if (!this.model) return [];
     
-    for (const key in context1) {
-      if (context1.hasOwnProperty(key) && context2.hasOwnProperty(key)) {
-        total++;
-        if (context1[key] === context2[key]) {
-          matches++;
-        }
+    switch (this.model.type) {
+      case 'decisionTree':
+        return this.model.tree.predict(features).probabilities;
+      case 'knn':
+        return this.model.knn.predict(features).probabilities;
+      case 'textCompletion':
+        return this.completeText(partialValue);
+      case 'regression': {
+        // 以预测区间为附加信息，置信度由残差方差决定
+        const result = this.model.regression.predict(features);
+        if (!result || result.confidence === 0) return [];
+        return [{
+          value: result.value.toString(),
+          probability: result.confidence,
+          interval: [result.lower, result.upper]
+        }];
       }
+      default:
+        return [];
     }
-    
-    return total > 0 ? matches / total : 0;
   }
   
   /**
-   * 多数投票
-   * @param {Array} matches - 匹配结果
-   * @returns {any} 投票结果
+   * 说明预测依据，只有决策树模型支持
+   * @param {Object} features - 其他字段的值，由 FieldPredictionModel.getFeatures() 生成
+   * @returns {string|null} 决策路径，如 country = "FR" → Paris (80% of 5 submissions)
    */
-  majorityVote(matches) {
-    if (matches.length === 0) return null;
-    
-    // 按相似度加权投票
-    const voteCount = {};
-    let maxVotes = 0;
-    let winner = null;
+  explain(features) {
+    if (!this.model || this.model.type !== 'decisionTree') return null;
+    return this.model.tree.explain(features);
+  }
+  
+  /**
+   * 补全部分输入，只有文本字段的模型支持
+   * @param {string} partialValue - 部分输入
+   * @returns {Array<Object>} 按概率降序排列的完整值 [{ value, probability }]
+   */
+  completeText(partialValue) {
+    if (!this.model || this.model.type !== 'textCompletion') return [];
+    return this.model.completion.complete(partialValue);
+  }
+  
+  /**
+   * 判断模型的预测是否依赖其他字段的值
+   * 文本补全模型只学习值本身，补全已有值时提供的信息与频率统计相同
+   * @returns {boolean} 是否使用特征
+   */
+  usesFeatures() {
+    return this.model !== null && this.model.type !== 'textCompletion';
+  }
+  
+  /**
+   * 由表单数据生成某个字段的特征：其他已填写字段的值
+   * 集合值转换为与选中顺序无关的字符串，数值保持不变
+   * @param {Object} values - 表单数据 { fieldName: value }
+   * @param {string} fieldName - 待预测的字段名，不作为特征
+   * @returns {Object} 特征 { fieldName: value }
+   */
+  static getFeatures(values, fieldName) {
+    const features = {};
     
-    for (const match of matches) {
-      const label = match.label;
-      const weight = match.similarity;
-      voteCount[label] = (voteCount[label] || 0) + weight;
+    for (const [name, value] of Object.entries(values || {})) {
+      if (name === fieldName || value === null || value === undefined) continue;
       
-      if (voteCount[label] > maxVotes) {
-        maxVotes = voteCount[label];
-        winner = label;
+      const feature = Array.isArray(value) ? value.map(item => item.toString()).sort().join(',') : value;
+      if (feature.toString().trim() !== '') {
+        features[name] = feature;
       }
     }
     
-    return winner;
+    return features;
+  }
+  
+  /**
+   * 序列化模型，只包含训练得到的状态，预测函数在恢复时重建
+   * @returns {Object} 可JSON序列化的对象
+   */
+  toJSON() {
+    return {
+      fieldType: this.fieldType,
+      accuracy: this.accuracy,
+      evaluation: this.evaluation,
+      updates: this.updates,
+      samples: this.samples,
+      model: this.model ? this._serializeModel(this.model) : null
+    };
+  }
+  
+  /**
+   * 从序列化数据恢复模型
+   * @param {Object} data - toJSON()的结果
+   * @returns {FieldPredictionModel} 模型实例
+   */
+  static fromJSON(data) {
+    const instance = new FieldPredictionModel(data.fieldType);
+    instance.accuracy = data.accuracy || 0;
+    instance.evaluation = data.evaluation || null;
+    instance.updates = data.updates || 0;
+    instance.samples = data.samples || 0;
+    instance.model = data.model ? instance._restoreModel(data.model) : null;
+    return instance;
   }
   
   /**
-   * 构建马尔可夫链
+   * 提取各类模型的状态
+   * @param {Object} model - 模型
+   * @returns {Object} 模型状态
+   */
+  _serializeModel(model) {
+    switch (model.type) {
+      case 'decisionTree':
+        return { type: model.type, tree: model.tree.toJSON() };
+      case 'regression':
+        return { type: model.type, regression: model.regression.toJSON() };
+      case 'textCompletion':
+        return { type: model.type, completion: model.completion.toJSON() };
+      case 'knn':
+        return { type: model.type, knn: model.knn.toJSON() };
+      default:
+        throw new Error(`Unknown model type: ${model.type}`);
+    }
+  }
+  
+  /**
+   * 由模型状态重建模型
+   * @param {Object} state - _serializeModel()的结果
+   * @returns {Object} 模型
+   */
+  _restoreModel(state) {
+    switch (state.type) {
+      case 'decisionTree':
+        return this._createDecisionTree(DecisionTree.fromJSON(state.tree));
+      case 'regression':
+        return this._createRegression(RidgeRegression.fromJSON(state.regression));
+      case 'textCompletion':
+        return this._createTextPrediction(TextCompletionModel.fromJSON(state.completion));
+      case 'knn':
+        return this._createGenericModel(KNearestNeighbors.fromJSON(state.knn));
+      default:
+        throw new Error(`Unknown model type: ${state.type}`);
+    }
+  }
+  
+  /**
+   * 决策树训练（用于分类字段）
+   * @param {Array} features - 特征数据
    * @param {Array} labels - 标签数据
-   * @returns {Object} 马尔可夫链模型
    */
-  buildMarkovChain(labels) {
-    // 简化的马尔可夫链实现
-    const transitions = {};
-    const starters = {};
-    
-    labels.forEach(label => {
-      const parts = label.toString().split(/\s+/);
-      
-      // 记录起始词
-      if (parts.length > 0) {
-        starters[parts[0]] = (starters[parts[0]] || 0) + 1;
-      }
-      
-      // 构建转移概率
-      for (let i = 0; i < parts.length - 1; i++) {
-        const current = parts[i];
-        const next = parts[i + 1];
-        
-        if (!transitions[current]) {
-          transitions[current] = {};
-        }
-        
-        transitions[current][next] = (transitions[current][next] || 0) + 1;
-      }
-    });
-    
+  trainDecisionTree(features, labels) {
+    this.model = this._createDecisionTree(new DecisionTree().fit(features, labels));
+    return this.model;
+  }
+  
+  /**
+   * 创建决策树模型
+   * @param {DecisionTree} tree - 训练好的决策树
+   * @returns {Object} 模型
+   */
+  _createDecisionTree(tree) {
     return {
-      transitions: transitions,
-      starters: starters,
-      predict: (partialInput, context) => {
-        // 简化的预测实现
-        return this.predictWithMarkovChain(partialInput, transitions, starters);
+      type: 'decisionTree',
+      tree: tree,
+      predict: (context) => {
+        const [best] = tree.predict(context).probabilities;
+        return best ? best.value : null;
       }
     };
   }
   
   /**
-   * 使用马尔可夫链进行预测
-   * @param {string} partialInput - 部分输入
-   * @param {Object} transitions - 转移概率
-   * @param {Object} starters - 起始词
-   * @returns {string} 预测结果
+   * 回归训练（用于数值字段）
+   * @param {Array} features - 特征数据
+   * @param {Array} labels - 标签数据
    */
-  predictWithMarkovChain(partialInput, transitions, starters) {
-    if (!partialInput) {
-      // 如果没有输入，随机选择一个起始词
-      const starterWords = Object.keys(starters);
-      if (starterWords.length > 0) {
-        const randomIndex = Math.floor(Math.random() * starterWords.length);
-        return starterWords[randomIndex];
-      }
-      return '';
-    }
-    
-    // 基于部分输入进行预测
-    const words = partialInput.split(/\s+/);
-    const lastWord = words[words.length - 1];
-    
-    if (transitions[lastWord]) {
-      const nextWords = Object.keys(transitions[lastWord]);
-      if (nextWords.length > 0) {
-        // 选择最常见的下一个词
-        let maxCount = 0;
-        let mostCommon = '';
-        
-        for (const word of nextWords) {
-          const count = transitions[lastWord][word];
-          if (count > maxCount) {
-            maxCount = count;
-            mostCommon = word;
-          }
-        }
-        
-        return mostCommon;
+  trainRegression(features, labels) {
+    this.model = this._createRegression(new RidgeRegression().fit(features, labels));
+    return this.model;
+  }
+  
+  /**
+   * 创建回归模型
+   * @param {RidgeRegression} regression - 训练好的岭回归
+   * @returns {Object} 模型
+   */
+  _createRegression(regression) {
+    return {
+      type: 'regression',
+      regression: regression,
+      predict: (context) => {
+        const result = regression.predict(context);
+        return result ? result.value : null;
       }
-    }
-    
-    return '';
+    };
   }
   
   /**
-   * 计算回归系数
+   * 文本预测模型
    * @param {Array} features - 特征数据
    * @param {Array} labels - 标签数据
-   * @returns {Array} 回归系数
    */
-  calculateRegressionCoefficients(features, labels) {
-    // 简化的线性回归实现
-    // 在实际应用中，这会是一个更复杂的算法
-    return [0.5, 0.3, 0.2]; // 示例系数
+  trainTextPrediction(features, labels) {
+    // 构建字符级的前缀树和n-gram模型
+    this.model = this._createTextPrediction(new TextCompletionModel().fit(labels));
+    return this.model;
   }
   
   /**
-   * 应用回归模型
-   * @param {Object} context - 上下文
-   * @param {Array} coefficients - 系数
-   * @returns {number} 预测值
+   * 创建文本预测模型
+   * @param {TextCompletionModel} completion - 训练好的文本补全模型
+   * @returns {Object} 模型
    */
-  applyRegression(context, coefficients) {
-    // 简化的线性组合
-    let result = 0;
-    const values = Object.values(context);
-    
-    for (let i = 0; i < Math.min(values.length, coefficients.length); i++) {
-      result += values[i] * coefficients[i];
-    }
-    
-    return result;
+  _createTextPrediction(completion) {
+    return {
+      type: 'textCompletion',
+      completion: completion,
+      predict: (partialInput) => {
+        const [best] = completion.complete(partialInput || '', 1);
+        return best ? best.value : '';
+      }
+    };
   }
   
   /**
-   * K近邻算法
-   * @param {Object} context - 当前上下文
+   * 通用模型训练
    * @param {Array} features - 特征数据
    * @param {Array} labels - 标签数据
-   * @returns {any} 预测标签
    */
-  kNearestNeighbors(context, features, labels, k = 3) {
-    // 计算所有训练样本与当前上下文的距离
-    const distances = features.map((feature, index) => ({
-      distance: this.euclideanDistance(context, feature),
-      label: labels[index]
-    }));
-    
-    // 按距离排序并取前k个
-    distances.sort((a, b) => a.distance - b.distance);
-    const kNearest = distances.slice(0, k);
-    
-    // 简化：返回最近邻的标签
-    return kNearest.length > 0 ? kNearest[0].label : null;
+  trainGenericModel(features, labels) {
+    this.model = this._createGenericModel(new KNearestNeighbors(this.options).fit(features, labels));
+    return this.model;
   }
   
   /**
-   * 计算欧几里得距离
-   * @param {Object} point1 - 点1
-   * @param {Object} point2 - 点2
-   * @returns {number} 距离
+   * 创建最近邻模型
+   * @param {KNearestNeighbors} knn - 训练好的K近邻模型
+   * @returns {Object} 模型
    */
-  euclideanDistance(point1, point2) {
-    let sum = 0;
-    const keys = [...new Set([...Object.keys(point1), ...Object.keys(point2)])];
-    
-    for (const key of keys) {
-      const val1 = point1[key] || 0;
-      const val2 = point2[key] || 0;
-      sum += Math.pow(val1 - val2, 2);
-    }
-    
-    return Math.sqrt(sum);
+  _createGenericModel(knn) {
+    return {
+      type: 'knn',
+      knn: knn,
+      predict: (context) => {
+        const [best] = knn.predict(context).probabilities;
+        return best ? best.value : null;
+      }
+    };
   }
-}
\ No newline at end of file
+}
@@ -1,3 +1,5 @@
+import { FieldSemantics } from './FieldSemantics.js';
+
 /**
  * 字段关系图谱类
  * Field Relationship Graph
@@ -5,8 +7,10 @@
 export class FieldRelationshipGraph {
   /**
    * 构造函数
+   * @param {FieldSemantics} semantics - 字段语义解析器
    */
-  constructor() {
+  constructor(semantics = new FieldSemantics()) {
+    this.semantics = semantics;
     this.nodes = new Map(); // 字段节点
     this.edges = new Map(); // 字段关系
   }
@@ -14,14 +18,23 @@ export class FieldRelationshipGraph {
   /**
    * 发现字段间关联关系
    * @param {Array} formDataHistory - 表单数据历史
+   * @param {Array<Array>} sequences - 每次提交的焦点访问顺序 [{ name, dwell }]，与formDataHistory一一对应
    * @returns {Object} 关系分析结果
    */
-  discoverRelationships(formDataHistory) {
+  discoverRelationships(formDataHistory, sequences = []) {
     // 1. 基于共现频率的关联发现
     const cooccurrence = this.calculateCooccurrence(formDataHistory);
     
-    // 2. 基于填写顺序的时间关联
-    const temporalRelations = this.analyzeTemporalPatterns(formDataHistory);
+    // 2. 基于填写顺序的时间关联，相邻填写的字段之间记录时间边
+    // 填写顺序只计算一次，时间模式和时间边使用同一个顺序
+    const orders = formDataHistory.map((session, index) => this._getFillOrder(session, sequences[index]));
+    const temporalRelations = this.analyzeTemporalPatterns(formDataHistory, orders);
+    orders.forEach(order => {
+      for (let i = 0; i < order.length - 1; i++) {
+        this.addEdge(order[i], order[i + 1], { type: 'temporal', count: 0 });
+        this.edges.get(`${order[i]}-${order[i + 1]}`).count++;
+      }
+    });
     
     // 3. 基于值依赖的逻辑关联
     const valueDependencies = this.findValueDependencies(formDataHistory);
@@ -53,14 +66,14 @@ export class FieldRelationshipGraph {
   /**
    * 分析时间模式
    * @param {Array} history - 表单数据历史
-   * @returns {Object} 时间关联分析
+   * @param {Array<Array>} sequences - 每次提交的焦点访问顺序或 _getFillOrder() 得到的字段名列表，缺少时按字段在数据中的顺序
+   * @returns {Object} 时间关联分析 { 'from->to': 次数 }
    */
-  analyzeTemporalPatterns(history) {
-    // 简化实现，实际应该分析填写顺序和时间间隔
+  analyzeTemporalPatterns(history, sequences = []) {
     const patterns = {};
     
-    history.forEach(session => {
-      const fields = Object.keys(session);
+    history.forEach((session, index) => {
+      const fields = this._getFillOrder(session, sequences[index]);
       for (let i = 0; i < fields.length - 1; i++) {
         const currentField = fields[i];
         const nextField = fields[i + 1];
@@ -72,6 +85,28 @@ export class FieldRelationshipGraph {
     return patterns;
   }
   
+  /**
+   * 获取一次提交中字段的填写顺序
+   * 按焦点访问的先后排列，重复访问的字段只保留第一次；没有访问过的字段按数据中的顺序排在最后
+   * @param {Object} session - 提交的表单数据
+   * @param {Array<Object|string>} sequence - 焦点访问顺序 [{ name, dwell }] 或字段名
+   * @returns {Array<string>} 字段名列表
+   */
+  _getFillOrder(session, sequence = []) {
+    const order = [];
+    (sequence || []).forEach(visit => {
+      const fieldName = typeof visit === 'string' ? visit : visit.name;
+      if (fieldName in session && !order.includes(fieldName)) {
+        order.push(fieldName);
+      }
+    });
+    
+    Object.keys(session).forEach(fieldName => {
+      if (!order.includes(fieldName)) order.push(fieldName);
+    });
+    return order;
+  }
+  
   /**
    * 查找值依赖关系
    * @param {Array} history - 表单数据历史
@@ -115,25 +150,7 @@ export class FieldRelationshipGraph {
    * @returns {string} 字段类型
    */
   _inferFieldType(fieldName) {
-    const typePatterns = {
-      'email': ['email', 'mail'],
-      'phone': ['phone', 'tel', 'mobile'],
-      'date': ['date', 'birthday', 'dob'],
-      'name': ['name', 'first', 'last'],
-      'address': ['address', 'street', 'addr'],
-      'city': ['city'],
-      'zip': ['zip', 'postal'],
-      'country': ['country'],
-      'number': ['number', 'count', 'qty']
-    };
-    
-    for (const [type, patterns] of Object.entries(typePatterns)) {
-      if (patterns.some(pattern => fieldName.toLowerCase().includes(pattern))) {
-        return type;
-      }
-    }
-    
-    return 'text';
+    return this.semantics.resolve(fieldName).kind;
   }
   
   /**
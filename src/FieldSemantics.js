@@ -0,0 +1,310 @@
+// autocomplete字段令牌 -> 类别、预期格式、字段类型
+const FIELD_TOKENS = {
+  'name': { category: 'personal', format: 'text', kind: 'name' },
+  'honorific-prefix': { category: 'personal', format: 'text', kind: 'name' },
+  'given-name': { category: 'personal', format: 'text', kind: 'name' },
+  'additional-name': { category: 'personal', format: 'text', kind: 'name' },
+  'family-name': { category: 'personal', format: 'text', kind: 'name' },
+  'honorific-suffix': { category: 'personal', format: 'text', kind: 'name' },
+  'nickname': { category: 'personal', format: 'text', kind: 'name' },
+  'username': { category: 'identification', format: 'text', kind: 'text' },
+  'new-password': { category: 'credential', format: 'text', kind: 'credential' },
+  'current-password': { category: 'credential', format: 'text', kind: 'credential' },
+  'one-time-code': { category: 'credential', format: 'text', kind: 'credential' },
+  'organization-title': { category: 'professional', format: 'text', kind: 'text' },
+  'organization': { category: 'professional', format: 'text', kind: 'text' },
+  'street-address': { category: 'location', format: 'text', kind: 'address' },
+  'address-line1': { category: 'location', format: 'text', kind: 'address' },
+  'address-line2': { category: 'location', format: 'text', kind: 'address' },
+  'address-line3': { category: 'location', format: 'text', kind: 'address' },
+  'address-level4': { category: 'location', format: 'text', kind: 'address' },
+  'address-level3': { category: 'location', format: 'text', kind: 'address' },
+  'address-level2': { category: 'location', format: 'text', kind: 'city' },
+  'address-level1': { category: 'location', format: 'text', kind: 'state' },
+  'country': { category: 'location', format: 'text', kind: 'country' },
+  'country-name': { category: 'location', format: 'text', kind: 'country' },
+  'postal-code': { category: 'location', format: 'zipcode', kind: 'zip' },
+  'cc-name': { category: 'financial', format: 'text', kind: 'payment' },
+  'cc-given-name': { category: 'financial', format: 'text', kind: 'payment' },
+  'cc-additional-name': { category: 'financial', format: 'text', kind: 'payment' },
+  'cc-family-name': { category: 'financial', format: 'text', kind: 'payment' },
+  'cc-number': { category: 'financial', format: 'text', kind: 'payment' },
+  'cc-exp': { category: 'financial', format: 'text', kind: 'payment' },
+  'cc-exp-month': { category: 'financial', format: 'number', kind: 'payment' },
+  'cc-exp-year': { category: 'financial', format: 'number', kind: 'payment' },
+  'cc-csc': { category: 'financial', format: 'number', kind: 'payment' },
+  'cc-type': { category: 'financial', format: 'text', kind: 'payment' },
+  'transaction-currency': { category: 'financial', format: 'text', kind: 'text' },
+  'transaction-amount': { category: 'financial', format: 'number', kind: 'number' },
+  'language': { category: 'generic', format: 'text', kind: 'text' },
+  'bday': { category: 'temporal', format: 'date', kind: 'date' },
+  'bday-day': { category: 'temporal', format: 'number', kind: 'date' },
+  'bday-month': { category: 'temporal', format: 'number', kind: 'date' },
+  'bday-year': { category: 'temporal', format: 'number', kind: 'date' },
+  'sex': { category: 'personal', format: 'text', kind: 'text' },
+  'url': { category: 'generic', format: 'url', kind: 'url' },
+  'photo': { category: 'generic', format: 'url', kind: 'url' },
+  'tel': { category: 'personal', format: 'phone', kind: 'phone' },
+  'tel-country-code': { category: 'personal', format: 'phone', kind: 'phone' },
+  'tel-national': { category: 'personal', format: 'phone', kind: 'phone' },
+  'tel-area-code': { category: 'personal', format: 'phone', kind: 'phone' },
+  'tel-local': { category: 'personal', format: 'phone', kind: 'phone' },
+  'tel-extension': { category: 'personal', format: 'phone', kind: 'phone' },
+  'email': { category: 'personal', format: 'email', kind: 'email' },
+  'impp': { category: 'personal', format: 'url', kind: 'url' }
+};
+
+// 可以带联系方式修饰符（home、work等）的令牌
+const CONTACT_TOKENS = ['tel', 'tel-country-code', 'tel-national', 'tel-area-code',
+  'tel-local', 'tel-extension', 'email', 'impp'];
+const CONTACT_MODIFIERS = ['home', 'work', 'mobile', 'fax', 'pager'];
+const ADDRESS_MODIFIERS = ['shipping', 'billing'];
+
+// 启发式规则：字段名、标签和占位文本 -> autocomplete令牌，按顺序匹配
+// 文本已按空白、标点和驼峰拆分为以空格分隔的小写单词，规则只匹配完整的单词，
+// 避免 hotel、ethnicity、adobe 之类包含关键词的单词被误判
+const HEURISTIC_RULES = [
+  [/\be ?mail\b|^mail$/, 'email'],
+  [/\bone ?time\b|\botp\b|\bverification code\b/, 'one-time-code'],
+  [/\bpass ?word\b|\bpasswd\b|\bpwd\b/, 'current-password'],
+  [/\bcard ?holder\b|\bname on card\b/, 'cc-name'],
+  [/\bcard ?(number|num|no)\b|\bcc ?(number|num)\b/, 'cc-number'],
+  [/\b(cvv|cvc|csc)\b|\bsecurity code\b/, 'cc-csc'],
+  [/\bexpir|\b(card|cc) ?exp/, 'cc-exp'],
+  [/\b(tele|cell|mobile ?)?phone\b|\bmobile\b|\btel\b/, 'tel'],
+  [/\bzip( ?code)?\b|\bpostal\b|\bpost ?code\b/, 'postal-code'],
+  [/\bcountry\b/, 'country'],
+  [/\bcity\b|\btown\b/, 'address-level2'],
+  [/\bstate\b|\bprovince\b|\bregion\b/, 'address-level1'],
+  [/\baddress\b|\bstreet\b|\baddr\b/, 'street-address'],
+  [/\bfirst ?name\b|\bgiven ?name\b|\bforename\b/, 'given-name'],
+  [/\blast ?name\b|\bfamily ?name\b|\bsurname\b/, 'family-name'],
+  [/\bmiddle ?name\b/, 'additional-name'],
+  [/\buser ?name\b|\blogin\b/, 'username'],
+  [/\bcompany\b|\borgani[sz]ation\b|\bemployer\b/, 'organization'],
+  [/\bjob ?title\b|\bposition\b/, 'organization-title'],
+  [/\bbirthday\b|\bbirth ?date\b|\bdate of birth\b|\bdob\b/, 'bday'],
+  [/\bwebsite\b|\bhomepage\b|\burl\b/, 'url'],
+  [/\bfull ?name\b|^name$/, 'name']
+];
+
+// 没有对应令牌时按关键词分类
+const CATEGORY_KEYWORDS = {
+  personal: ['name', 'phone', 'address'],
+  professional: ['company', 'title', 'department', 'position'],
+  temporal: ['date', 'time', 'birthday', 'dob', 'year'],
+  location: ['city', 'state', 'country', 'zipcode', 'postal', 'location'],
+  financial: ['card', 'credit', 'payment', 'price', 'cost'],
+  identification: ['id', 'passport', 'ssn', 'social']
+};
+
+// input类型 -> autocomplete令牌
+const INPUT_TYPE_TOKENS = {
+  'email': 'email',
+  'tel': 'tel',
+  'url': 'url',
+  'password': 'current-password'
+};
+
+// 没有令牌时input类型 -> 类别和预期格式
+const INPUT_TYPE_SEMANTICS = {
+  'date': { category: 'temporal', format: 'date', kind: 'date' },
+  'month': { category: 'temporal', format: 'date', kind: 'date' },
+  'number': { category: 'financial', format: 'number', kind: 'number' }
+};
+
+/**
+ * 字段语义解析类
+ * Field Semantics Resolver
+ *
+ * 优先读取WHATWG标准的autocomplete属性（如 `shipping street-address`、`cc-exp`），
+ * 没有可识别的令牌时再根据字段名、标签和占位文本推断。
+ * 其它模块统一通过它获取字段类别、预期格式和字段类型。
+ */
+export class FieldSemantics {
+  /**
+   * 解析字段语义
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述 { name, type, autocomplete, label, placeholder } 或字段名
+   * @returns {Object} 语义 { token, section, addressType, contact, category, format, kind, source }
+   */
+  resolve(field) {
+    const descriptor = typeof field === 'string' ? { name: field } : (field || {});
+    const inputType = (descriptor.type || '').toLowerCase();
+    
+    // 1. autocomplete属性
+    const parsed = this.parseAutocomplete(this._getAttribute(descriptor, 'autocomplete'));
+    if (parsed) {
+      return this._describe(parsed, 'autocomplete', descriptor);
+    }
+    
+    // 2. 字段名、标签和占位文本
+    const text = this._getWords(descriptor);
+    for (const [pattern, token] of HEURISTIC_RULES) {
+      if (text.some(value => pattern.test(value))) {
+        return this._describe({ token }, 'heuristic', descriptor);
+      }
+    }
+    
+    // 3. input类型
+    if (INPUT_TYPE_TOKENS[inputType]) {
+      return this._describe({ token: INPUT_TYPE_TOKENS[inputType] }, 'type', descriptor);
+    }
+    
+    return this._describe({ token: null }, 'heuristic', descriptor);
+  }
+  
+  /**
+   * 解析autocomplete属性值
+   * 格式：[section-*] [shipping|billing] [home|work|mobile|fax|pager] 字段令牌 [webauthn]
+   * @param {string} value - autocomplete属性值
+   * @returns {Object|null} { token, section, addressType, contact }，无法识别时返回null
+   */
+  parseAutocomplete(value) {
+    if (!value || typeof value !== 'string') return null;
+    
+    const tokens = value.trim().toLowerCase().split(/\s+/);
+    if (tokens[tokens.length - 1] === 'webauthn') {
+      tokens.pop();
+    }
+    
+    const token = tokens.pop();
+    if (!token || !FIELD_TOKENS[token]) return null;
+    
+    const result = { token, section: null, addressType: null, contact: null };
+    
+    if (tokens.length > 0 && CONTACT_MODIFIERS.includes(tokens[tokens.length - 1])) {
+      // 联系方式修饰符只能用于电话、邮箱等令牌
+      if (!CONTACT_TOKENS.includes(token)) return null;
+      result.contact = tokens.pop();
+    }
+    
+    if (tokens.length > 0 && ADDRESS_MODIFIERS.includes(tokens[tokens.length - 1])) {
+      result.addressType = tokens.pop();
+    }
+    
+    if (tokens.length > 0 && tokens[tokens.length - 1].startsWith('section-')) {
+      result.section = tokens.pop().slice('section-'.length);
+    }
+    
+    // 还有剩余令牌说明属性值不合法
+    return tokens.length === 0 ? result : null;
+  }
+  
+  /**
+   * 组装语义结果
+   * @param {Object} parsed - 解析结果 { token, section, addressType, contact }
+   * @param {string} source - 来源：'autocomplete'、'heuristic' 或 'type'
+   * @param {Object} descriptor - 字段描述
+   * @returns {Object} 语义
+   */
+  _describe(parsed, source, descriptor) {
+    const inputType = (descriptor.type || '').toLowerCase();
+    const semantics = {
+      token: parsed.token,
+      section: parsed.section || null,
+      addressType: parsed.addressType || null,
+      contact: parsed.contact || null,
+      category: 'generic',
+      format: 'text',
+      kind: 'text',
+      source: parsed.token ? source : 'none'
+    };
+    
+    if (parsed.token) {
+      Object.assign(semantics, FIELD_TOKENS[parsed.token]);
+      return semantics;
+    }
+    
+    // 没有令牌时，根据input类型和关键词推断
+    if (INPUT_TYPE_SEMANTICS[inputType]) {
+      return Object.assign(semantics, INPUT_TYPE_SEMANTICS[inputType]);
+    }
+    
+    const text = this._getDescriptiveText(descriptor);
+    for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+      if (keywords.some(keyword => text.some(value => value.includes(keyword)))) {
+        semantics.category = category;
+        break;
+      }
+    }
+    
+    if (text.some(value => value.includes('date'))) {
+      semantics.format = 'date';
+      semantics.kind = 'date';
+    } else if (text.some(value => /number|count|qty|quantity|amount/.test(value))) {
+      semantics.kind = 'number';
+    }
+    
+    if (this._getAttribute(descriptor, 'pattern')) {
+      semantics.format = 'custom';
+    }
+    
+    return semantics;
+  }
+  
+  /**
+   * 获取用于按关键词分类的描述文本
+   * @param {Object} descriptor - 字段元素或字段描述
+   * @returns {Array<string>} 小写的描述文本列表
+   */
+  _getDescriptiveText(descriptor) {
+    return this._getText(descriptor).map(value => value.toLowerCase());
+  }
+  
+  /**
+   * 获取拆分为单词的描述性文本
+   * 按驼峰、字母与数字的交界、空白和标点拆分，如 billingZipCode -> "billing zip code"、address_line1 -> "address line 1"
+   * @param {Object} descriptor - 字段元素或字段描述
+   * @returns {Array<string>} 以空格分隔的小写单词
+   */
+  _getWords(descriptor) {
+    return this._getText(descriptor)
+      .map(value => value
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z])([A-Z][a-z])/g, '$1 $2')
+        .replace(/([a-zA-Z])([0-9])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[\s\p{P}\p{S}]+/u)
+        .filter(word => word !== '')
+        .join(' '))
+      .filter(value => value !== '');
+  }
+  
+  /**
+   * 获取字段名、id、标签、aria-label和占位文本
+   * @param {Object} descriptor - 字段元素或字段描述
+   * @returns {Array<string>} 去除首尾空白的文本
+   */
+  _getText(descriptor) {
+    const text = [
+      descriptor.name || this._getAttribute(descriptor, 'name'),
+      descriptor.id,
+      descriptor.label,
+      this._getAttribute(descriptor, 'aria-label'),
+      this._getAttribute(descriptor, 'placeholder')
+    ];
+    
+    // DOM元素的<label>
+    if (descriptor.labels) {
+      Array.from(descriptor.labels).forEach(label => text.push(label.textContent));
+    }
+    
+    return text
+      .filter(value => typeof value === 'string' && value.trim() !== '')
+      .map(value => value.trim());
+  }
+  
+  /**
+   * 读取字段属性，兼容DOM元素和普通对象
+   * @param {Object} descriptor - 字段元素或字段描述
+   * @param {string} name - 属性名
+   * @returns {string} 属性值
+   */
+  _getAttribute(descriptor, name) {
+    if (typeof descriptor.getAttribute === 'function') {
+      return descriptor.getAttribute(name) || '';
+    }
+    const key = name === 'aria-label' ? 'ariaLabel' : name;
+    return descriptor[key] || '';
+  }
+}
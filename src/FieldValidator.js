@@ -1,3 +1,5 @@
+import { FieldSemantics } from './FieldSemantics.js';
+
 /**
  * 字段验证器类
  * Field Validator
@@ -5,8 +7,11 @@
 export class FieldValidator {
   /**
    * 构造函数
+   * @param {FieldSemantics} semantics - 字段语义解析器
    */
-  constructor() {
+  constructor(semantics = new FieldSemantics()) {
+    this.semantics = semantics;
+    
     // 预定义的验证规则
     this.rules = {
       email: this._validateEmail,
@@ -71,10 +76,10 @@ export class FieldValidator {
       });
     }
     
-    // 基于字段名称验证
-    const nameBasedValidation = this._getNameBasedValidation(fieldName, value);
-    if (nameBasedValidation) {
-      validations.push(nameBasedValidation);
+    // 基于字段语义验证（autocomplete属性或字段名称）
+    const semanticValidation = this._getSemanticValidation(field, value);
+    if (semanticValidation && semanticValidation.rule !== fieldType) {
+      validations.push(semanticValidation);
     }
     
     // 检查是否有任何验证失败
@@ -196,16 +201,16 @@ export class FieldValidator {
   }
   
   /**
-   * 基于字段名称的验证
-   * @param {string} fieldName - 字段名称
+   * 基于字段语义的验证
+   * @param {HTMLElement} field - 字段元素
    * @param {any} value - 值
    * @returns {Object|null} 验证结果或null
    */
-  _getNameBasedValidation(fieldName, value) {
-    const lowerName = fieldName.toLowerCase();
+  _getSemanticValidation(field, value) {
+    const { format, kind } = this.semantics.resolve(field);
     
     // 邮箱验证
-    if (lowerName.includes('email')) {
+    if (format === 'email') {
       return {
         rule: 'email',
         valid: this._validateEmail(value),
@@ -214,7 +219,7 @@ export class FieldValidator {
     }
     
     // 电话验证
-    if (lowerName.includes('phone') || lowerName.includes('tel')) {
+    if (format === 'phone') {
       return {
         rule: 'phone',
         valid: this._validatePhone(value),
@@ -223,7 +228,7 @@ export class FieldValidator {
     }
     
     // URL验证
-    if (lowerName.includes('url') || lowerName.includes('website')) {
+    if (format === 'url') {
       return {
         rule: 'url',
         valid: this._validateUrl(value),
@@ -232,7 +237,7 @@ export class FieldValidator {
     }
     
     // 数字验证
-    if (lowerName.includes('number') || lowerName.includes('count') || lowerName.includes('amount')) {
+    if (format === 'number' || kind === 'number') {
       return {
         rule: 'number',
         valid: this._validateNumber(value),
@@ -0,0 +1,112 @@
+/**
+ * 表单作用域类
+ * Form Scope
+ *
+ * 为不同表单的同名字段划分独立的学习空间，例如收货表单和宠物登记表单中的name字段。
+ * 作用域内的数据以 `作用域::字段名` 为键，同时写入全局键，作用域内没有数据时回退到全局模型。
+ */
+export class FormScope {
+  /**
+   * 构造函数
+   * @param {Object} options - 作用域选项
+   * @param {boolean} options.enabled - 是否启用作用域
+   * @param {Array<string>} options.sharedFields - 在所有作用域间共享的字段名
+   * @param {boolean} options.fallbackToGlobal - 作用域内没有数据时是否回退到全局模型
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.sharedFields = new Set(options.sharedFields || []);
+    this.fallbackToGlobal = options.fallbackToGlobal !== false;
+    this.separator = '::';
+  }
+  
+  /**
+   * 解析表单的作用域
+   * 优先级：data-smart-scope属性 > 表单id > URL路径加表单指纹
+   * @param {HTMLElement} form - 表单元素
+   * @returns {string|null} 作用域标识
+   */
+  resolve(form) {
+    if (!this.enabled || !form) return null;
+    
+    if (form.dataset && form.dataset.smartScope) {
+      return form.dataset.smartScope;
+    }
+    
+    if (form.id) {
+      return `id:${form.id}`;
+    }
+    
+    const path = typeof location !== 'undefined' ? location.pathname : '';
+    return `${path}:${this.fingerprint(form)}`;
+  }
+  
+  /**
+   * 计算表单指纹
+   * 基于排序后的字段名，字段顺序变化不影响指纹
+   * @param {HTMLElement} form - 表单元素
+   * @returns {string} 指纹
+   */
+  fingerprint(form) {
+    const names = new Set();
+    form.querySelectorAll('input, textarea, select').forEach(field => {
+      if (field.name) {
+        names.add(field.name);
+      }
+    });
+    
+    // djb2哈希
+    const source = Array.from(names).sort().join('|');
+    let hash = 5381;
+    for (let i = 0; i < source.length; i++) {
+      hash = ((hash << 5) + hash + source.charCodeAt(i)) | 0;
+    }
+    
+    return (hash >>> 0).toString(36);
+  }
+  
+  /**
+   * 判断字段是否在作用域间共享
+   * @param {string} fieldName - 字段名
+   * @returns {boolean} 是否共享
+   */
+  isShared(fieldName) {
+    return this.sharedFields.has(fieldName);
+  }
+  
+  /**
+   * 获取字段在作用域内的键
+   * @param {string} fieldName - 字段名
+   * @param {string|null} scope - 作用域
+   * @returns {string} 存储键
+   */
+  getKey(fieldName, scope) {
+    if (!this.enabled || !scope || this.isShared(fieldName)) {
+      return fieldName;
+    }
+    return `${scope}${this.separator}${fieldName}`;
+  }
+  
+  /**
+   * 获取学习时需要写入的键：作用域键和全局键
+   * @param {string} fieldName - 字段名
+   * @param {string|null} scope - 作用域
+   * @returns {Array<string>} 存储键列表
+   */
+  getWriteKeys(fieldName, scope) {
+    const key = this.getKey(fieldName, scope);
+    return key === fieldName ? [fieldName] : [key, fieldName];
+  }
+  
+  /**
+   * 获取预测时的查找顺序：先作用域键，允许时再回退到全局键
+   * @param {string} fieldName - 字段名
+   * @param {string|null} scope - 作用域
+   * @returns {Array<string>} 存储键列表
+   */
+  getLookupKeys(fieldName, scope) {
+    const key = this.getKey(fieldName, scope);
+    if (key === fieldName) return [fieldName];
+    return this.fallbackToGlobal ? [key, fieldName] : [key];
+  }
+}
@@ -0,0 +1,652 @@
+import { FieldRelationshipGraph } from './FieldRelationshipGraph.js';
+import { FieldPredictionModel } from './FieldPredictionModel.js';
+import { FeatureEngine } from './FeatureEngine.js';
+import { CrossSessionLearner } from './CrossSessionLearner.js';
+import { RealTimePredictionEngine } from './RealTimePredictionEngine.js';
+import { PrivacyPreservingLearner } from './PrivacyPreservingLearner.js';
+import { LocalStorage } from './LocalStorage.js';
+import { FieldValidator } from './FieldValidator.js';
+import { Environment } from './Environment.js';
+import { FormScope } from './FormScope.js';
+import { FieldSemantics } from './FieldSemantics.js';
+import { FieldPolicy } from './FieldPolicy.js';
+import { RidgeRegression } from './RidgeRegression.js';
+
+// 已保存模型的格式版本，模型的序列化结构不兼容地变化时递增
+const MODEL_FORMAT_VERSION = 6;
+
+/**
+ * 无DOM依赖的预测器类
+ * Headless Predictor
+ *
+ * 包含全部学习与预测逻辑，字段以普通对象描述（{ name, type, value, autocomplete }），
+ * 可以在Node、Service Worker或测试中运行。SmartFormPredictor在此基础上添加DOM集成。
+ */
+export class HeadlessPredictor {
+  /**
+   * 构造函数
+   * @param {Object} options - 配置选项
+   * @param {Environment|Object} options.environment - 运行环境，可注入 { now, deviceType, storage }
+   */
+  constructor(options = {}) {
+    const { environment, ...configOptions } = options;
+    this.environment = environment instanceof Environment ? environment : new Environment(environment);
+    
+    this.models = new Map();      // 字段预测模型
+    this.patterns = new Map();    // 用户行为模式
+    this.storage = new LocalStorage('smart-form-', this.environment.storage); // 本地数据存储
+    this.semantics = new FieldSemantics(); // 字段语义解析器
+    this.validator = new FieldValidator(this.semantics); // 字段验证器
+    
+    this.config = this._mergeConfig(this._getDefaultConfig(), configOptions);
+    this.scopes = new FormScope(this.config.scoping); // 表单作用域
+    this.policy = new FieldPolicy(this.config.privacy, this.semantics); // 敏感字段策略
+    
+    // 初始化子模块
+    this.relationshipGraph = new FieldRelationshipGraph(this.semantics);
+    this.featureEngine = new FeatureEngine(this.environment, this.semantics);
+    this.crossSessionLearner = new CrossSessionLearner(this.environment);
+    this.predictionEngine = new RealTimePredictionEngine({
+      environment: this.environment,
+      storage: this.storage,
+      scopes: this.scopes,
+      semantics: this.semantics,
+      models: this.models,
+      policy: this.policy,
+      modelWeight: this.config.prediction.modelWeight,
+      historySize: this.config.models.historySize
+    });
+    this.privacyLearner = new PrivacyPreservingLearner();
+  }
+  
+  /**
+   * 获取默认配置
+   * @returns {Object} 默认配置
+   */
+  _getDefaultConfig() {
+    return {
+      learning: true,
+      privacy: {
+        localOnly: true,
+        autoForget: true,
+        anonymize: true,
+        allow: [],            // 允许学习的字段：字段名、CSS选择器或正则，可覆盖默认排除规则
+        deny: []              // 不学习也不建议的字段，优先于allow
+      },
+      prediction: {
+        confidenceThreshold: 0.7,
+        maxSuggestions: 3,
+        autoComplete: 'smart', // 'off' | 'inline' | 'smart'
+        inlineConfidenceThreshold: 0.9, // smart模式下显示行内补全所需的置信度
+        modelWeight: 0.5, // 与频率统计混合时字段预测模型所占的权重
+        suppressWhileTyping: true, // 用户快速且没有修正地输入时不显示建议
+        fastTypingSpeed: 300  // 视为快速输入的打字速度（字符/分钟）
+      },
+      models: {
+        evaluation: 'kfold',  // 选择算法时的评估方法：'kfold' | 'holdout' | false
+        folds: 5,             // K折交叉验证的折数
+        holdoutRatio: 0.2,    // 留出法中用于测试的最近提交的比例
+        minSamples: 10,       // 开始评估所需的最少提交数，之前使用字段类型的默认算法
+        evaluationInterval: 10, // 每隔多少次提交重新评估，其间只做增量训练
+        maxEvaluationSamples: 200, // 评估时最多使用的最近提交数
+        tolerance: 0.05,      // 数值字段评估时，与提交值的相对误差不超过该比例的预测视为命中
+        historySize: 500,     // 保存的最近提交数，用于重新评估时的完整训练；为0时不保存提交记录，模型只做增量训练
+        k: 5,                 // K近邻的近邻数量
+        metric: 'euclidean',  // K近邻的距离度量：'euclidean' | 'manhattan' | 'hamming'
+        fields: {}            // 按字段覆盖以上选项，如 { email: { k: 3, metric: 'hamming' }, plan: { algorithm: 'knn' } }
+      },
+      scoping: {
+        enabled: true,        // 按表单划分学习空间
+        sharedFields: [],     // 在所有表单间共享的字段名
+        fallbackToGlobal: true // 表单内没有数据时使用全局模型
+      }
+    };
+  }
+  
+  /**
+   * 合并配置，嵌套的配置分组逐项合并而不是整体覆盖
+   * @param {Object} defaults - 默认配置
+   * @param {Object} options - 用户配置
+   * @returns {Object} 合并后的配置
+   */
+  _mergeConfig(defaults, options) {
+    const config = { ...defaults, ...options };
+    
+    for (const [key, value] of Object.entries(defaults)) {
+      const override = options[key];
+      if (value && typeof value === 'object' && !Array.isArray(value) &&
+          override && typeof override === 'object' && !Array.isArray(override)) {
+        config[key] = { ...value, ...override };
+      }
+    }
+    
+    return config;
+  }
+  
+  /**
+   * 加载已保存的模型和模式
+   * @returns {Promise<HeadlessPredictor>} 当前实例
+   */
+  async load() {
+    await this._loadStoredData();
+    return this;
+  }
+  
+  /**
+   * 预测字段值
+   * @param {HTMLElement|Object} field - 字段元素或字段描述 { name, type, value, autocomplete }
+   * @param {Object} formState - 表单状态，值可以是字段状态对象或直接的字段值
+   * @param {Object} options - 选项
+   * @param {string} options.scope - 表单作用域
+   * @returns {Promise<Object>} 预测结果
+   */
+  async predict(field, formState = {}, options = {}) {
+    // 敏感字段不显示建议
+    if (!this.policy.isAllowed(field)) {
+      return { value: null, confidence: 0, alternatives: [], source: 'policy' };
+    }
+    
+    // 用户正在快速输入，说明不需要建议
+    if (this._isTypingFast(field)) {
+      return { value: null, confidence: 0, alternatives: [], source: 'typing' };
+    }
+    
+    const features = this.featureEngine.extractFeatures(field, this._normalizeFormState(formState));
+    return await this.predictionEngine.predictFieldValue(field, features, options.scope || null);
+  }
+  
+  /**
+   * 说明字段模型的预测依据，目前只有分类字段的决策树支持
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述或字段名
+   * @param {Object} formState - 表单状态，值可以是字段状态对象或直接的字段值
+   * @param {Object} options - 选项
+   * @param {string} options.scope - 表单作用域
+   * @returns {string|null} 决策路径，如 country = "FR" → Paris (80% of 5 submissions)
+   */
+  explain(field, formState = {}, options = {}) {
+    if (!this.policy.isAllowed(field)) return null;
+    
+    const fieldName = typeof field === 'string' ? field : field.name;
+    const key = this.scopes.getLookupKeys(fieldName, options.scope || null)
+      .find(lookupKey => this.models.has(lookupKey));
+    if (!key) return null;
+    
+    const values = this.featureEngine.getFieldValues(this._normalizeFormState(formState));
+    return this.models.get(key).explain(FieldPredictionModel.getFeatures(values, fieldName));
+  }
+  
+  /**
+   * 预测表单中所有空字段的值
+   * 已填写的字段作为上下文，空字段之间互不影响
+   * @param {Array<Object>} fields - 字段描述列表 { name, type, value, autocomplete }
+   * @param {Object} options - 选项
+   * @param {string} options.scope - 表单作用域
+   * @returns {Array<Object>} 每个空字段的预测 { name, value, confidence, alternatives, source }
+   */
+  predictForm(fields, options = {}) {
+    const context = {};
+    const emptyFields = [];
+    
+    fields.forEach(field => {
+      // 敏感字段既不作为上下文也不预测
+      if (!this.policy.isAllowed(field)) return;
+      
+      if (field.value !== null && field.value !== undefined && field.value.toString().trim() !== '') {
+        context[field.name] = field.value;
+      } else {
+        emptyFields.push(field);
+      }
+    });
+    
+    return emptyFields.map(field => {
+      const prediction = this.predictionEngine.predictFromContext(field.name, context, options.scope || null);
+      const hasValue = prediction.value !== null && prediction.value !== undefined && prediction.value !== '';
+      
+      return {
+        name: field.name,
+        value: hasValue ? prediction.value : null,
+        confidence: hasValue ? prediction.confidence : 0,
+        alternatives: prediction.alternatives || [],
+        source: prediction.source
+      };
+    });
+  }
+  
+  /**
+   * 用户是否正在快速且没有修正地输入，此时不显示建议
+   * 按键记录由 featureEngine.recordFocus()、recordKeystroke() 和 recordInput() 提供
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述或字段名
+   * @returns {boolean} 是否抑制建议
+   */
+  _isTypingFast(field) {
+    const { suppressWhileTyping, fastTypingSpeed } = this.config.prediction;
+    return Boolean(suppressWhileTyping) && this.featureEngine.isTypingConfidently(field, fastTypingSpeed);
+  }
+  
+  /**
+   * 获取行内补全
+   * @param {HTMLElement|Object} field - 字段元素或字段描述
+   * @param {Object} options - 选项
+   * @param {string} options.scope - 表单作用域
+   * @returns {Object|null} 补全结果 { value, completion, confidence }
+   */
+  getInlineCompletion(field, options = {}) {
+    if (!this.policy.isAllowed(field) || this._isTypingFast(field)) return null;
+    return this.predictionEngine.getInlineCompletion(field, options.scope || null);
+  }
+  
+  /**
+   * 记录用户对建议的反馈，用于调整之后的建议排序
+   * 被接受的值置信度提高，反复被拒绝的值排名下降直至不再建议
+   * @param {string} fieldName - 字段名
+   * @param {string} suggestion - 建议值
+   * @param {string} outcome - 'accepted'（接受）、'dismissed'（关闭）或 'overridden'（被用户改写）
+   * @param {Object} options - 选项
+   * @param {string} options.scope - 表单作用域
+   */
+  recordFeedback(fieldName, suggestion, outcome, options = {}) {
+    const outcomes = ['accepted', 'dismissed', 'overridden'];
+    if (!outcomes.includes(outcome)) {
+      throw new Error(`Unknown feedback outcome: ${outcome}`);
+    }
+    
+    this.predictionEngine.recordFeedback(fieldName, suggestion, outcome, options.scope || null);
+  }
+  
+  /**
+   * 从提交中学习
+   * @param {Object} formData - 表单数据
+   * @param {Object} options - 选项
+   * @param {string} options.scope - 表单作用域，数据同时计入该作用域和全局模型
+   * @param {Array<HTMLElement|Object>} options.fields - 提交的字段元素或描述，用于按类型、autocomplete等判断敏感字段
+   * @param {Array<Object>} options.sequence - 焦点访问顺序和停留时间 [{ name, dwell }]，默认使用featureEngine记录的该作用域的访问
+   */
+  async learnFromSubmission(formData, options = {}) {
+    if (!this.config.learning) return;
+    
+    const scope = options.scope || null;
+    
+    // 排除密码、银行卡等敏感字段，以及无法作为字段值学习的对象
+    const allowedData = this._normalizeSubmission(this.policy.filter(formData, options.fields));
+    if (Object.keys(allowedData).length === 0) return;
+    
+    // 实际的填写顺序随提交保存，之后的填写重新记录
+    const sequence = (options.sequence || this.featureEngine.getFocusSequence(scope))
+      .filter(visit => visit.name in allowedData);
+    this.featureEngine.clearFocusHistory(scope);
+    
+    // 使用隐私保护方式学习
+    const privateData = this.config.privacy.anonymize ? 
+      this.privacyLearner.learnWithPrivacy([allowedData], 0.1) : 
+      [allowedData];
+    
+    // 将数据添加到预测引擎的训练数据中
+    this.predictionEngine.addTrainingData(privateData[0], scope, sequence);
+    
+    // 以包含本次提交的记录更新模型
+    await this._updateModels(privateData[0], scope, options.fields, sequence);
+    
+    // 保存学习到的模式和模型
+    await this._savePatterns();
+    await this._saveModels();
+  }
+  
+  /**
+   * 规范化提交的字段值
+   * 字符串、数值和布尔值保持不变，Date转换为ISO字符串，集合值逐个选项规范化；
+   * 其他对象无法作为字段值比较和补全，连同null、undefined一起丢弃
+   * @param {Object} formData - 表单数据
+   * @returns {Object} 规范化后的表单数据
+   */
+  _normalizeSubmission(formData) {
+    const normalize = value => {
+      if (['string', 'number', 'boolean'].includes(typeof value)) return value;
+      if (value instanceof Date && !isNaN(value.getTime())) return value.toISOString();
+      return undefined;
+    };
+    
+    const normalized = {};
+    for (const [fieldName, value] of Object.entries(formData)) {
+      const result = Array.isArray(value) ?
+        value.map(normalize).filter(option => option !== undefined) :
+        normalize(value);
+      
+      if (result === undefined) {
+        if (value !== null && value !== undefined) {
+          console.warn(`Ignoring non-primitive value for field ${fieldName}`);
+        }
+        continue;
+      }
+      normalized[fieldName] = result;
+    }
+    return normalized;
+  }
+  
+  /**
+   * 更新预测模型
+   * @param {Object} formData - 表单数据
+   * @param {string|null} scope - 表单作用域
+   * @param {Array<HTMLElement|Object>} fields - 提交的字段元素或描述，用于判断字段类型
+   * @param {Array<Object>} sequence - 焦点访问顺序 [{ name, dwell }]
+   */
+  async _updateModels(formData, scope = null, fields = [], sequence = []) {
+    // 更新字段关系图谱
+    this.relationshipGraph.discoverRelationships([formData], [sequence]);
+    
+    // 跨会话学习
+    this.crossSessionLearner.learnCrossSessionPatterns([formData]);
+    
+    // 更新模式数据
+    this._updatePatterns(formData, scope);
+    
+    // 为每个字段更新预测模型，集合值由预测引擎逐个选项统计
+    for (const [fieldName, value] of Object.entries(formData)) {
+      if (Array.isArray(value)) continue;
+      
+      for (const key of this.scopes.getWriteKeys(fieldName, scope)) {
+        if (!this.models.has(key)) {
+          // 根据字段类型创建模型
+          const field = Array.from(fields || []).find(item => item && item.name === fieldName);
+          const fieldType = this._detectFieldType(field || fieldName, value);
+          this.models.set(key, new FieldPredictionModel(fieldType));
+        }
+        
+        // 配置可能在模型保存之后改变，训练时总是使用当前的选项
+        const model = this.models.get(key);
+        model.options = this._getModelOptions(fieldName);
+        
+        // 通常只用本次提交增量更新。还没有模型时在保存的提交上训练；需要重新评估算法时
+        // 先增量更新，再在保存的提交上评估，其他算法胜出时才替换模型。
+        // 全局键使用所有提交，作用域键只使用该作用域的提交；没有保存提交记录时始终增量更新
+        const sample = { features: FieldPredictionModel.getFeatures(formData, fieldName), label: value };
+        if (!model.isRetrainDue()) {
+          model.partialFit(sample);
+          continue;
+        }
+        
+        const { features, labels } = this._getTrainingSet(fieldName, key === fieldName ? null : scope);
+        if (!model.model && labels.length > 0) {
+          await model.train(features, labels);
+        } else {
+          model.partialFit(sample);
+          await model.reevaluate(features, labels);
+        }
+      }
+    }
+  }
+  
+  /**
+   * 获取字段的算法选项，字段级配置优先于全局配置
+   * @param {string} fieldName - 字段名
+   * @returns {Object} 选项 { algorithm, evaluation, folds, holdoutRatio, minSamples, evaluationInterval, maxEvaluationSamples, tolerance, k, metric }
+   */
+  _getModelOptions(fieldName) {
+    const { fields, ...defaults } = this.config.models;
+    return { ...defaults, ...(fields && fields[fieldName]) };
+  }
+  
+  /**
+   * 从保存的最近提交中生成字段的训练集，以同一次提交中其他字段的值作为特征
+   * @param {string} fieldName - 字段名
+   * @param {string|null} scope - 只使用该作用域的提交，为null时使用所有提交
+   * @returns {Object} { features, labels }
+   */
+  _getTrainingSet(fieldName, scope = null) {
+    const features = [];
+    const labels = [];
+    
+    this.predictionEngine.submissionHistory.forEach(record => {
+      const value = record.values[fieldName];
+      if (scope !== null && record.scope !== scope) return;
+      if (value === null || value === undefined || Array.isArray(value) || value.toString() === '') return;
+      
+      features.push(FieldPredictionModel.getFeatures(record.values, fieldName));
+      labels.push(value);
+    });
+    
+    return { features, labels };
+  }
+  
+  /**
+   * 更新模式数据
+   * @param {Object} formData - 表单数据
+   * @param {string|null} scope - 表单作用域
+   */
+  _updatePatterns(formData, scope = null) {
+    // 为每个字段更新模式数据
+    for (const [fieldName, value] of Object.entries(formData)) {
+      for (const key of this.scopes.getWriteKeys(fieldName, scope)) {
+        // 如果该字段还没有模式数据，创建一个新的Set
+        if (!this.patterns.has(key)) {
+          this.patterns.set(key, new Set());
+        }
+        
+        // 将值添加到模式数据中，集合值按选项添加
+        const fieldPatterns = this.patterns.get(key);
+        [].concat(value).forEach(option => fieldPatterns.add(option));
+      }
+    }
+  }
+  
+  /**
+   * 检测字段类型
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述或字段名
+   * @param {any} value - 字段值
+   * @returns {string} 字段类型
+   */
+  _detectFieldType(field, value) {
+    // 基于字段语义和值类型检测
+    if (typeof value === 'number') return 'numerical';
+    if (typeof value === 'string') {
+      const { kind } = this.semantics.resolve(field);
+      const inputType = typeof field === 'string' ? '' : (field.type || '').toLowerCase();
+      // 表单中的数值以字符串提交
+      if (kind === 'number' && RidgeRegression.toNumber(value) !== null) return 'numerical';
+      // 下拉框、单选按钮以及国家、省份等取值有限的字段
+      if (['select-one', 'radio'].includes(inputType) || ['country', 'state'].includes(kind)) return 'categorical';
+      return ['email', 'phone', 'date'].includes(kind) ? kind : 'text';
+    }
+    return 'generic';
+  }
+  
+  /**
+   * 获取各字段模型的评估结果，可据此决定哪些字段显示建议
+   * @returns {Object} { 模型键: { fieldType, algorithm, method, top1, top3, samples, results } }，
+   *   作用域内的模型键包含作用域前缀；样本不足、尚未评估的模型不包含在内
+   */
+  getModelAccuracy() {
+    const accuracy = {};
+    
+    for (const [key, model] of this.models) {
+      if (!model.evaluation) continue;
+      
+      const { algorithm, method, top1, top3, samples, results } = model.evaluation;
+      accuracy[key] = { fieldType: model.fieldType, algorithm, method, top1, top3, samples, results };
+    }
+    
+    return accuracy;
+  }
+  
+  /**
+   * 获取输入建议
+   * @param {string} field - 字段名
+   * @param {string} partialValue - 部分输入值
+   * @param {Object} options - 选项
+   * @param {string} options.scope - 表单作用域
+   * @returns {Array} 建议列表
+   */
+  getSuggestions(field, partialValue, options = {}) {
+    const suggestions = [];
+    if (!this.policy.isAllowed(field)) return suggestions;
+    
+    const key = this.scopes.getLookupKeys(field, options.scope || null)
+      .find(lookupKey => this.patterns.has(lookupKey));
+    if (key) {
+      const fieldPatterns = this.patterns.get(key);
+      const prefix = partialValue === null || partialValue === undefined ? '' : String(partialValue);
+      // 基于历史模式生成建议，数值等非字符串的值按字符串比较
+      for (const pattern of fieldPatterns) {
+        if (String(pattern).startsWith(prefix)) {
+          suggestions.push(pattern);
+        }
+      }
+    }
+    return suggestions.slice(0, this.config.prediction.maxSuggestions);
+  }
+  
+  /**
+   * 导出字段的学习状态：模型、模式和计数表
+   * Worker模式下学习完成后只把提交涉及的字段发回页面，页面不需要重新加载全部数据
+   * @param {Array<string>} fieldNames - 字段名
+   * @param {Object} options - 选项
+   * @param {string} options.scope - 表单作用域，同时导出作用域键和全局键的状态
+   * @returns {Object} 可结构化克隆的状态 { models, patterns, trainingData }，均以模型键为键
+   */
+  exportFieldState(fieldNames, options = {}) {
+    const state = { models: {}, patterns: {}, trainingData: {} };
+    
+    fieldNames.forEach(fieldName => {
+      this.scopes.getWriteKeys(fieldName, options.scope || null).forEach(key => {
+        if (this.models.has(key)) {
+          state.models[key] = this.models.get(key).toJSON();
+        }
+        if (this.patterns.has(key)) {
+          state.patterns[key] = Array.from(this.patterns.get(key));
+        }
+        if (this.predictionEngine.trainingData.has(key)) {
+          state.trainingData[key] = this.predictionEngine.trainingData.get(key);
+        }
+      });
+    });
+    
+    return state;
+  }
+  
+  /**
+   * 导入 exportFieldState() 导出的字段状态，替换这些字段在内存中的状态
+   * 只更新内存，不写入存储
+   * @param {Object} state - 字段状态 { models, patterns, trainingData }
+   */
+  importFieldState(state) {
+    Object.entries(state.models || {}).forEach(([key, data]) => {
+      try {
+        this.models.set(key, FieldPredictionModel.fromJSON(data));
+      } catch (error) {
+        console.warn(`Failed to import model for ${key}:`, error);
+      }
+    });
+    
+    Object.entries(state.patterns || {}).forEach(([key, values]) => {
+      this.patterns.set(key, new Set(values));
+    });
+    
+    Object.entries(state.trainingData || {}).forEach(([key, table]) => {
+      this.predictionEngine.trainingData.set(key, this.predictionEngine._restoreCountTable(table));
+    });
+    
+    // 训练数据已变化，缓存的预测结果失效
+    this.predictionEngine.predictionCache.clear();
+  }
+  
+  /**
+   * 加载存储的数据
+   */
+  async _loadStoredData() {
+    try {
+      const storedModels = this.storage.getItem('smart-form-models');
+      const storedPatterns = this.storage.getItem('smart-form-patterns');
+      
+      if (storedModels && storedModels.version === MODEL_FORMAT_VERSION) {
+        // 恢复训练好的模型，无需重新训练
+        Object.keys(storedModels.models).forEach(key => {
+          try {
+            this.models.set(key, FieldPredictionModel.fromJSON(storedModels.models[key]));
+          } catch (error) {
+            // 单个模型损坏时跳过，不影响其他模型和模式的恢复
+            console.warn(`Failed to restore model for ${key}:`, error);
+          }
+        });
+      } else if (storedModels) {
+        // 旧版本只保存了字段类型，丢弃后由之后的提交重新训练
+        console.warn(`Ignoring stored models with unsupported format version: ${storedModels.version}`);
+      }
+      
+      if (storedPatterns) {
+        // 恢复模式
+        Object.keys(storedPatterns).forEach(fieldName => {
+          this.patterns.set(fieldName, new Set(storedPatterns[fieldName]));
+        });
+      }
+    } catch (error) {
+      console.warn('Failed to load stored data:', error);
+    }
+  }
+  
+  /**
+   * 保存模式数据
+   */
+  async _savePatterns() {
+    try {
+      // 转换Map为可序列化的对象
+      const serializablePatterns = {};
+      for (const [key, value] of this.patterns.entries()) {
+        serializablePatterns[key] = Array.from(value);
+      }
+      
+      this.storage.setItem('smart-form-patterns', serializablePatterns);
+    } catch (error) {
+      console.warn('Failed to save patterns:', error);
+    }
+  }
+  
+  /**
+   * 保存模型数据
+   */
+  async _saveModels() {
+    try {
+      const serializableModels = {};
+      for (const [key, model] of this.models.entries()) {
+        serializableModels[key] = model.toJSON();
+      }
+      
+      this.storage.setItem('smart-form-models', {
+        version: MODEL_FORMAT_VERSION,
+        models: serializableModels
+      });
+    } catch (error) {
+      console.warn('Failed to save models:', error);
+    }
+  }
+  
+  /**
+   * 规范化表单状态
+   * 直接给出的字段值会被包装为字段状态对象，敏感字段按字段名和类型排除
+   * @param {Object} formState - 表单状态
+   * @returns {Object} 规范化后的表单状态
+   */
+  _normalizeFormState(formState) {
+    const state = {};
+    
+    for (const [fieldName, entry] of Object.entries(formState || {})) {
+      const fieldState = entry !== null && typeof entry === 'object' && !Array.isArray(entry) ?
+        entry :
+        { value: entry, type: 'text' };
+      if (this.policy.isAllowed({ name: fieldName, type: fieldState.type })) {
+        state[fieldName] = fieldState;
+      }
+    }
+    
+    return state;
+  }
+  
+  /**
+   * 创建并加载预测器
+   * @param {Object} options - 配置选项
+   * @returns {Promise<HeadlessPredictor>} 加载完成的实例
+   */
+  static async create(options) {
+    // 子类调用时创建子类实例
+    const predictor = new this(options);
+    return await predictor.load();
+  }
+}
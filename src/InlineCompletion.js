@@ -0,0 +1,208 @@
+/**
+ * 行内补全（幽灵文本）类
+ * Inline Ghost-text Completion
+ */
+export class InlineCompletion {
+  /**
+   * 构造函数
+   * @param {Object} options - 选项
+   * @param {Function} options.onAccept - 接受补全时的回调 (field, value) => void
+   */
+  constructor(options = {}) {
+    this.options = {
+      onAccept: null,
+      ...options
+    };
+    
+    this.overlay = null;     // 幽灵文本覆盖层
+    this.activeField = null; // 当前显示补全的字段
+    this.suggestion = null;  // 当前补全 { value, completion, confidence }
+  }
+  
+  /**
+   * 判断字段是否支持行内补全
+   * 只支持单行文本输入框，且光标位于末尾
+   * @param {HTMLElement} field - 字段元素
+   * @returns {boolean} 是否支持
+   */
+  supports(field) {
+    if (!field || field.tagName !== 'INPUT') return false;
+    
+    const textTypes = ['text', 'search', 'email', 'tel', 'url'];
+    if (!textTypes.includes(field.type || 'text')) return false;
+    
+    try {
+      const length = (field.value || '').length;
+      return field.selectionStart === length && field.selectionEnd === length;
+    } catch (e) {
+      // 部分输入类型（如email）不支持selection API
+      return true;
+    }
+  }
+  
+  /**
+   * 显示补全文本
+   * @param {HTMLElement} field - 字段元素
+   * @param {Object} suggestion - 补全结果 { value, completion, confidence }
+   */
+  show(field, suggestion) {
+    if (typeof document === 'undefined') return;
+    if (!suggestion || !suggestion.completion || !this.supports(field)) {
+      this.hide();
+      return;
+    }
+    
+    this.activeField = field;
+    this.suggestion = suggestion;
+    
+    this._ensureOverlay();
+    this._render(field, suggestion);
+  }
+  
+  /**
+   * 隐藏补全文本
+   */
+  hide() {
+    if (this.overlay) {
+      this.overlay.style.display = 'none';
+    }
+    
+    this.activeField = null;
+    this.suggestion = null;
+  }
+  
+  /**
+   * 判断补全是否正在显示
+   * @returns {boolean} 是否显示
+   */
+  isVisible() {
+    return this.activeField !== null && this.suggestion !== null;
+  }
+  
+  /**
+   * 处理键盘事件，Tab或光标位于末尾时的右方向键接受补全
+   * @param {KeyboardEvent} event - 键盘事件
+   * @param {HTMLElement} field - 事件对应的字段，默认为event.target，shadow root中的字段需要显式传入
+   * @returns {boolean} 是否已处理该事件
+   */
+  handleKeyDown(event, field = event.target) {
+    if (!this.isVisible() || field !== this.activeField) return false;
+    
+    const isTab = event.key === 'Tab' && !event.shiftKey;
+    const isRightArrow = event.key === 'ArrowRight' && this.supports(field);
+    if (!isTab && !isRightArrow) return false;
+    
+    event.preventDefault();
+    this.accept();
+    return true;
+  }
+  
+  /**
+   * 接受当前补全
+   */
+  accept() {
+    const field = this.activeField;
+    const suggestion = this.suggestion;
+    this.hide();
+    
+    if (!field || !suggestion) return;
+    
+    if (typeof this.options.onAccept === 'function') {
+      this.options.onAccept(field, suggestion.value);
+    }
+    
+    // 将光标移到末尾
+    try {
+      const length = (field.value || '').length;
+      field.setSelectionRange(length, length);
+    } catch (e) {
+      // 忽略不支持selection API的输入类型
+    }
+  }
+  
+  /**
+   * 销毁覆盖层
+   */
+  destroy() {
+    this.hide();
+    if (this.overlay && this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+    this.overlay = null;
+  }
+  
+  /**
+   * 确保覆盖层元素存在
+   */
+  _ensureOverlay() {
+    if (this.overlay && this.overlay.isConnected) return;
+    
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'sfp-ghost';
+    this.overlay.setAttribute('aria-hidden', 'true');
+    Object.assign(this.overlay.style, {
+      position: 'absolute',
+      pointerEvents: 'none',
+      overflow: 'hidden',
+      whiteSpace: 'pre',
+      boxSizing: 'border-box',
+      borderColor: 'transparent',
+      background: 'transparent',
+      zIndex: 'var(--sfp-z-index, 10000)'
+    });
+    
+    document.body.appendChild(this.overlay);
+  }
+  
+  /**
+   * 渲染覆盖层：不可见的已输入文本 + 灰色的补全文本
+   * @param {HTMLElement} field - 字段元素
+   * @param {Object} suggestion - 补全结果
+   */
+  _render(field, suggestion) {
+    const overlay = this.overlay;
+    const rect = field.getBoundingClientRect();
+    const computed = window.getComputedStyle(field);
+    const scrollX = window.pageXOffset || document.documentElement.scrollLeft || 0;
+    const scrollY = window.pageYOffset || document.documentElement.scrollTop || 0;
+    
+    // 复制影响文本位置的样式，保证幽灵文本与输入文本对齐
+    const copiedProperties = [
+      'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing',
+      'textIndent', 'textTransform', 'lineHeight',
+      'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+      'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+      'borderTopStyle', 'borderRightStyle', 'borderBottomStyle', 'borderLeftStyle'
+    ];
+    copiedProperties.forEach(property => {
+      overlay.style[property] = computed[property];
+    });
+    
+    overlay.style.left = `${rect.left + scrollX}px`;
+    overlay.style.top = `${rect.top + scrollY}px`;
+    overlay.style.width = `${rect.width}px`;
+    overlay.style.height = `${rect.height}px`;
+    overlay.style.display = 'flex';
+    overlay.style.alignItems = 'center';
+    
+    while (overlay.firstChild) {
+      overlay.removeChild(overlay.firstChild);
+    }
+    
+    const inner = document.createElement('span');
+    inner.style.transform = `translateX(${-(field.scrollLeft || 0)}px)`;
+    
+    const typed = document.createElement('span');
+    typed.style.visibility = 'hidden';
+    typed.textContent = field.value;
+    
+    const ghost = document.createElement('span');
+    ghost.className = 'sfp-ghost-text';
+    ghost.style.color = 'var(--sfp-ghost-color, #aaa)';
+    ghost.textContent = suggestion.completion;
+    
+    inner.appendChild(typed);
+    inner.appendChild(ghost);
+    overlay.appendChild(inner);
+  }
+}
@@ -0,0 +1,197 @@
+import { RidgeRegression } from './RidgeRegression.js';
+
+// 距离度量
+const METRICS = ['euclidean', 'manhattan', 'hamming'];
+
+// 加权投票时加在距离上的平滑项，使完全相同的样本权重有限
+const SMOOTHING = 0.1;
+
+/**
+ * K近邻类
+ * K-Nearest Neighbors
+ *
+ * 以其他字段的取值为特征，按距离加权投票预测标签的概率分布。
+ * 数值特征按训练数据的取值范围缩放到0~1；其他特征按Hamming方式编码，取值不同时距离为1，
+ * 等价于one-hot编码下的距离（相差常数倍）。一侧缺失的特征距离为1，两侧都缺失时为0。
+ */
+export class KNearestNeighbors {
+  /**
+   * 构造函数
+   * @param {Object} options - 选项
+   * @param {number} options.k - 近邻数量
+   * @param {string} options.metric - 距离度量：'euclidean'、'manhattan' 或 'hamming'（数值也按是否相等比较）
+   * @param {number} options.maxSamples - 保留的最近样本数，限制预测的耗时
+   */
+  constructor(options = {}) {
+    this.k = options.k || 5;
+    this.metric = options.metric || 'euclidean';
+    this.maxSamples = options.maxSamples || 500;
+    
+    if (!METRICS.includes(this.metric)) {
+      throw new Error(`Unknown distance metric: ${this.metric}`);
+    }
+    
+    this.features = [];   // 训练样本的特征
+    this.labels = [];     // 训练样本的标签
+    this.ranges = {};     // 数值特征的取值范围 { fieldName: { min, max } }，出现过非数值的特征为null
+  }
+  
+  /**
+   * 训练模型，保存样本并确定数值特征的取值范围
+   * @param {Array<Object>} features - 特征 [{ fieldName: value }]
+   * @param {Array} labels - 标签
+   * @returns {KNearestNeighbors} 当前实例
+   */
+  fit(features, labels) {
+    this.features = [];
+    this.labels = [];
+    this.ranges = {};
+    
+    labels.forEach((label, index) => this.partialFit(features[index] || {}, label));
+    return this;
+  }
+  
+  /**
+   * 增量训练：加入一个样本并扩展数值特征的取值范围
+   * 超过maxSamples时丢弃最早的样本，取值范围保持不变
+   * @param {Object} features - 特征 { fieldName: value }
+   * @param {any} label - 标签
+   * @returns {KNearestNeighbors} 当前实例
+   */
+  partialFit(features, label) {
+    if (label === null || label === undefined || label.toString() === '') return this;
+    
+    const sample = features || {};
+    this.features.push(sample);
+    this.labels.push(label.toString());
+    if (this.features.length > this.maxSamples) {
+      this.features.shift();
+      this.labels.shift();
+    }
+    
+    this._updateRanges(sample);
+    return this;
+  }
+  
+  /**
+   * 预测标签的概率分布
+   * 近邻的权重为 1 / (距离 + 0.1)，同一标签的权重相加后归一化
+   * @param {Object} features - 特征 { fieldName: value }
+   * @returns {Object} { probabilities: [{ value, probability }], neighbors: [{ label, distance }] }
+   */
+  predict(features) {
+    const neighbors = this.features
+      .map((sample, index) => ({ label: this.labels[index], distance: this.distance(features || {}, sample) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, this.k);
+    
+    const weights = new Map();
+    let total = 0;
+    neighbors.forEach(({ label, distance }) => {
+      const weight = 1 / (distance + SMOOTHING);
+      weights.set(label, (weights.get(label) || 0) + weight);
+      total += weight;
+    });
+    
+    const probabilities = Array.from(weights.entries())
+      .map(([value, weight]) => ({ value, probability: weight / total }))
+      .sort((a, b) => b.probability - a.probability || (a.value < b.value ? -1 : 1));
+    
+    return { probabilities, neighbors };
+  }
+  
+  /**
+   * 计算两组特征之间的距离
+   * @param {Object} a - 特征 { fieldName: value }
+   * @param {Object} b - 特征 { fieldName: value }
+   * @returns {number} 距离
+   */
+  distance(a, b) {
+    const names = new Set([...Object.keys(a), ...Object.keys(b)]);
+    let sum = 0;
+    
+    for (const name of names) {
+      const difference = this._difference(name, a[name], b[name]);
+      sum += this.metric === 'euclidean' ? difference * difference : difference;
+    }
+    
+    return this.metric === 'euclidean' ? Math.sqrt(sum) : sum;
+  }
+  
+  /**
+   * 序列化模型
+   * @returns {Object} 可JSON序列化的对象
+   */
+  toJSON() {
+    return {
+      k: this.k,
+      metric: this.metric,
+      maxSamples: this.maxSamples,
+      features: this.features,
+      labels: this.labels,
+      ranges: this.ranges
+    };
+  }
+  
+  /**
+   * 从序列化数据恢复模型
+   * @param {Object} data - toJSON()的结果
+   * @returns {KNearestNeighbors} 模型实例
+   */
+  static fromJSON(data) {
+    const knn = new KNearestNeighbors({ k: data.k, metric: data.metric, maxSamples: data.maxSamples });
+    knn.features = data.features;
+    knn.labels = data.labels;
+    knn.ranges = data.ranges;
+    return knn;
+  }
+  
+  /**
+   * 用一个样本更新数值特征的取值范围
+   * 只有所有取值都是数值的特征按数值处理，出现非数值后该特征不再有取值范围
+   * @param {Object} sample - 样本的特征
+   */
+  _updateRanges(sample) {
+    Object.entries(sample).forEach(([name, value]) => {
+      const number = RidgeRegression.toNumber(value);
+      const range = this.ranges[name];
+      
+      if (number === null) {
+        this.ranges[name] = null;
+      } else if (range) {
+        range.min = Math.min(range.min, number);
+        range.max = Math.max(range.max, number);
+      } else if (range === undefined) {
+        this.ranges[name] = { min: number, max: number };
+      }
+    });
+  }
+  
+  /**
+   * 计算单个特征上的差异，取值在0~1之间
+   * @param {string} name - 特征名
+   * @param {any} a - 取值
+   * @param {any} b - 取值
+   * @returns {number} 差异
+   */
+  _difference(name, a, b) {
+    const missingA = a === null || a === undefined;
+    const missingB = b === null || b === undefined;
+    if (missingA || missingB) {
+      return missingA && missingB ? 0 : 1;
+    }
+    
+    const range = this.ranges[name];
+    if (range && this.metric !== 'hamming') {
+      const x = RidgeRegression.toNumber(a);
+      const y = RidgeRegression.toNumber(b);
+      if (x !== null && y !== null) {
+        // 取值范围为0时只比较是否相等，超出训练范围的差异按1计算
+        const width = range.max - range.min;
+        return width > 0 ? Math.min(Math.abs(x - y) / width, 1) : (x === y ? 0 : 1);
+      }
+    }
+    
+    return a.toString() === b.toString() ? 0 : 1;
+  }
+}
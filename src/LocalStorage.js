@@ -6,9 +6,11 @@ export class LocalStorage {
   /**
    * 构造函数
    * @param {string} prefix - 存储键前缀
+   * @param {Object} backend - 实现Web Storage接口的存储后端，默认为window.localStorage
    */
-  constructor(prefix = 'smart-form-') {
+  constructor(prefix = 'smart-form-', backend = null) {
     this.prefix = prefix;
+    this.backend = backend || (typeof window !== 'undefined' ? window.localStorage : null);
     this.isEnabled = this._testStorageAvailability();
   }
   
@@ -19,8 +21,8 @@ export class LocalStorage {
   _testStorageAvailability() {
     try {
       const testKey = '__storage_test__';
-      window.localStorage.setItem(testKey, testKey);
-      window.localStorage.removeItem(testKey);
+      this.backend.setItem(testKey, testKey);
+      this.backend.removeItem(testKey);
       return true;
     } catch (e) {
       console.warn('Local storage is not available:', e);
@@ -39,7 +41,7 @@ export class LocalStorage {
     try {
       const fullKey = this.prefix + key;
       const serializedValue = JSON.stringify(value);
-      window.localStorage.setItem(fullKey, serializedValue);
+      this.backend.setItem(fullKey, serializedValue);
     } catch (e) {
       console.error('Failed to set item in localStorage:', e);
     }
@@ -55,7 +57,7 @@ export class LocalStorage {
     
     try {
       const fullKey = this.prefix + key;
-      const serializedValue = window.localStorage.getItem(fullKey);
+      const serializedValue = this.backend.getItem(fullKey);
       if (serializedValue === null) {
         return null;
       }
@@ -75,7 +77,7 @@ export class LocalStorage {
     
     try {
       const fullKey = this.prefix + key;
-      window.localStorage.removeItem(fullKey);
+      this.backend.removeItem(fullKey);
     } catch (e) {
       console.error('Failed to remove item from localStorage:', e);
     }
@@ -90,15 +92,15 @@ export class LocalStorage {
     try {
       // 只清空带前缀的项
       const keysToRemove = [];
-      for (let i = 0; i < window.localStorage.length; i++) {
-        const key = window.localStorage.key(i);
+      for (let i = 0; i < this.backend.length; i++) {
+        const key = this.backend.key(i);
         if (key && key.startsWith(this.prefix)) {
           keysToRemove.push(key);
         }
       }
       
       keysToRemove.forEach(key => {
-        window.localStorage.removeItem(key);
+        this.backend.removeItem(key);
       });
     } catch (e) {
       console.error('Failed to clear localStorage:', e);
@@ -114,8 +116,8 @@ export class LocalStorage {
     
     try {
       const keys = [];
-      for (let i = 0; i < window.localStorage.length; i++) {
-        const key = window.localStorage.key(i);
+      for (let i = 0; i < this.backend.length; i++) {
+        const key = this.backend.key(i);
         if (key && key.startsWith(this.prefix)) {
           keys.push(key.substring(this.prefix.length));
         }
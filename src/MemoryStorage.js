@@ -0,0 +1,66 @@
+/**
+ * 内存存储类
+ * In-memory Storage
+ *
+ * 实现与Web Storage相同的接口，用于Node、Worker等没有localStorage的环境
+ */
+export class MemoryStorage {
+  /**
+   * 构造函数
+   * @param {Object} initialData - 初始数据 { key: serializedValue }
+   */
+  constructor(initialData = {}) {
+    this.data = new Map(Object.entries(initialData));
+  }
+  
+  /**
+   * 存储项数量
+   * @returns {number} 数量
+   */
+  get length() {
+    return this.data.size;
+  }
+  
+  /**
+   * 获取第index个键
+   * @param {number} index - 索引
+   * @returns {string|null} 键
+   */
+  key(index) {
+    const keys = Array.from(this.data.keys());
+    return index < keys.length ? keys[index] : null;
+  }
+  
+  /**
+   * 获取存储项
+   * @param {string} key - 键
+   * @returns {string|null} 值
+   */
+  getItem(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+  
+  /**
+   * 设置存储项
+   * @param {string} key - 键
+   * @param {string} value - 值
+   */
+  setItem(key, value) {
+    this.data.set(key, String(value));
+  }
+  
+  /**
+   * 删除存储项
+   * @param {string} key - 键
+   */
+  removeItem(key) {
+    this.data.delete(key);
+  }
+  
+  /**
+   * 清空所有存储项
+   */
+  clear() {
+    this.data.clear();
+  }
+}
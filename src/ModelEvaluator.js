@@ -0,0 +1,130 @@
+import { RidgeRegression } from './RidgeRegression.js';
+
+/**
+ * 模型评估类
+ * Model Evaluator
+ *
+ * 在已保存的提交上对字段模型做交叉验证，统计预测值排在第1位和前3位时命中提交值的比例。
+ * 数值字段的回归预测很少与提交值完全相同，设置tolerance后误差在容差范围内的数值预测也算命中。
+ * 模型由调用方通过工厂函数创建，评估器只依赖 train() 和 predictCandidates()。
+ */
+export class ModelEvaluator {
+  /**
+   * 构造函数
+   * @param {Object} options - 选项
+   * @param {string} options.method - 'kfold'（K折交叉验证）或 'holdout'（留出最近的一部分提交）
+   * @param {number} options.folds - K折交叉验证的折数
+   * @param {number} options.holdoutRatio - 留出法中用于测试的比例
+   * @param {number} options.tolerance - 数值预测的相对容差，与提交值之差不超过 tolerance × max(|提交值|, 1) 时视为命中，为0时只有完全相同才命中
+   */
+  constructor(options = {}) {
+    this.method = options.method || 'kfold';
+    this.folds = options.folds || 5;
+    this.holdoutRatio = options.holdoutRatio || 0.2;
+    this.tolerance = options.tolerance || 0;
+    
+    if (!['kfold', 'holdout'].includes(this.method)) {
+      throw new Error(`Unknown evaluation method: ${this.method}`);
+    }
+  }
+  
+  /**
+   * 评估一种模型
+   * @param {Array<Object>} features - 特征 [{ fieldName: value }]
+   * @param {Array} labels - 标签
+   * @param {Function} createModel - 返回未训练模型的工厂函数
+   * @returns {Promise<Object>} { top1, top3, tested }，top1、top3为命中率
+   */
+  async evaluate(features, labels, createModel) {
+    let top1 = 0;
+    let top3 = 0;
+    let tested = 0;
+    
+    for (const testIndexes of this._split(labels.length)) {
+      const isTest = new Set(testIndexes);
+      const trainIndexes = labels.map((label, index) => index).filter(index => !isTest.has(index));
+      if (trainIndexes.length === 0) continue;
+      
+      const model = createModel();
+      await model.train(trainIndexes.map(index => features[index]), trainIndexes.map(index => labels[index]));
+      
+      testIndexes.forEach(index => {
+        const rank = model.predictCandidates(features[index])
+          .slice(0, 3)
+          .findIndex(candidate => this._isHit(candidate.value, labels[index]));
+        
+        if (rank === 0) top1++;
+        if (rank !== -1) top3++;
+        tested++;
+      });
+    }
+    
+    return {
+      top1: tested > 0 ? top1 / tested : 0,
+      top3: tested > 0 ? top3 / tested : 0,
+      tested: tested
+    };
+  }
+  
+  /**
+   * 评估多种算法并选出表现最好的一种
+   * 依次比较第1位命中率和前3位命中率，完全相同时保留列表中靠前的算法
+   * @param {Array<Object>} features - 特征
+   * @param {Array} labels - 标签
+   * @param {Array<string>} algorithms - 候选算法，按优先级排列
+   * @param {Function} createModel - 由算法名返回未训练模型的工厂函数
+   * @returns {Promise<Object>} { algorithm, top1, top3, tested, results: { 算法: { top1, top3, tested } } }
+   */
+  async select(features, labels, algorithms, createModel) {
+    const results = {};
+    let best = null;
+    
+    for (const algorithm of algorithms) {
+      const result = await this.evaluate(features, labels, () => createModel(algorithm));
+      results[algorithm] = result;
+      
+      if (!best || result.top1 > best.top1 || (result.top1 === best.top1 && result.top3 > best.top3)) {
+        best = { algorithm, ...result };
+      }
+    }
+    
+    return { ...best, results };
+  }
+  
+  /**
+   * 判断预测值是否命中提交值
+   * @param {string} value - 预测值
+   * @param {any} expected - 提交值
+   * @returns {boolean} 是否命中
+   */
+  _isHit(value, expected) {
+    if (value === expected.toString()) return true;
+    if (!this.tolerance) return false;
+    
+    const actual = RidgeRegression.toNumber(value);
+    const target = RidgeRegression.toNumber(expected);
+    if (actual === null || target === null) return false;
+    return Math.abs(actual - target) <= this.tolerance * Math.max(Math.abs(target), 1);
+  }
+  
+  /**
+   * 划分测试集
+   * K折时按序号轮流分配，使每一折都包含各个时期的提交；留出法使用最近的提交作为测试集
+   * @param {number} count - 样本数
+   * @returns {Array<Array<number>>} 每一轮的测试样本序号
+   */
+  _split(count) {
+    if (this.method === 'holdout') {
+      const testSize = Math.max(1, Math.round(count * this.holdoutRatio));
+      const start = Math.max(count - testSize, 1);
+      return [Array.from({ length: count - start }, (value, i) => start + i)];
+    }
+    
+    const folds = Math.min(this.folds, count);
+    const splits = Array.from({ length: folds }, () => []);
+    for (let index = 0; index < count; index++) {
+      splits[index % folds].push(index);
+    }
+    return splits;
+  }
+}
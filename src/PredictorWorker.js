@@ -0,0 +1,92 @@
+import { HeadlessPredictor } from './HeadlessPredictor.js';
+import { WorkerStorage } from './WorkerStorage.js';
+
+// 页面可以在Worker中调用的预测器方法
+const METHODS = ['learnFromSubmission', 'predict', 'getSuggestions', 'recordFeedback'];
+
+/**
+ * 预测器Worker类
+ * Predictor Worker
+ *
+ * 在Web Worker中运行HeadlessPredictor，执行页面通过WorkerClient代理过来的调用。
+ * 消息协议：
+ *   页面 → Worker：{ type: 'init', id, options, deviceType, storage }、{ type: 'call', id, method, args }
+ *   Worker → 页面：{ type: 'result', id, result }、{ type: 'error', id, message }、{ type: 'storage', action, key, value }
+ * learnFromSubmission的结果是提交涉及的字段的状态（见 HeadlessPredictor.exportFieldState()），页面据此更新主线程中的副本。
+ */
+export class PredictorWorker {
+  /**
+   * 构造函数
+   * @param {Object} scope - Worker的全局对象（self），需要提供 addEventListener 和 postMessage
+   */
+  constructor(scope) {
+    this.scope = scope;
+    this.predictor = null;
+    this.ready = null; // 收到init消息后开始加载，之后的调用等待加载完成
+    
+    scope.addEventListener('message', event => this._handleMessage(event.data));
+  }
+  
+  /**
+   * 处理页面发来的消息
+   * @param {Object} message - 消息
+   */
+  async _handleMessage(message) {
+    if (!message || (message.type !== 'init' && message.type !== 'call')) return;
+    
+    try {
+      let result;
+      if (message.type === 'init') {
+        this.ready = this._init(message);
+        result = await this.ready;
+      } else {
+        result = await this._call(message.method, message.args || []);
+      }
+      this.scope.postMessage({ type: 'result', id: message.id, result: result });
+    } catch (error) {
+      this.scope.postMessage({ type: 'error', id: message.id, message: error.message });
+    }
+  }
+  
+  /**
+   * 创建预测器并加载页面存储中的数据
+   * @param {Object} message - init消息
+   * @returns {Promise<null>} 加载完成
+   */
+  async _init(message) {
+    const storage = new WorkerStorage(message.storage, change => {
+      this.scope.postMessage({ type: 'storage', ...change });
+    });
+    
+    this.predictor = await HeadlessPredictor.create({
+      ...message.options,
+      environment: { deviceType: message.deviceType, storage: storage }
+    });
+    return null;
+  }
+  
+  /**
+   * 调用预测器方法
+   * @param {string} method - 方法名
+   * @param {Array} args - 参数
+   * @returns {Promise<any>} 方法的返回值
+   */
+  async _call(method, args) {
+    if (!this.ready) {
+      throw new Error('Predictor worker is not initialized');
+    }
+    await this.ready;
+    
+    if (!METHODS.includes(method)) {
+      throw new Error(`Unknown worker method: ${method}`);
+    }
+    const result = await this.predictor[method](...args);
+    
+    // 学习只改变提交的字段，把这些字段的状态发回页面
+    if (method === 'learnFromSubmission') {
+      const [formData, options = {}] = args;
+      return this.predictor.exportFieldState(Object.keys(formData), options);
+    }
+    return result;
+  }
+}
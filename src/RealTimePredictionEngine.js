@@ -1,3 +1,19 @@
+import { Environment } from './Environment.js';
+import { LocalStorage } from './LocalStorage.js';
+import { FormScope } from './FormScope.js';
+import { FieldSemantics } from './FieldSemantics.js';
+import { FieldPredictionModel } from './FieldPredictionModel.js';
+
+/**
+ * 创建以字段值为键的表
+ * 没有原型，"constructor"、"__proto__" 等用户输入的值按普通的键计数
+ * @param {Object} source - 复制的初始内容
+ * @returns {Object} 表
+ */
+function createTable(source = {}) {
+  return Object.assign(Object.create(null), source);
+}
+
 /**
  * 实时预测引擎类
  * Real-time Prediction Engine
@@ -5,15 +21,42 @@
 export class RealTimePredictionEngine {
   /**
    * 构造函数
+   * @param {Object} options - 选项
+   * @param {Environment} options.environment - 运行环境（时钟、存储）
+   * @param {LocalStorage} options.storage - 存储实例，默认使用环境提供的存储后端
+   * @param {FormScope} options.scopes - 表单作用域，决定训练数据的存储键
+   * @param {FieldSemantics} options.semantics - 字段语义解析器
+   * @param {Map<string, FieldPredictionModel>} options.models - 按作用域键存放的字段预测模型
+   * @param {FieldPolicy} options.policy - 敏感字段策略，排除的字段不参与缓存键
+   * @param {number} options.modelWeight - 混合时模型输出所占的权重（0-1）
+   * @param {number} options.historySize - 保留的最近提交数，用于重新评估算法时的完整训练
    */
-  constructor() {
+  constructor(options = {}) {
+    this.environment = options.environment || new Environment();
+    this.storage = options.storage || new LocalStorage('smart-form-', this.environment.storage);
+    this.scopes = options.scopes || new FormScope();
+    this.semantics = options.semantics || new FieldSemantics();
+    this.models = options.models || new Map();
+    this.policy = options.policy || null;
+    this.modelWeight = options.modelWeight !== undefined ? options.modelWeight : 0.5;
+    
     this.confidenceThreshold = 0.7;
     this.predictionCache = new Map(); // 简化的LRU缓存
     this.cacheSizeLimit = 100;
     
-    // 初始化训练数据存储
+    // 按字段统计的取值次数 作用域键 -> { total, values: { 值: 次数 }, selections: { 键: { value, count } },
+    //   context: { 其他字段: { 小写的值: { values: { 值: 次数 }, selections: { 键: 次数 } } } } }
+    // context记录与其他字段的值同时出现的次数，基于上下文的预测只需要这些计数
     this.trainingData = new Map();
     
+    // 最近的完整提交记录，只在重新评估算法时用于完整训练，预测时不使用
+    this.submissionHistory = [];
+    this.historySizeLimit = options.historySize !== undefined ? options.historySize : 500;
+    
+    // 用户对建议的反馈 作用域键 -> { value: { accepted, rejected } }
+    this.feedback = new Map();
+    this.suppressAfterRejections = 3; // 被拒绝达到该次数且远多于接受次数的值不再建议
+    
     // 从本地存储加载训练数据
     this._loadTrainingData();
   }
@@ -21,38 +64,126 @@ export class RealTimePredictionEngine {
   /**
    * 添加训练数据
    * @param {Object} formData - 表单数据
+   * @param {string|null} scope - 表单作用域
+   * @param {Array<Object>} sequence - 焦点访问顺序和停留时间 [{ name, dwell }]
    */
-  addTrainingData(formData) {
-    // 为每个字段添加训练数据
+  addTrainingData(formData, scope = null, sequence = []) {
+    // 为每个字段添加训练数据，同时写入作用域键和全局键
     for (const [fieldName, value] of Object.entries(formData)) {
-      if (!this.trainingData.has(fieldName)) {
-        this.trainingData.set(fieldName, []);
+      for (const key of this.scopes.getWriteKeys(fieldName, scope)) {
+        if (!this.trainingData.has(key)) {
+          this.trainingData.set(key, this._createCountTable());
+        }
+        
+        // 只累加计数，预测时不需要遍历历史记录
+        this._countValue(this.trainingData.get(key), value);
       }
-      
-      // 添加数据到训练集
-      this.trainingData.get(fieldName).push({
-        value: value,
-        timestamp: Date.now()
+    }
+    this._countContext(formData, scope);
+    
+    // 记录完整提交，保留字段之间的关联和实际的填写顺序
+    if (this.historySizeLimit > 0) {
+      this.submissionHistory.push({
+        values: { ...formData },
+        scope: scope,
+        sequence: sequence,
+        timestamp: this.environment.now()
       });
+      if (this.submissionHistory.length > this.historySizeLimit) {
+        this.submissionHistory.splice(0, this.submissionHistory.length - this.historySizeLimit);
+      }
     }
     
+    // 训练数据已变化，缓存的预测结果失效
+    this.predictionCache.clear();
+    
     // 保存训练数据到本地存储
     this._saveTrainingData();
   }
   
+  /**
+   * 创建字段的计数表
+   * @returns {Object} { total, values, selections }
+   */
+  _createCountTable() {
+    return { total: 0, values: createTable(), selections: createTable(), context: createTable() };
+  }
+  
+  /**
+   * 在计数表中计入一个值
+   * 集合值按选中的选项组合计数，与选中顺序无关
+   * @param {Object} table - 计数表
+   * @param {any} value - 字段值
+   */
+  _countValue(table, value) {
+    if (value === null || value === undefined) return;
+    table.total++;
+    
+    if (Array.isArray(value)) {
+      const key = JSON.stringify(value.map(option => option.toString()).sort());
+      const entry = table.selections[key] || { value: value, count: 0 };
+      entry.count++;
+      table.selections[key] = entry;
+      return;
+    }
+    
+    const key = value.toString();
+    table.values[key] = (table.values[key] || 0) + 1;
+  }
+  
+  /**
+   * 统计一次提交中每个字段的值与其他字段的值同时出现的次数
+   * 空值不作为预测目标，其他字段的值不区分大小写
+   * @param {Object} formData - 表单数据
+   * @param {string|null} scope - 表单作用域
+   */
+  _countContext(formData, scope = null) {
+    const entries = Object.entries(formData);
+    
+    for (const [fieldName, value] of entries) {
+      if (!Array.isArray(value) && (value === null || value === undefined || value.toString() === '')) continue;
+      
+      for (const key of this.scopes.getWriteKeys(fieldName, scope)) {
+        if (!this.trainingData.has(key)) {
+          this.trainingData.set(key, this._createCountTable());
+        }
+        const context = this.trainingData.get(key).context;
+        
+        entries.forEach(([otherName, otherValue]) => {
+          if (otherName === fieldName || otherValue === null || otherValue === undefined) return;
+          
+          const otherKey = this.valueKey(otherValue).toLowerCase();
+          context[otherName] = context[otherName] || createTable();
+          const counts = context[otherName][otherKey] || { values: createTable(), selections: createTable() };
+          context[otherName][otherKey] = counts;
+          
+          if (Array.isArray(value)) {
+            const selectionKey = JSON.stringify(value.map(option => option.toString()).sort());
+            counts.selections[selectionKey] = (counts.selections[selectionKey] || 0) + 1;
+          } else {
+            counts.values[value.toString()] = (counts.values[value.toString()] || 0) + 1;
+          }
+        });
+      }
+    }
+  }
+  
   /**
    * 保存训练数据到本地存储
    */
   _saveTrainingData() {
     try {
-      if (typeof localStorage !== 'undefined') {
-        // 转换Map为可序列化的对象
-        const serializableData = {};
-        for (const [key, value] of this.trainingData.entries()) {
-          serializableData[key] = value;
-        }
-        
-        localStorage.setItem('smart-form-training-data', JSON.stringify(serializableData));
+      // 转换Map为可序列化的对象
+      const serializableData = {};
+      for (const [key, value] of this.trainingData.entries()) {
+        serializableData[key] = value;
+      }
+      
+      this.storage.setItem('training-data', serializableData);
+      if (this.historySizeLimit > 0) {
+        this.storage.setItem('submission-history', this.submissionHistory);
+      } else {
+        this.storage.removeItem('submission-history');
       }
     } catch (error) {
       console.warn('Failed to save training data:', error);
@@ -64,29 +195,85 @@ export class RealTimePredictionEngine {
    */
   _loadTrainingData() {
     try {
-      if (typeof localStorage !== 'undefined') {
-        const storedData = localStorage.getItem('smart-form-training-data');
-        if (storedData) {
-          const parsedData = JSON.parse(storedData);
-          
-          // 恢复训练数据
-          Object.keys(parsedData).forEach(fieldName => {
-            this.trainingData.set(fieldName, parsedData[fieldName]);
-          });
+      // 旧版本没有同时出现的计数，由保存的提交记录补齐
+      let missingContext = false;
+      
+      const storedData = this.storage.getItem('training-data');
+      if (storedData) {
+        // 恢复训练数据，旧版本保存的是逐条记录，转换为计数表
+        Object.keys(storedData).forEach(fieldName => {
+          this.trainingData.set(fieldName, this._restoreCountTable(storedData[fieldName]));
+          missingContext = missingContext || !storedData[fieldName].context;
+        });
+      }
+      
+      const storedHistory = this.storage.getItem('submission-history');
+      if (storedHistory) {
+        if (missingContext) {
+          storedHistory.forEach(record => this._countContext(record.values, record.scope));
         }
+        this.submissionHistory = this.historySizeLimit > 0 ? storedHistory.slice(-this.historySizeLimit) : [];
+      }
+      
+      const storedFeedback = this.storage.getItem('feedback');
+      if (storedFeedback) {
+        Object.keys(storedFeedback).forEach(fieldName => {
+          this.feedback.set(fieldName, createTable(storedFeedback[fieldName]));
+        });
       }
     } catch (error) {
       console.warn('Failed to load training data:', error);
     }
   }
   
+  /**
+   * 从存储重新读取保存的提交记录
+   * Worker模式下提交记录只由Worker维护，主线程改为自己学习或保存之前需要先读取
+   */
+  reloadSubmissionHistory() {
+    try {
+      const storedHistory = this.storage.getItem('submission-history');
+      this.submissionHistory = storedHistory && this.historySizeLimit > 0 ? storedHistory.slice(-this.historySizeLimit) : [];
+    } catch (error) {
+      console.warn('Failed to load submission history:', error);
+    }
+  }
+  
+  /**
+   * 把反序列化得到的计数数据恢复为计数表，表中的值以没有原型的表保存
+   * @param {Object|Array} stored - 保存的计数表，或旧版本保存的逐条记录
+   * @returns {Object} 计数表
+   */
+  _restoreCountTable(stored) {
+    const table = this._createCountTable();
+    if (Array.isArray(stored)) {
+      stored.forEach(record => this._countValue(table, record.value));
+      return table;
+    }
+    
+    table.total = stored.total;
+    Object.assign(table.values, stored.values);
+    Object.assign(table.selections, stored.selections);
+    Object.entries(stored.context || {}).forEach(([otherName, otherValues]) => {
+      table.context[otherName] = createTable();
+      Object.entries(otherValues).forEach(([otherKey, counts]) => {
+        table.context[otherName][otherKey] = {
+          values: createTable(counts.values),
+          selections: createTable(counts.selections)
+        };
+      });
+    });
+    return table;
+  }
+  
   /**
    * 实时预测字段值
    * @param {HTMLElement} field - 字段元素
    * @param {Object} context - 上下文信息
+   * @param {string|null} scope - 表单作用域
    * @returns {Promise<Object>} 预测结果
    */
-  async predictFieldValue(field, context) {
+  async predictFieldValue(field, context, scope = null) {
     // 检查字段是否存在
     if (!field) {
       return {
@@ -97,15 +284,21 @@ export class RealTimePredictionEngine {
       };
     }
     
-    const cacheKey = this.generateCacheKey(field, context);
+    const cacheKey = this.generateCacheKey(field, context, scope);
     
     // 缓存优化
     if (this.predictionCache.has(cacheKey)) {
       return this.predictionCache.get(cacheKey);
     }
     
-    // 基于训练数据进行预测
-    const prediction = this._predictFromTrainingData(field, context);
+    // 基于训练数据进行预测，并与字段预测模型的输出混合
+    const values = context && context.formContext ? context.formContext.fieldValues : {};
+    const prediction = this._blendWithModel(
+      this._predictFromTrainingData(field, context, scope),
+      field,
+      values,
+      scope
+    );
     
     // 缓存结果
     this._setCache(cacheKey, prediction);
@@ -116,78 +309,481 @@ export class RealTimePredictionEngine {
    * 基于训练数据进行预测
    * @param {HTMLElement} field - 字段元素
    * @param {Object} context - 上下文信息
+   * @param {string|null} scope - 表单作用域
    * @returns {Object} 预测结果
    */
-  _predictFromTrainingData(field, context) {
+  _predictFromTrainingData(field, context, scope = null) {
     const fieldName = field.name;
+    const trainingData = this._getFieldTrainingData(fieldName, scope);
     
     // 检查是否有训练数据
-    if (!this.trainingData.has(fieldName) || this.trainingData.get(fieldName).length === 0) {
+    if (!trainingData) {
       // 如果没有训练数据，返回通用预测
       return this._getGenericPrediction(field, context);
     }
     
-    const trainingData = this.trainingData.get(fieldName);
+    const feedbackKey = this.scopes.getKey(fieldName, scope);
+    
+    // 复选框组和多选下拉框的值是集合，逐个选项预测
+    const selections = Object.values(trainingData.selections);
+    if (selections.length > 0) {
+      return this._predictSelection(
+        selections.map(({ value, count }) => ({ value, weight: count })),
+        feedbackKey,
+        'training-data'
+      );
+    }
     
     // 如果是文本字段且有部分输入，使用前缀匹配
     if (field.value && field.value.length > 0) {
-      const partialValue = field.value;
-      const matches = trainingData.filter(item => 
-        item.value && item.value.toString().toLowerCase().startsWith(partialValue.toLowerCase())
-      );
+      const valueCounts = this._countPrefixMatches(trainingData, field.value);
+      const { ranked, total } = this._rankValues(feedbackKey, valueCounts);
       
-      if (matches.length > 0) {
-        // 返回最常用的匹配值
-        const valueCounts = {};
-        matches.forEach(match => {
-          const value = match.value.toString();
-          valueCounts[value] = (valueCounts[value] || 0) + 1;
-        });
-        
-        let mostFrequentValue = '';
-        let maxCount = 0;
-        
-        for (const [value, count] of Object.entries(valueCounts)) {
-          if (count > maxCount) {
-            maxCount = count;
-            mostFrequentValue = value;
-          }
-        }
-        
-        return {
-          value: mostFrequentValue,
-          confidence: Math.min(0.95, maxCount / matches.length),
-          alternatives: Object.keys(valueCounts).slice(0, 5),
-          source: 'training-data'
-        };
+      if (ranked.length > 0) {
+        // 返回排名最高的匹配值
+        return this._buildPrediction(ranked, total, 'training-data', 0.95);
       }
     }
     
     // 如果没有部分匹配，返回最常用的值
-    const valueCounts = {};
-    trainingData.forEach(item => {
-      const value = item.value.toString();
-      valueCounts[value] = (valueCounts[value] || 0) + 1;
+    const { ranked, total } = this._rankValues(feedbackKey, trainingData.values);
+    
+    // 所有值都被用户拒绝过
+    if (ranked.length === 0) {
+      return {
+        value: null,
+        confidence: 0,
+        alternatives: [],
+        source: 'training-data'
+      };
+    }
+    
+    return this._buildPrediction(ranked, total, 'training-data', 0.9);
+  }
+  
+  /**
+   * 基于已填写字段预测某个字段的值
+   * 与已填写的值一起出现得越多的值权重越高
+   * @param {string} fieldName - 待预测的字段名
+   * @param {Object} filledValues - 已填写字段的值 { fieldName: value }
+   * @param {string|null} scope - 表单作用域
+   * @returns {Object} 预测结果
+   */
+  predictFromContext(fieldName, filledValues = {}, scope = null) {
+    return this._blendWithModel(
+      this._predictFromCooccurrence(fieldName, filledValues, scope),
+      { name: fieldName, value: '' },
+      filledValues,
+      scope
+    );
+  }
+  
+  /**
+   * 基于同时出现的计数预测某个字段的值
+   * 值的权重为其出现次数加上与每个已填写值同时出现次数的2倍，
+   * 等同于逐条比较提交记录、每有一个字段与已填写值一致权重加2，但耗时与提交数无关
+   * @param {string} fieldName - 待预测的字段名
+   * @param {Object} filledValues - 已填写字段的值 { fieldName: value }
+   * @param {string|null} scope - 表单作用域
+   * @returns {Object} 预测结果
+   */
+  _predictFromCooccurrence(fieldName, filledValues = {}, scope = null) {
+    const contextKeys = Object.keys(filledValues).filter(key => key !== fieldName);
+    const scopeKey = this.scopes.getKey(fieldName, scope);
+    
+    // 优先使用同一作用域的计数，没有时回退到全局计数
+    const trainingData = this._getFieldTrainingData(fieldName, scope);
+    const scores = createTable();
+    const selectionScores = createTable();
+    
+    if (trainingData) {
+      Object.entries(trainingData.values).forEach(([value, count]) => {
+        if (value !== '') scores[value] = count;
+      });
+      Object.entries(trainingData.selections).forEach(([key, { count }]) => {
+        selectionScores[key] = count;
+      });
+      
+      contextKeys.forEach(key => {
+        const otherValues = trainingData.context[key];
+        const counts = otherValues && otherValues[this.valueKey(filledValues[key]).toLowerCase()];
+        if (!counts) return;
+        
+        Object.entries(counts.values).forEach(([value, count]) => {
+          scores[value] = (scores[value] || 0) + count * 2;
+        });
+        Object.entries(counts.selections).forEach(([selectionKey, count]) => {
+          selectionScores[selectionKey] = (selectionScores[selectionKey] || 0) + count * 2;
+        });
+      });
+    }
+    
+    // 空集合也是有效的选择
+    const source = contextKeys.length > 0 ? 'context' : 'training-data';
+    const selections = Object.entries(selectionScores)
+      .map(([key, weight]) => ({ value: trainingData.selections[key].value, weight }));
+    if (selections.length > 0) {
+      return this._predictSelection(selections, scopeKey, source);
+    }
+    
+    // 没有非空的值时退回到按字段统计的预测
+    if (Object.keys(scores).length === 0) {
+      return this._predictFromTrainingData({ name: fieldName, value: '' }, filledValues, scope);
+    }
+    
+    const { ranked, total } = this._rankValues(scopeKey, scores);
+    if (ranked.length === 0) {
+      return {
+        value: null,
+        confidence: 0,
+        alternatives: [],
+        source: 'context'
+      };
+    }
+    
+    return this._buildPrediction(ranked, total, source, 0.95);
+  }
+  
+  /**
+   * 由排序后的候选值生成预测结果
+   * @param {Array<Object>} ranked - 排序后的候选值 [{ value, score }]
+   * @param {number} total - 所有候选值的分数之和
+   * @param {string} source - 预测来源
+   * @param {number} maxConfidence - 置信度上限
+   * @returns {Object} 预测结果，candidates中记录每个建议的置信度和来源
+   */
+  _buildPrediction(ranked, total, source, maxConfidence) {
+    const candidates = ranked.slice(0, 5).map(item => ({
+      value: item.value,
+      confidence: Math.min(maxConfidence, item.score / total),
+      source: source
+    }));
+    
+    return {
+      value: candidates[0].value,
+      confidence: candidates[0].confidence,
+      alternatives: candidates.map(candidate => candidate.value),
+      candidates: candidates,
+      source: source
+    };
+  }
+  
+  /**
+   * 将频率统计的预测与字段预测模型的输出混合
+   * 两者都给出候选值时按modelWeight加权，只有一方给出时直接使用该方的置信度
+   * @param {Object} prediction - 基于训练数据或提交记录的预测结果
+   * @param {Object} field - 字段 { name, value }
+   * @param {Object} values - 其他字段的值，作为模型特征
+   * @param {string|null} scope - 表单作用域
+   * @returns {Object} 混合后的预测结果，来源为 'model'、'blend' 或原预测的来源
+   */
+  _blendWithModel(prediction, field, values, scope = null) {
+    // 集合值由_predictSelection逐个选项预测，不使用模型
+    if (Array.isArray(prediction.value)) return prediction;
+    
+    const key = this.scopes.getLookupKeys(field.name, scope).find(lookupKey => this.models.has(lookupKey));
+    if (!key) return prediction;
+    
+    // 频率统计没有与输入匹配的值时会退回到最常见的值，这些值不参与混合
+    const model = this.models.get(key);
+    const prefix = field.value ? field.value.toString().toLowerCase() : '';
+    const frequencyCandidates = (prediction.candidates || [])
+      .filter(candidate => candidate.value.toLowerCase().startsWith(prefix));
+    
+    // 不使用其他字段的模型只在频率统计没有结果时补充候选值
+    if (frequencyCandidates.length > 0 && !model.usesFeatures()) return prediction;
+    
+    // 只保留与部分输入前缀匹配的模型候选值，概率按匹配的候选值重新归一化
+    const matches = model
+      .predictCandidates(FieldPredictionModel.getFeatures(values, field.name), field.value ? field.value.toString() : '')
+      .filter(({ value }) => value !== '' && value.toLowerCase().startsWith(prefix));
+    const matchedProbability = matches.reduce((sum, { probability }) => sum + probability, 0);
+    
+    const modelScores = createTable();
+    const intervals = new Map();
+    matches.forEach(({ value, probability, interval }) => {
+      if (interval) intervals.set(value, interval);
+      modelScores[value] = prefix && matchedProbability > 0 ? probability / matchedProbability : probability;
     });
     
-    let mostFrequentValue = '';
-    let maxCount = 0;
+    // 模型候选值同样受用户反馈影响
+    const { ranked } = this._rankValues(this.scopes.getKey(field.name, scope), modelScores);
+    if (ranked.length === 0) return prediction;
     
+    const frequencyWeight = frequencyCandidates.length > 0 ? 1 - this.modelWeight : 0;
+    const modelWeight = frequencyCandidates.length > 0 ? this.modelWeight : 1;
+    const combined = new Map();
+    
+    frequencyCandidates.forEach(candidate => {
+      combined.set(candidate.value, {
+        value: candidate.value,
+        confidence: frequencyWeight * candidate.confidence,
+        source: candidate.source
+      });
+    });
+    
+    ranked.forEach(({ value, score }) => {
+      const confidence = modelWeight * Math.min(1, score);
+      const entry = combined.get(value);
+      if (entry) {
+        entry.confidence += confidence;
+        entry.source = 'blend';
+      } else {
+        combined.set(value, { value, confidence, source: 'model' });
+      }
+      
+      // 回归模型的预测区间
+      if (intervals.has(value)) {
+        combined.get(value).interval = intervals.get(value);
+      }
+    });
+    
+    const candidates = Array.from(combined.values())
+      .map(candidate => ({ ...candidate, confidence: Math.min(0.95, candidate.confidence) }))
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, 5);
+    
+    return {
+      value: candidates[0].value,
+      confidence: candidates[0].confidence,
+      alternatives: candidates.map(candidate => candidate.value),
+      candidates: candidates,
+      source: candidates[0].source
+    };
+  }
+  
+  /**
+   * 预测集合型字段（复选框组、多选下拉框）的选中项
+   * 每个选项按加权选中率独立判断，超过一半时选中
+   * @param {Array<Object>} selections - 历史选择 [{ value: Array, weight }]
+   * @param {string} feedbackKey - 反馈数据的键（作用域键）
+   * @param {string} source - 预测来源
+   * @returns {Object} 预测结果，value为选中值的数组
+   */
+  _predictSelection(selections, feedbackKey, source) {
+    const optionWeights = createTable();
+    let totalWeight = 0;
+    
+    selections.forEach(({ value, weight }) => {
+      totalWeight += weight;
+      new Set(value.map(option => option.toString())).forEach(option => {
+        optionWeights[option] = (optionWeights[option] || 0) + weight;
+      });
+    });
+    
+    // 被反复拒绝的选项不再选中
+    const { ranked } = this._rankValues(feedbackKey, optionWeights);
+    const selected = ranked
+      .filter(item => optionWeights[item.value] / totalWeight > 0.5)
+      .map(item => item.value);
+    
+    // 置信度为各选项的预测状态与历史选择一致的平均比例
+    const options = Object.keys(optionWeights);
+    const agreement = options.reduce((sum, option) => {
+      const rate = optionWeights[option] / totalWeight;
+      return sum + (selected.includes(option) ? rate : 1 - rate);
+    }, 0);
+    
+    return {
+      value: selected,
+      confidence: options.length > 0 ? Math.min(0.95, agreement / options.length) : 0.95,
+      alternatives: ranked.slice(0, 5).map(item => item.value),
+      source: source
+    };
+  }
+  
+  /**
+   * 获取行内补全（幽灵文本）
+   * 在前缀匹配的基础上，只返回比当前输入更长的候选值
+   * @param {HTMLElement} field - 字段元素
+   * @param {string|null} scope - 表单作用域
+   * @returns {Object|null} 补全结果 { value, completion, confidence }
+   */
+  getInlineCompletion(field, scope = null) {
+    const partialValue = field && field.value ? field.value.toString() : '';
+    const trainingData = field ? this._getFieldTrainingData(field.name, scope) : null;
+    if (!partialValue || !trainingData) {
+      return null;
+    }
+    
+    const feedbackKey = this.scopes.getKey(field.name, scope);
+    const valueCounts = this._countPrefixMatches(trainingData, partialValue);
+    const { total } = this._rankValues(feedbackKey, valueCounts);
+    
+    // 与当前输入等长的值没有可补全的部分
+    const candidates = createTable();
     for (const [value, count] of Object.entries(valueCounts)) {
-      if (count > maxCount) {
-        maxCount = count;
-        mostFrequentValue = value;
+      if (value.length > partialValue.length) {
+        candidates[value] = count;
       }
     }
     
+    // 没有以当前输入开头的历史值时，由文本补全模型补全正在输入的单词
+    if (Object.keys(candidates).length === 0) {
+      return this._getModelCompletion(field.name, partialValue, scope);
+    }
+    
+    const { ranked } = this._rankValues(feedbackKey, candidates);
+    if (ranked.length === 0) {
+      return null;
+    }
+    
+    const { value, score } = ranked[0];
+    
     return {
-      value: mostFrequentValue,
-      confidence: Math.min(0.9, maxCount / trainingData.length),
-      alternatives: Object.keys(valueCounts).slice(0, 5),
-      source: 'training-data'
+      value: value,
+      completion: value.substring(partialValue.length),
+      confidence: Math.min(0.95, score / total)
     };
   }
   
+  /**
+   * 由字段的文本补全模型获取行内补全
+   * @param {string} fieldName - 字段名
+   * @param {string} partialValue - 部分输入值
+   * @param {string|null} scope - 表单作用域
+   * @returns {Object|null} 补全结果 { value, completion, confidence }
+   */
+  _getModelCompletion(fieldName, partialValue, scope = null) {
+    const key = this.scopes.getLookupKeys(fieldName, scope).find(lookupKey => this.models.has(lookupKey));
+    if (!key) return null;
+    
+    const candidates = createTable();
+    this.models.get(key).completeText(partialValue).forEach(({ value, probability }) => {
+      if (value.length > partialValue.length && value.toLowerCase().startsWith(partialValue.toLowerCase())) {
+        candidates[value] = probability;
+      }
+    });
+    
+    const { ranked } = this._rankValues(this.scopes.getKey(fieldName, scope), candidates);
+    if (ranked.length === 0) {
+      return null;
+    }
+    
+    const { value, score } = ranked[0];
+    
+    return {
+      value: value,
+      completion: value.substring(partialValue.length),
+      confidence: Math.min(0.95, score)
+    };
+  }
+  
+  /**
+   * 获取字段的训练数据
+   * 按作用域的查找顺序返回第一个有数据的键对应的数据
+   * @param {string} fieldName - 字段名
+   * @param {string|null} scope - 表单作用域
+   * @returns {Object|null} 计数表 { total, values, selections }，没有数据时返回null
+   */
+  _getFieldTrainingData(fieldName, scope = null) {
+    for (const key of this.scopes.getLookupKeys(fieldName, scope)) {
+      const data = this.trainingData.get(key);
+      if (data && data.total > 0) {
+        return data;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * 统计与部分输入前缀匹配（不区分大小写）的值
+   * @param {Object} trainingData - 字段的计数表
+   * @param {string} partialValue - 部分输入值
+   * @returns {Object} 值计数 { value: count }
+   */
+  _countPrefixMatches(trainingData, partialValue) {
+    const prefix = partialValue.toLowerCase();
+    const valueCounts = createTable();
+    
+    for (const [value, count] of Object.entries(trainingData.values)) {
+      if (value !== '' && value.toLowerCase().startsWith(prefix)) {
+        valueCounts[value] = count;
+      }
+    }
+    
+    return valueCounts;
+  }
+  
+  /**
+   * 结合用户反馈对候选值排序
+   * 被接受的值权重提高，被拒绝的值权重降低，反复被拒绝的值会被屏蔽
+   * @param {string} feedbackKey - 反馈数据的键（作用域键）
+   * @param {Object} valueCounts - 值计数
+   * @returns {Object} { ranked: [{ value, score }], total }
+   */
+  _rankValues(feedbackKey, valueCounts) {
+    const fieldFeedback = this.feedback.get(feedbackKey) || createTable();
+    const ranked = [];
+    let total = 0;
+    
+    for (const [value, count] of Object.entries(valueCounts)) {
+      const { accepted = 0, rejected = 0 } = fieldFeedback[value] || {};
+      
+      if (rejected >= this.suppressAfterRejections && rejected > accepted * 2) {
+        continue;
+      }
+      
+      const score = count * (accepted + 1) / (rejected + 1);
+      ranked.push({ value, score });
+      total += score;
+    }
+    
+    ranked.sort((a, b) => b.score - a.score);
+    return { ranked, total };
+  }
+  
+  /**
+   * 记录用户对建议的反馈
+   * @param {string} fieldName - 字段名
+   * @param {string} value - 建议值
+   * @param {string} outcome - 'accepted'、'dismissed' 或 'overridden'
+   * @param {string|null} scope - 表单作用域
+   */
+  recordFeedback(fieldName, value, outcome, scope = null) {
+    if (value === null || value === undefined) return;
+    
+    const feedbackKey = this.scopes.getKey(fieldName, scope);
+    if (!this.feedback.has(feedbackKey)) {
+      this.feedback.set(feedbackKey, createTable());
+    }
+    
+    const fieldFeedback = this.feedback.get(feedbackKey);
+    
+    // 集合值按选项分别记录
+    [].concat(value).forEach(option => {
+      const key = option.toString();
+      const entry = fieldFeedback[key] || { accepted: 0, rejected: 0 };
+      
+      if (outcome === 'accepted') {
+        entry.accepted++;
+      } else {
+        entry.rejected++;
+      }
+      fieldFeedback[key] = entry;
+    });
+    
+    // 排序已变化，缓存的预测结果失效
+    this.predictionCache.clear();
+    this._saveFeedback();
+  }
+  
+  /**
+   * 保存反馈数据到本地存储
+   */
+  _saveFeedback() {
+    try {
+      const serializableFeedback = {};
+      for (const [key, value] of this.feedback.entries()) {
+        serializableFeedback[key] = value;
+      }
+      
+      this.storage.setItem('feedback', serializableFeedback);
+    } catch (error) {
+      console.warn('Failed to save feedback:', error);
+    }
+  }
+  
   /**
    * 通用预测（当没有训练数据时使用）
    * @param {HTMLElement} field - 字段元素
@@ -195,10 +791,10 @@ export class RealTimePredictionEngine {
    * @returns {Object} 预测结果
    */
   _getGenericPrediction(field, context) {
-    const fieldName = field.name;
+    const { token, kind } = this.semantics.resolve(field);
     
-    // 基于字段名的通用预测
-    if (fieldName.includes('email')) {
+    // 基于字段语义的通用预测
+    if (kind === 'email') {
       return {
         value: 'user@example.com',
         confidence: 0.3,
@@ -207,7 +803,7 @@ export class RealTimePredictionEngine {
       };
     }
     
-    if (fieldName.includes('phone')) {
+    if (kind === 'phone') {
       return {
         value: '(555) 123-4567',
         confidence: 0.3,
@@ -216,7 +812,7 @@ export class RealTimePredictionEngine {
       };
     }
     
-    if (fieldName.includes('fullName')) {
+    if (token === 'name') {
       return {
         value: 'John Doe',
         confidence: 0.2,
@@ -234,18 +830,37 @@ export class RealTimePredictionEngine {
     };
   }
   
+  /**
+   * 将字段值转换为可比较的字符串，集合值与选中顺序无关
+   * @param {any} value - 字段值
+   * @returns {string} 比较用的字符串
+   */
+  valueKey(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(item => item.toString()).sort().join(',');
+    return value.toString();
+  }
+  
   /**
    * 生成缓存键
+   * 只使用影响预测结果的稳定输入：字段的作用域键、部分输入值和其他允许的字段的值，
+   * 时间、输入节奏等随时变化的特征不参与，否则缓存永远不会命中
    * @param {HTMLElement} field - 字段元素
    * @param {Object} context - 上下文信息
+   * @param {string|null} scope - 表单作用域
    * @returns {string} 缓存键
    */
-  generateCacheKey(field, context) {
+  generateCacheKey(field, context, scope = null) {
     // 检查字段是否存在
     if (!field) return 'unknown';
     
-    // 简化实现，实际应更复杂
-    return `${field.name}-${JSON.stringify(context)}`;
+    const values = context && context.formContext ? context.formContext.fieldValues || {} : {};
+    const otherValues = Object.keys(values)
+      .filter(key => key !== field.name && (!this.policy || this.policy.isAllowed(key)))
+      .sort()
+      .map(key => [key, this.valueKey(values[key])]);
+    
+    return JSON.stringify([this.scopes.getKey(field.name, scope), this.valueKey(field.value), otherValues]);
   }
   
   /**
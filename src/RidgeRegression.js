@@ -0,0 +1,355 @@
+/**
+ * 岭回归类
+ * Ridge Regression
+ *
+ * 带截距的多元线性回归，用其他字段的数值预测数值字段（如 quantity、amount）。
+ * 特征按名称对齐并标准化，L2正则使小样本下的系数保持稳定；预测同时给出基于残差方差的预测区间。
+ * 模型只保存充分统计量（各特征两两之间的计数、和与乘积和），新增样本时无需访问历史数据。
+ */
+export class RidgeRegression {
+  /**
+   * 构造函数
+   * @param {Object} options - 选项
+   * @param {number} options.lambda - 正则化强度，作用于标准化后的特征
+   * @param {number} options.z - 预测区间的分位数，默认1.96（约95%）
+   */
+  constructor(options = {}) {
+    this.lambda = options.lambda !== undefined ? options.lambda : 0.1;
+    this.z = options.z !== undefined ? options.z : 1.96;
+    
+    // 充分统计量，i、j为names中的序号，只统计两个特征都是数值的样本
+    this.statistics = {
+      names: [],          // 出现过数值的特征
+      count: 0,           // 样本数
+      sumY: 0,            // Σy
+      sumY2: 0,           // Σy²
+      counts: [],         // counts[i][j]：特征i和j都有值的样本数
+      sums: [],           // sums[i][j]：这些样本中特征i的和
+      products: [],       // products[i][j]：这些样本中 xᵢxⱼ 的和
+      labelSums: [],      // labelSums[i]：特征i有值的样本中y的和
+      labelProducts: []   // labelProducts[i]：特征i有值的样本中 xᵢy 的和
+    };
+    
+    // 由充分统计量求解得到的模型
+    this.featureNames = [];   // 参与回归的数值特征
+    this.means = [];          // 各特征的均值，也用于填补缺失值
+    this.scales = [];         // 各特征的标准差
+    this.coefficients = [];   // 标准化特征上的系数
+    this.intercept = 0;       // 截距，即标签的均值
+    this.inverse = [];        // (XᵀX + λI)⁻¹，用于计算预测区间
+    this.residualVariance = null; // 残差方差，样本不足时为null
+    this.sampleCount = 0;
+    this.decimals = 0;        // 预测值保留的小数位数，与训练标签一致
+  }
+  
+  /**
+   * 训练模型
+   * 标签不是数值的样本会被忽略；特征中的数值字符串按数值处理，其他值不作为特征
+   * @param {Array<Object>} features - 特征 [{ fieldName: value }]
+   * @param {Array} labels - 标签
+   * @returns {RidgeRegression} 当前实例
+   */
+  fit(features, labels) {
+    // 重新训练时清空之前的统计量
+    this.statistics = new RidgeRegression().statistics;
+    this.decimals = 0;
+    
+    labels.forEach((label, index) => this._accumulate(features[index] || {}, label));
+    this._solve();
+    return this;
+  }
+  
+  /**
+   * 增量训练：累加一个样本的统计量后重新求解
+   * 耗时只与特征数有关，与已训练的样本数无关
+   * @param {Object} features - 特征 { fieldName: value }
+   * @param {number|string} label - 标签
+   * @returns {RidgeRegression} 当前实例
+   */
+  partialFit(features, label) {
+    if (this._accumulate(features || {}, label)) {
+      this._solve();
+    }
+    return this;
+  }
+  
+  /**
+   * 预测数值
+   * @param {Object} features - 特征 { fieldName: value }
+   * @returns {Object|null} { value, lower, upper, standardError, confidence }，未训练时返回null
+   */
+  predict(features) {
+    if (this.sampleCount === 0) return null;
+    
+    const row = this._standardize(features || {});
+    const estimate = this._predictStandardized(row);
+    const value = Number(estimate.toFixed(this.decimals));
+    
+    // 只有一个样本时无法估计误差
+    if (this.residualVariance === null) {
+      return { value, lower: null, upper: null, standardError: null, confidence: 0 };
+    }
+    
+    // 预测方差 = σ²(1 + 1/n + xᵀ(XᵀX + λI)⁻¹x)
+    let leverage = 0;
+    for (let i = 0; i < row.length; i++) {
+      for (let j = 0; j < row.length; j++) {
+        leverage += row[i] * this.inverse[i][j] * row[j];
+      }
+    }
+    const standardError = Math.sqrt(this.residualVariance * (1 + 1 / this.sampleCount + leverage));
+    
+    return {
+      value: value,
+      lower: estimate - this.z * standardError,
+      upper: estimate + this.z * standardError,
+      standardError: standardError,
+      // 标准误差相对于预测值越小，置信度越高
+      confidence: 1 / (1 + standardError / Math.max(Math.abs(estimate), 1))
+    };
+  }
+  
+  /**
+   * 序列化模型，只保存充分统计量，恢复时重新求解
+   * @returns {Object} 可JSON序列化的对象
+   */
+  toJSON() {
+    return {
+      lambda: this.lambda,
+      z: this.z,
+      decimals: this.decimals,
+      statistics: this.statistics
+    };
+  }
+  
+  /**
+   * 从序列化数据恢复模型
+   * @param {Object} data - toJSON()的结果
+   * @returns {RidgeRegression} 模型实例
+   */
+  static fromJSON(data) {
+    const regression = new RidgeRegression({ lambda: data.lambda, z: data.z });
+    regression.decimals = data.decimals;
+    regression.statistics = data.statistics;
+    regression._solve();
+    return regression;
+  }
+  
+  /**
+   * 将值转换为数值
+   * @param {any} value - 值
+   * @returns {number|null} 数值，不是数值时返回null
+   */
+  static toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  
+  /**
+   * 统计数值的小数位数
+   * @param {number|string} value - 数值
+   * @returns {number} 小数位数
+   */
+  static countDecimals(value) {
+    const match = value.toString().trim().match(/\.(\d+)$/);
+    return match ? match[1].length : 0;
+  }
+  
+  /**
+   * 使用高斯-约当消元法求逆矩阵
+   * @param {Array<Array<number>>} matrix - 方阵，岭回归中总是正定的
+   * @returns {Array<Array<number>>} 逆矩阵
+   */
+  static invert(matrix) {
+    const size = matrix.length;
+    const augmented = matrix.map((row, i) => {
+      const identity = new Array(size).fill(0);
+      identity[i] = 1;
+      return [...row, ...identity];
+    });
+    
+    for (let column = 0; column < size; column++) {
+      // 选主元
+      let pivot = column;
+      for (let row = column + 1; row < size; row++) {
+        if (Math.abs(augmented[row][column]) > Math.abs(augmented[pivot][column])) {
+          pivot = row;
+        }
+      }
+      [augmented[column], augmented[pivot]] = [augmented[pivot], augmented[column]];
+      
+      const divisor = augmented[column][column];
+      for (let j = 0; j < 2 * size; j++) {
+        augmented[column][j] /= divisor;
+      }
+      
+      for (let row = 0; row < size; row++) {
+        if (row === column) continue;
+        const factor = augmented[row][column];
+        for (let j = 0; j < 2 * size; j++) {
+          augmented[row][j] -= factor * augmented[column][j];
+        }
+      }
+    }
+    
+    return augmented.map(row => row.slice(size));
+  }
+  
+  /**
+   * 累加一个样本的充分统计量
+   * @param {Object} features - 特征 { fieldName: value }
+   * @param {number|string} label - 标签
+   * @returns {boolean} 标签是数值、样本被计入时返回true
+   */
+  _accumulate(features, label) {
+    const y = RidgeRegression.toNumber(label);
+    if (y === null) return false;
+    
+    const stats = this.statistics;
+    const present = [];
+    Object.keys(features).forEach(name => {
+      const x = RidgeRegression.toNumber(features[name]);
+      if (x === null) return;
+      
+      let index = stats.names.indexOf(name);
+      if (index === -1) {
+        index = this._addFeature(name);
+      }
+      present.push([index, x]);
+    });
+    
+    this.decimals = Math.max(this.decimals, RidgeRegression.countDecimals(label));
+    stats.count++;
+    stats.sumY += y;
+    stats.sumY2 += y * y;
+    
+    present.forEach(([i, xi]) => {
+      stats.labelSums[i] += y;
+      stats.labelProducts[i] += xi * y;
+      present.forEach(([j, xj]) => {
+        stats.counts[i][j]++;
+        stats.sums[i][j] += xi;
+        stats.products[i][j] += xi * xj;
+      });
+    });
+    
+    return true;
+  }
+  
+  /**
+   * 添加新出现的特征，之前的样本视为缺少该特征
+   * @param {string} name - 特征名
+   * @returns {number} 特征序号
+   */
+  _addFeature(name) {
+    const stats = this.statistics;
+    stats.names.push(name);
+    
+    [stats.counts, stats.sums, stats.products].forEach(matrix => {
+      matrix.forEach(row => row.push(0));
+      matrix.push(new Array(stats.names.length).fill(0));
+    });
+    stats.labelSums.push(0);
+    stats.labelProducts.push(0);
+    
+    return stats.names.length - 1;
+  }
+  
+  /**
+   * 由充分统计量求解模型
+   * 缺失的特征取均值（标准化后为0），因此两两统计量只需包含两个特征都有值的样本；
+   * 方差为0的特征不参与回归
+   */
+  _solve() {
+    const stats = this.statistics;
+    this.sampleCount = stats.count;
+    if (stats.count === 0) return;
+    
+    const meanY = stats.sumY / stats.count;
+    this.intercept = meanY;
+    
+    const used = [];
+    this.featureNames = [];
+    this.means = [];
+    this.scales = [];
+    stats.names.forEach((name, i) => {
+      const count = stats.counts[i][i];
+      if (count === 0) return;
+      
+      const mean = stats.sums[i][i] / count;
+      const variance = stats.products[i][i] / count - mean * mean;
+      // 单遍计算的方差存在舍入误差，相对均值可以忽略时视为0
+      if (variance > 1e-12 * Math.max(mean * mean, 1)) {
+        used.push(i);
+        this.featureNames.push(name);
+        this.means.push(mean);
+        this.scales.push(Math.sqrt(variance));
+      }
+    });
+    
+    // 标准化特征的 XᵀX 和 Xᵀ(y - ȳ)
+    const size = used.length;
+    const gram = used.map((i, a) => used.map((j, b) => {
+      const centered = stats.products[i][j] -
+        this.means[b] * stats.sums[i][j] -
+        this.means[a] * stats.sums[j][i] +
+        this.means[a] * this.means[b] * stats.counts[i][j];
+      return centered / (this.scales[a] * this.scales[b]);
+    }));
+    const moments = used.map((i, a) => {
+      const centered = stats.labelProducts[i] -
+        meanY * stats.sums[i][i] -
+        this.means[a] * stats.labelSums[i] +
+        this.means[a] * meanY * stats.counts[i][i];
+      return centered / this.scales[a];
+    });
+    
+    this.inverse = RidgeRegression.invert(gram.map((row, i) => row.map((value, j) => i === j ? value + this.lambda : value)));
+    this.coefficients = this.inverse.map(row => row.reduce((sum, value, j) => sum + value * moments[j], 0));
+    
+    // 残差平方和 = Σ(y - ȳ)² - 2βᵀXᵀ(y - ȳ) + βᵀXᵀXβ
+    const totalSquares = stats.sumY2 - stats.count * meanY * meanY;
+    let residuals = totalSquares;
+    for (let a = 0; a < size; a++) {
+      residuals -= 2 * this.coefficients[a] * moments[a];
+      for (let b = 0; b < size; b++) {
+        residuals += this.coefficients[a] * gram[a][b] * this.coefficients[b];
+      }
+    }
+    residuals = Math.max(residuals, 0);
+    
+    // 残差方差，自由度不足时退回到标签的样本方差
+    const degreesOfFreedom = stats.count - size - 1;
+    if (degreesOfFreedom >= 1) {
+      this.residualVariance = residuals / degreesOfFreedom;
+    } else if (stats.count >= 2) {
+      this.residualVariance = Math.max(totalSquares, 0) / (stats.count - 1);
+    } else {
+      this.residualVariance = null;
+    }
+  }
+  
+  /**
+   * 将特征转换为标准化的向量，缺失或非数值的特征为0（即均值）
+   * @param {Object} features - 特征 { fieldName: value }
+   * @returns {Array<number>} 标准化后的特征向量
+   */
+  _standardize(features) {
+    return this.featureNames.map((name, i) => {
+      const value = RidgeRegression.toNumber(features[name]);
+      return value === null ? 0 : (value - this.means[i]) / this.scales[i];
+    });
+  }
+  
+  /**
+   * 由标准化的特征向量计算预测值
+   * @param {Array<number>} row - 标准化后的特征向量
+   * @returns {number} 预测值
+   */
+  _predictStandardized(row) {
+    return row.reduce((sum, value, i) => sum + value * this.coefficients[i], this.intercept);
+  }
+}
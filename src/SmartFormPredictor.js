@@ -1,54 +1,93 @@
-import { FieldRelationshipGraph } from './FieldRelationshipGraph.js';
-import { FieldPredictionModel } from './FieldPredictionModel.js';
-import { FeatureEngine } from './FeatureEngine.js';
-import { CrossSessionLearner } from './CrossSessionLearner.js';
-import { RealTimePredictionEngine } from './RealTimePredictionEngine.js';
-import { PrivacyPreservingLearner } from './PrivacyPreservingLearner.js';
-import { LocalStorage } from './LocalStorage.js';
-import { FieldValidator } from './FieldValidator.js';
+import { HeadlessPredictor } from './HeadlessPredictor.js';
+import { SuggestionRenderer } from './SuggestionRenderer.js';
+import { InlineCompletion } from './InlineCompletion.js';
+import { FieldAdapterRegistry } from './FieldAdapterRegistry.js';
+import { WorkerClient } from './WorkerClient.js';
 
 /**
  * 智能表单预测主类
  * Smart Form Predictor Main Class
  */
-export class SmartFormPredictor {
+export class SmartFormPredictor extends HeadlessPredictor {
   /**
    * 构造函数
    * @param {Object} options - 配置选项
    */
   constructor(options = {}) {
-    this.models = new Map();      // 字段预测模型
-    this.patterns = new Map();    // 用户行为模式
-    this.storage = new LocalStorage(); // 本地数据存储
-    this.validator = new FieldValidator(); // 字段验证器
-    
-    // 默认配置
-    this.config = {
-      learning: true,
-      privacy: {
-        localOnly: true,
-        autoForget: true,
-        anonymize: true
-      },
-      prediction: {
-        confidenceThreshold: 0.7,
-        maxSuggestions: 3,
-        autoComplete: 'smart'
+    super(options);
+    
+    // 字段识别与读写：原生控件、contenteditable和注册了适配器的自定义元素
+    this.fieldAdapters = new FieldAdapterRegistry();
+    
+    // 初始化UI子模块
+    this.suggestionRenderer = new SuggestionRenderer({
+      showConfidence: this.config.ui.showConfidence,
+      highlightPredictions: this.config.ui.highlightPredictions,
+      animation: this.config.ui.animation,
+      maxSuggestions: this.config.prediction.maxSuggestions,
+      ariaAutocomplete: this.config.prediction.autoComplete === 'off' ? 'list' : 'both',
+      messages: this.config.ui.messages,
+      onSelect: (field, value) => {
+        this._recordFieldFeedback(field, value, 'accepted');
+        this._applyPrediction(field, value);
       },
+      onDismiss: (field, items) => {
+        if (items.length > 0) {
+          this._recordFieldFeedback(field, items[0].value, 'dismissed');
+        }
+      }
+    });
+    this.inlineCompletion = new InlineCompletion({
+      onAccept: (field, value) => {
+        this.suggestionRenderer.hide();
+        this._recordFieldFeedback(field, value, 'accepted');
+        this._applyPrediction(field, value);
+      }
+    });
+    
+    // 正在以编程方式写入字段值时为true，避免触发新的预测
+    this._applyingPrediction = false;
+    
+    // 已监控的表单及其事件监听器
+    this.forms = new Map();
+    this.formSelectors = [];
+    this.observer = null;
+    
+    // 生命周期状态
+    this.paused = false;
+    this.destroyed = false;
+    this._predictionGeneration = 0; // 递增后，进行中的预测结果会被丢弃
+    this._pendingTasks = new Set(); // 进行中的学习任务
+    
+    // 已展示但用户尚未明确接受或拒绝的建议 fieldName -> { value, scope }，提交时判定结果
+    this._pendingFeedback = new Map();
+    
+    // 启用Worker模式时，学习、预测和输入建议在Worker中执行；不可用时为null，在主线程执行
+    this.worker = this._createWorker();
+    this._submissionHistorySynced = false; // Worker失效后是否已读取Worker写入的提交记录
+  }
+  
+  /**
+   * 获取默认配置
+   * @returns {Object} 默认配置
+   */
+  _getDefaultConfig() {
+    return {
+      ...super._getDefaultConfig(),
+      watch: false, // 是否监听DOM变化，自动接管后续渲染的表单
       ui: {
+        renderSuggestions: false, // 是否使用内置的建议下拉框
         highlightPredictions: true,
         showConfidence: false,
-        animation: 'smooth'
+        animation: 'smooth',
+        messages: {} // 屏幕阅读器播报文案，如 { suggestionsAvailable: (count) => `${count}条建议` }
       },
-      ...options
+      worker: {
+        enabled: false, // 是否在Web Worker中执行学习、预测和输入建议
+        url: null,      // Worker脚本地址，指向 src/worker.js 或 dist/smart-form-predictor.worker.js
+        type: 'module'
+      }
     };
-    
-    // 初始化子模块
-    this.relationshipGraph = new FieldRelationshipGraph();
-    this.featureEngine = new FeatureEngine();
-    this.crossSessionLearner = new CrossSessionLearner();
-    this.predictionEngine = new RealTimePredictionEngine();
-    this.privacyLearner = new PrivacyPreservingLearner();
   }
   
   /**
@@ -60,6 +99,7 @@ export class SmartFormPredictor {
     
     // 支持单个或多个表单选择器
     const selectors = Array.isArray(formSelector) ? formSelector : [formSelector];
+    this.formSelectors = [...new Set([...this.formSelectors, ...selectors])];
     
     // 为每个表单添加监控
     for (const selector of selectors) {
@@ -67,6 +107,11 @@ export class SmartFormPredictor {
       forms.forEach(form => this._attachFormListeners(form));
     }
     
+    // 监听之后动态渲染的表单
+    if (this.config.watch) {
+      this._startWatching();
+    }
+    
     // 加载已保存的模型和模式
     await this._loadStoredData();
     
@@ -79,50 +124,313 @@ export class SmartFormPredictor {
    * @param {HTMLElement} form - 表单元素
    */
   _attachFormListeners(form) {
-    // 监听输入事件用于实时预测
-    form.addEventListener('input', (event) => {
-      this._handleInput(event);
-    });
+    // 同一个表单只监控一次
+    if (this.forms.has(form)) return;
     
-    // 监听表单提交事件用于学习
-    form.addEventListener('submit', (event) => {
-      this._handleFormSubmit(event);
-    });
+    const listeners = {
+      // 监听输入事件用于实时预测
+      input: (event) => this._handleInput(event),
+      // 监听表单提交事件用于学习
+      submit: (event) => this._handleFormSubmit(event),
+      // 监听焦点事件
+      focusin: (event) => this._handleFocusIn(event),
+      focusout: (event) => this._handleFocusOut(event),
+      // 监听键盘事件用于接受行内补全
+      keydown: (event) => this._handleKeyDown(event)
+    };
     
-    // 监听焦点事件
-    form.addEventListener('focusin', (event) => {
-      this._handleFocusIn(event);
-    });
+    for (const [type, listener] of Object.entries(listeners)) {
+      form.addEventListener(type, listener);
+    }
+    
+    this.forms.set(form, listeners);
+  }
+  
+  /**
+   * 移除表单的事件监听器
+   * @param {HTMLElement} form - 表单元素
+   */
+  _detachFormListeners(form) {
+    const listeners = this.forms.get(form);
+    if (!listeners) return;
+    
+    for (const [type, listener] of Object.entries(listeners)) {
+      form.removeEventListener(type, listener);
+    }
+    
+    // 关闭该表单中字段的建议，并移除添加的ARIA属性
+    for (const field of Array.from(this.suggestionRenderer.managedFields.keys())) {
+      if (this._getFieldForm(field) === form) {
+        this.suggestionRenderer.release(field);
+      }
+    }
+    if (this.inlineCompletion.activeField && this._getFieldForm(this.inlineCompletion.activeField) === form) {
+      this.inlineCompletion.hide();
+    }
+    
+    this.forms.delete(form);
+  }
+  
+  /**
+   * 开始监控指定表单，用于框架渲染的表单元素
+   * @param {HTMLElement} form - 表单元素
+   */
+  attach(form) {
+    if (this.destroyed || !form) return;
+    this._attachFormListeners(form);
+  }
+  
+  /**
+   * 停止监控指定表单
+   * @param {HTMLElement} form - 表单元素
+   */
+  detach(form) {
+    this._detachFormListeners(form);
+  }
+  
+  /**
+   * 暂停预测和学习，例如在填写敏感信息的步骤中
+   */
+  pause() {
+    this.paused = true;
+    this._predictionGeneration++;
+    this.suggestionRenderer.hide();
+    this.inlineCompletion.hide();
+  }
+  
+  /**
+   * 恢复预测和学习
+   */
+  resume() {
+    if (this.destroyed) return;
+    this.paused = false;
+  }
+  
+  /**
+   * 销毁预测器
+   * 移除所有监听器，取消进行中的预测，清空预测缓存，并等待待写入的数据保存完成
+   */
+  async destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.paused = true;
+    this._predictionGeneration++;
     
-    form.addEventListener('focusout', (event) => {
-      this._handleFocusOut(event);
+    this._stopWatching();
+    for (const form of Array.from(this.forms.keys())) {
+      this._detachFormListeners(form);
+    }
+    
+    this.suggestionRenderer.destroy();
+    this.inlineCompletion.destroy();
+    this.predictionEngine.predictionCache.clear();
+    
+    // 等待进行中的学习任务完成，再写入一次确保数据落盘
+    // Worker模式下数据已由Worker写入，主线程没有最新的提交记录，不能覆盖
+    await Promise.all(Array.from(this._pendingTasks).map(task => task.catch(() => {})));
+    if (!this.worker || this.worker.failed) {
+      this._syncSubmissionHistory();
+      this.predictionEngine._saveTrainingData();
+      await this._savePatterns();
+    }
+    
+    if (this.worker) {
+      this.worker.terminate();
+    }
+  }
+  
+  /**
+   * 开始监听DOM变化
+   * 新出现的匹配表单会被自动监控，被移除的表单会被清理
+   */
+  _startWatching() {
+    if (this.observer || typeof MutationObserver === 'undefined') return;
+    
+    this.observer = new MutationObserver(mutations => this._handleMutations(mutations));
+    this.observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true
     });
   }
   
+  /**
+   * 停止监听DOM变化
+   */
+  _stopWatching() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+  }
+  
+  /**
+   * 处理DOM变化
+   * @param {Array<MutationRecord>} mutations - 变化记录
+   */
+  _handleMutations(mutations) {
+    const selector = this.formSelectors.join(', ');
+    const addedFields = new Map();
+    let hasRemovals = false;
+    
+    for (const mutation of mutations) {
+      if (mutation.removedNodes.length > 0) {
+        hasRemovals = true;
+      }
+      
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType !== 1) return;
+        
+        // 新出现的表单
+        if (selector) {
+          if (node.matches(selector)) {
+            this._attachFormListeners(node);
+          }
+          node.querySelectorAll(selector).forEach(form => this._attachFormListeners(form));
+        }
+        
+        // 已监控表单中新增的字段
+        const form = node.closest('form');
+        if (form && this.forms.has(form)) {
+          const fields = node.matches('input, textarea, select') ?
+            [node] :
+            Array.from(node.querySelectorAll('input, textarea, select'));
+          if (fields.length > 0) {
+            if (!addedFields.has(form)) {
+              addedFields.set(form, []);
+            }
+            addedFields.get(form).push(...fields);
+          }
+        }
+      });
+    }
+    
+    // 清理已从文档中移除的表单
+    if (hasRemovals) {
+      for (const form of Array.from(this.forms.keys())) {
+        if (!form.isConnected) {
+          this._detachFormListeners(form);
+        }
+      }
+    }
+    
+    for (const [form, fields] of addedFields.entries()) {
+      this._handleFieldsAdded(form, fields);
+    }
+  }
+  
+  /**
+   * 处理已监控表单中新增的字段
+   * 输入事件通过表单委托监听，新字段无需单独绑定，这里只通知UI层
+   * @param {HTMLElement} form - 表单元素
+   * @param {Array} fields - 新增的字段元素
+   */
+  _handleFieldsAdded(form, fields) {
+    form.dispatchEvent(new CustomEvent('smart-form-fields-added', {
+      detail: {
+        form: form,
+        fields: fields
+      }
+    }));
+  }
+  
   /**
    * 处理输入事件
    * @param {Event} event - 输入事件
    */
   async _handleInput(event) {
-    const field = event.target;
-    if (field.tagName !== 'INPUT' && field.tagName !== 'TEXTAREA' && field.tagName !== 'SELECT') {
-      return;
-    }
+    // 支持shadow root中的控件、contenteditable和自定义元素
+    const field = this.fieldAdapters.resolveTarget(event);
+    if (!field) return;
+    
+    // 由预测写入的值不再触发新的预测
+    if (this._applyingPrediction || this.paused) return;
+    
+    // 密码、银行卡等敏感字段不显示建议
+    if (!this.policy.isAllowed(field)) return;
+    
+    // 复选框、单选按钮和多选下拉框由autofillForm预先选中，不显示输入建议
+    if (this._isChoiceField(field)) return;
+    
+    // 用户修改了字段，移除预测高亮和已显示的行内补全
+    this.suggestionRenderer.unhighlight(field);
+    this.inlineCompletion.hide();
+    
+    // 记录键入、粘贴和删除，用于判断用户是否正在快速输入
+    const descriptor = this._describeField(field);
+    this.featureEngine.recordInput(descriptor, event.inputType);
     
     // 获取当前表单状态
-    const form = field.closest('form');
+    const form = this._getFieldForm(field);
     const formState = this._getFormState(form);
     
-    // 提取特征
-    const features = this.featureEngine.extractFeatures(field, formState);
+    // 进行预测，Worker模式下在Worker中提取特征和预测
+    const generation = this._predictionGeneration;
+    const scope = this._getScope(form);
+    const prediction = await this.predict(descriptor, formState, { scope });
     
-    // 进行预测
-    const prediction = await this.predictionEngine.predictFieldValue(field, features);
+    // 预测期间预测器被暂停、销毁或表单被解除监控时，丢弃结果
+    if (generation !== this._predictionGeneration || !this.forms.has(form)) return;
     
     // 显示建议（如果置信度足够高）
     if (prediction.confidence >= this.config.prediction.confidenceThreshold) {
-      this._showSuggestions(field, prediction);
+      this._showSuggestions(field, prediction, scope);
+    } else if (this.suggestionRenderer.activeField === field) {
+      this.suggestionRenderer.hide();
+    }
+    
+    // 删除字符时不显示行内补全，避免与用户的修改冲突
+    const isDeletion = event.inputType && event.inputType.startsWith('delete');
+    if (!isDeletion) {
+      this._updateInlineCompletion(field, scope);
+    }
+  }
+  
+  /**
+   * 根据autoComplete模式更新行内补全
+   * @param {HTMLElement} field - 字段元素
+   * @param {string|null} scope - 表单作用域
+   */
+  _updateInlineCompletion(field, scope = null) {
+    const { autoComplete, confidenceThreshold, inlineConfidenceThreshold } = this.config.prediction;
+    if (autoComplete !== 'inline' && autoComplete !== 'smart') return;
+    
+    if (!this.inlineCompletion.supports(field)) return;
+    
+    const completion = this.getInlineCompletion(this._describeField(field), { scope });
+    if (!completion) return;
+    
+    // smart模式只在更高的置信度下显示行内补全
+    const threshold = autoComplete === 'smart' ? inlineConfidenceThreshold : confidenceThreshold;
+    if (completion.confidence >= threshold) {
+      this.inlineCompletion.show(field, completion);
+      this._pendingFeedback.set(this.fieldAdapters.getName(field), { value: completion.value, scope });
+    }
+  }
+  
+  /**
+   * 处理键盘事件
+   * @param {KeyboardEvent} event - 键盘事件
+   */
+  _handleKeyDown(event) {
+    const field = this.fieldAdapters.resolveTarget(event);
+    if (!field) return;
+    
+    // 记录按键节奏，敏感字段不记录
+    if (!this.paused && this.policy.isAllowed(field)) {
+      this.featureEngine.recordKeystroke(this.fieldAdapters.getName(field), event.key);
     }
+    
+    // 行内补全优先处理Tab和右方向键
+    if (this.inlineCompletion.handleKeyDown(event, field)) return;
+    
+    // Escape同时关闭行内补全
+    if (event.key === 'Escape' && this.inlineCompletion.activeField === field) {
+      this._recordFieldFeedback(field, this.inlineCompletion.suggestion.value, 'dismissed');
+      this.inlineCompletion.hide();
+    }
+    
+    // 建议下拉框的键盘导航
+    this.suggestionRenderer.handleKeyDown(event, field);
   }
   
   /**
@@ -130,17 +438,17 @@ export class SmartFormPredictor {
    * @param {Event} event - 提交事件
    */
   async _handleFormSubmit(event) {
+    if (this.paused) return;
+    
     const form = event.target;
-    const formData = new FormData(form);
-    const formDataObj = {};
+    const formDataObj = this._collectFormData(form);
     
-    // 将FormData转换为普通对象
-    for (const [key, value] of formData.entries()) {
-      formDataObj[key] = value;
-    }
+    // 根据最终提交的值判定已展示建议的结果
+    const scope = this._getScope(form);
+    this._resolvePendingFeedback(formDataObj, scope);
     
-    // 从提交中学习
-    await this.learnFromSubmission(formDataObj);
+    // 从提交中学习，敏感字段由策略排除
+    await this.learnFromSubmission(formDataObj, { scope, fields: this._getFormFields(form) });
   }
   
   /**
@@ -149,8 +457,15 @@ export class SmartFormPredictor {
    */
   _handleFocusIn(event) {
     // 记录用户开始编辑时间
-    const field = event.target;
-    field.dataset.focusStartTime = Date.now();
+    const field = this.fieldAdapters.resolveTarget(event);
+    if (field) {
+      field.dataset.focusStartTime = this.environment.now();
+      
+      // 记录焦点访问顺序，并开始记录犹豫时间和按键节奏
+      if (this.policy.isAllowed(field)) {
+        this.featureEngine.recordFocus(this._describeField(field), this._getScope(this._getFieldForm(field)));
+      }
+    }
   }
   
   /**
@@ -158,7 +473,19 @@ export class SmartFormPredictor {
    * @param {Event} event - 焦点事件
    */
   _handleFocusOut(event) {
-    // 可以在这里分析用户的编辑行为
+    // 字段失去焦点时关闭建议下拉框
+    const field = this.fieldAdapters.resolveTarget(event);
+    if (!field) return;
+    
+    // 结束焦点访问，计算停留时间
+    this.featureEngine.recordBlur(this.fieldAdapters.getName(field), this._getScope(this._getFieldForm(field)));
+    
+    if (this.suggestionRenderer.activeField === field) {
+      this.suggestionRenderer.hide();
+    }
+    if (this.inlineCompletion.activeField === field) {
+      this.inlineCompletion.hide();
+    }
   }
   
   /**
@@ -168,18 +495,25 @@ export class SmartFormPredictor {
    */
   _getFormState(form) {
     const state = {};
-    const fields = form.querySelectorAll('input, textarea, select');
-    
-    fields.forEach(field => {
-      if (field.name) {
-        state[field.name] = {
-          value: field.value,
-          type: field.type,
-          tagName: field.tagName,
-          focused: document.activeElement === field,
-          focusStartTime: field.dataset.focusStartTime || null
-        };
-      }
+    
+    this._getFormFields(form).forEach(field => {
+      const fieldName = this.fieldAdapters.getName(field);
+      if (!fieldName) return;
+      
+      // 敏感字段的值不作为上下文，也不会进入预测缓存的键或发送到Worker
+      if (!this.policy.isAllowed(field)) return;
+      
+      // 同名控件组只记录一次，优先记录获得焦点的控件
+      const focused = field.getRootNode().activeElement === field;
+      if (state[fieldName] && !focused) return;
+      
+      state[fieldName] = {
+        value: this._getFieldValue(field),
+        type: this.fieldAdapters.getType(field),
+        tagName: field.tagName,
+        focused: focused,
+        focusStartTime: field.dataset.focusStartTime || null
+      };
     });
     
     return state;
@@ -189,190 +523,587 @@ export class SmartFormPredictor {
    * 显示预测建议
    * @param {HTMLElement} field - 字段元素
    * @param {Object} prediction - 预测结果
+   * @param {string|null} scope - 表单作用域
    */
-  _showSuggestions(field, prediction) {
-    // 在控制台显示预测建议
-    console.log(`Suggestion for ${field.name}: ${prediction.value} (confidence: ${prediction.confidence})`);
-    
-    // 如果有替代建议，也在控制台显示
-    if (prediction.alternatives && prediction.alternatives.length > 0) {
-      console.log(`Alternatives for ${field.name}:`, prediction.alternatives);
-    }
+  _showSuggestions(field, prediction, scope = null) {
+    const fieldName = this.fieldAdapters.getName(field);
     
     // 触发自定义事件，让UI层可以监听并显示建议
     const event = new CustomEvent('smart-form-suggestion', {
       detail: {
         field: field,
-        fieldName: field.name,
-        fieldValue: field.value,
+        fieldName: fieldName,
+        fieldValue: this._getFieldValue(field),
         prediction: prediction
       }
     });
     field.dispatchEvent(event);
+    
+    if (prediction.value !== null && prediction.value !== undefined) {
+      this._pendingFeedback.set(fieldName, { value: prediction.value, scope });
+    }
+    
+    // 启用内置下拉框时直接渲染
+    if (this.config.ui.renderSuggestions) {
+      this.suggestionRenderer.show(field, prediction);
+    }
   }
   
   /**
-   * 预测字段值
+   * 将预测值写入字段
+   * 通过字段适配器写入并触发input/change事件，以便Vue、React等框架的数据绑定同步更新
+   * 复选框、单选按钮和多选下拉框按预测值选中对应选项
    * @param {HTMLElement} field - 字段元素
-   * @param {Object} context - 上下文信息
-   * @returns {Promise<Object>} 预测结果
+   * @param {string|Array<string>} value - 预测值
+   */
+  _applyPrediction(field, value) {
+    this._applyingPrediction = true;
+    try {
+      let changed = [field];
+      
+      if (this._isChoiceField(field)) {
+        changed = this._selectChoices(field, value);
+      } else {
+        this.fieldAdapters.setValue(field, value);
+      }
+      
+      changed.forEach(element => {
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+      });
+    } finally {
+      this._applyingPrediction = false;
+    }
+    
+    this.suggestionRenderer.highlight(field);
+  }
+  
+  /**
+   * 读取字段的值
+   * 复选框组和多选下拉框返回数组，contenteditable和自定义元素通过字段适配器读取
+   * @param {HTMLElement} field - 字段元素
+   * @returns {any} 字段值
    */
-  async predict(field, context) {
-    const features = this.featureEngine.extractFeatures(field, context);
-    return await this.predictionEngine.predictFieldValue(field, features);
+  getFieldValue(field) {
+    return this._getFieldValue(field);
   }
   
   /**
-   * 从提交中学习
-   * @param {Object} formData - 表单数据
+   * 以编程方式写入字段值
+   * 与应用预测值相同，会触发input/change事件使框架的数据绑定同步更新，且不会触发新的预测
+   * @param {HTMLElement} field - 字段元素
+   * @param {any} value - 字段值
    */
-  async learnFromSubmission(formData) {
-    if (!this.config.learning) return;
+  setFieldValue(field, value) {
+    this._applyPrediction(field, value);
+  }
+  
+  /**
+   * 按预测值选中选项
+   * @param {HTMLElement} field - 复选框、单选按钮或多选下拉框
+   * @param {string|Array<string>} value - 预测值，集合型控件为数组
+   * @returns {Array<HTMLElement>} 状态发生变化的元素
+   */
+  _selectChoices(field, value) {
+    const values = [].concat(value).map(item => item.toString());
     
-    // 使用隐私保护方式学习
-    const privateData = this.config.privacy.anonymize ? 
-      this.privacyLearner.learnWithPrivacy([formData], 0.1) : 
-      [formData];
+    if (field.type === 'select-multiple') {
+      Array.from(field.options).forEach(option => {
+        option.selected = values.includes(option.value);
+      });
+      return [field];
+    }
     
-    // 更新模型
-    await this._updateModels(privateData[0]);
+    const changed = [];
+    this._getFieldGroup(field).forEach(element => {
+      if (element.type !== field.type) return;
+      
+      const checked = values.includes(element.value);
+      if (element.checked !== checked) {
+        element.checked = checked;
+        changed.push(element);
+      }
+    });
+    return changed;
+  }
+  
+  /**
+   * 判断字段是否为选择型控件：复选框、单选按钮或多选下拉框
+   * @param {HTMLElement} field - 字段元素
+   * @returns {boolean} 是否为选择型控件
+   */
+  _isChoiceField(field) {
+    return field.type === 'checkbox' || field.type === 'radio' || field.type === 'select-multiple';
+  }
+  
+  /**
+   * 判断字段的值是否为集合：复选框和多选下拉框
+   * @param {HTMLElement} field - 字段元素
+   * @returns {boolean} 是否为集合
+   */
+  _isMultiValueField(field) {
+    return field.type === 'checkbox' || field.type === 'select-multiple';
+  }
+  
+  /**
+   * 获取与字段同名的一组控件
+   * @param {HTMLElement} field - 字段元素
+   * @returns {Array<HTMLElement>} 控件列表
+   */
+  _getFieldGroup(field) {
+    if (!field.name) return [field];
+    
+    // shadow root中的控件不属于外部表单，在同一个root中查找
+    const elements = field.form ?
+      Array.from(field.form.elements) :
+      Array.from(field.getRootNode().querySelectorAll('input, textarea, select'));
+    return elements.filter(element => element.name === field.name);
+  }
+  
+  /**
+   * 读取字段的值
+   * 复选框组和多选下拉框返回选中值的数组，单选按钮组返回选中的值，未选中时为空字符串
+   * @param {HTMLElement} field - 字段元素
+   * @returns {string|Array<string>} 字段值
+   */
+  _getFieldValue(field) {
+    if (field.type === 'select-multiple') {
+      return Array.from(field.selectedOptions).map(option => option.value);
+    }
+    
+    if (field.type === 'checkbox') {
+      return this._getFieldGroup(field)
+        .filter(element => element.type === 'checkbox' && element.checked)
+        .map(element => element.value);
+    }
     
-    // 将数据添加到预测引擎的训练数据中
-    this.predictionEngine.addTrainingData(privateData[0]);
+    if (field.type === 'radio') {
+      const checked = this._getFieldGroup(field).find(element => element.type === 'radio' && element.checked);
+      return checked ? checked.value : '';
+    }
     
-    // 保存学习到的模式
-    await this._savePatterns();
+    return this.fieldAdapters.getValue(field);
   }
   
   /**
-   * 更新预测模型
-   * @param {Object} formData - 表单数据
+   * 获取表单中的所有字段
+   * 包括开放shadow root中的控件、contenteditable区域和注册了适配器的自定义元素
+   * @param {HTMLElement} form - 表单元素
+   * @returns {Array<HTMLElement>} 字段元素列表
+   */
+  _getFormFields(form) {
+    const fields = [];
+    
+    const visit = root => {
+      root.querySelectorAll('*').forEach(element => {
+        if (this.fieldAdapters.find(element)) {
+          fields.push(element);
+        } else if (element.shadowRoot) {
+          visit(element.shadowRoot);
+        }
+      });
+    };
+    visit(form);
+    
+    return fields;
+  }
+  
+  /**
+   * 获取字段所属的表单，可以穿过shadow root
+   * @param {HTMLElement} field - 字段元素
+   * @returns {HTMLElement|null} 表单元素
    */
-  async _updateModels(formData) {
-    // 更新字段关系图谱
-    this.relationshipGraph.discoverRelationships([formData]);
+  _getFieldForm(field) {
+    if (field.form) return field.form;
     
-    // 跨会话学习
-    this.crossSessionLearner.learnCrossSessionPatterns([formData]);
+    let node = field;
+    while (node) {
+      const form = node.closest('form');
+      if (form) return form;
+      
+      const root = node.getRootNode();
+      node = root && root.host ? root.host : null;
+    }
     
-    // 更新模式数据
-    this._updatePatterns(formData);
+    return null;
+  }
+  
+  /**
+   * 收集表单提交的数据
+   * 重复的键保留所有值；复选框和多选下拉框始终为数组，未选中时为空数组
+   * @param {HTMLElement} form - 表单元素
+   * @returns {Object} 表单数据
+   */
+  _collectFormData(form) {
+    const data = {};
     
-    // 为每个字段更新预测模型
-    for (const [fieldName, value] of Object.entries(formData)) {
-      if (!this.models.has(fieldName)) {
-        // 根据字段类型创建模型
-        const fieldType = this._detectFieldType(fieldName, value);
-        this.models.set(fieldName, new FieldPredictionModel(fieldType));
+    for (const [key, value] of new FormData(form).entries()) {
+      data[key] = key in data ? [].concat(data[key], value) : value;
+    }
+    
+    Array.from(form.elements).forEach(field => {
+      if (field.name && !field.disabled && this._isMultiValueField(field)) {
+        const value = data[field.name];
+        data[field.name] = value === undefined ? [] : [].concat(value);
       }
+    });
+    
+    // FormData不包含的字段：shadow root中的控件、contenteditable区域和没有提交值的自定义元素
+    const nativeFields = new Set(Array.from(form.elements).filter(field =>
+      this.fieldAdapters.find(field) === this.fieldAdapters.nativeAdapter
+    ));
+    const buttonTypes = ['submit', 'button', 'reset', 'image', 'file'];
+    
+    this._getFormFields(form).forEach(field => {
+      if (nativeFields.has(field) || buttonTypes.includes(field.type)) return;
+      
+      const fieldName = this.fieldAdapters.getName(field);
+      if (!fieldName || field.disabled || fieldName in data) return;
       
-      // 更新模型（简化实现）
-      const model = this.models.get(fieldName);
-      // TODO: 在实际实现中，这里会有更多的训练逻辑
+      const value = this._getFieldValue(field);
+      if (value !== undefined && value !== null && value !== '') {
+        data[fieldName] = value;
+      }
+    });
+    
+    return data;
+  }
+  
+  /**
+   * 一键填充整个表单
+   * 以已填写字段为上下文，同时预测所有空字段
+   * @param {HTMLElement} form - 表单元素
+   * @param {Object} options - 选项
+   * @param {boolean} options.dryRun - 为true时只返回填充计划，不写入字段
+   * @param {number} options.minConfidence - 自动应用所需的最低置信度，默认使用confidenceThreshold
+   * @returns {Promise<Object>} 填充计划
+   */
+  async autofillForm(form, options = {}) {
+    const {
+      dryRun = false,
+      minConfidence = this.config.prediction.confidenceThreshold
+    } = options;
+    
+    const elements = new Map();
+    const context = {};
+    const descriptors = this._getAutofillFields(form).map(field => {
+      const descriptor = this._describeField(field);
+      elements.set(descriptor.name, field);
+      if (descriptor.value && descriptor.value.toString().trim() !== '') {
+        context[descriptor.name] = descriptor.value;
+      }
+      return descriptor;
+    });
+    
+    // 所有空字段都只以用户已填写的值为上下文，互不影响
+    const scope = this._getScope(form);
+    const fields = this.predictForm(descriptors, { scope }).map(prediction => ({
+      ...prediction,
+      field: elements.get(prediction.name),
+      apply: prediction.value !== null && prediction.confidence >= minConfidence
+    }));
+    
+    const plan = {
+      form: form,
+      scope: scope,
+      context: context,
+      fields: fields,
+      applied: false
+    };
+    
+    if (!dryRun) {
+      this.applyAutofillPlan(plan);
     }
+    
+    return plan;
   }
   
   /**
-   * 更新模式数据
-   * @param {Object} formData - 表单数据
+   * 应用填充计划
+   * 只写入apply为true的字段，预览时可以修改各字段的apply或value后再调用
+   * @param {Object} plan - autofillForm返回的填充计划
+   * @returns {Object} 应用后的填充计划
    */
-  _updatePatterns(formData) {
-    // 为每个字段更新模式数据
-    for (const [fieldName, value] of Object.entries(formData)) {
-      // 如果该字段还没有模式数据，创建一个新的Set
-      if (!this.patterns.has(fieldName)) {
-        this.patterns.set(fieldName, new Set());
+  applyAutofillPlan(plan) {
+    plan.fields.forEach(entry => {
+      if (entry.apply && entry.value !== null) {
+        this._applyPrediction(entry.field, entry.value);
+        this._pendingFeedback.set(entry.name, { value: entry.value, scope: plan.scope });
       }
+    });
+    
+    plan.applied = true;
+    
+    plan.form.dispatchEvent(new CustomEvent('smart-form-autofill', {
+      detail: { plan: plan }
+    }));
+    
+    return plan;
+  }
+  
+  /**
+   * 将字段元素转换为字段描述
+   * @param {HTMLElement} field - 字段元素
+   * @returns {Object} 字段描述 { name, type, value, autocomplete, label, placeholder }
+   */
+  _describeField(field) {
+    return {
+      name: this.fieldAdapters.getName(field),
+      type: this.fieldAdapters.getType(field),
+      value: this._getFieldValue(field),
+      autocomplete: field.getAttribute('autocomplete') || '',
+      label: field.labels && field.labels.length > 0 ? field.labels[0].textContent.trim() : '',
+      placeholder: field.getAttribute('placeholder') || ''
+    };
+  }
+  
+  /**
+   * 获取可以自动填充的字段
+   * @param {HTMLElement} form - 表单元素
+   * @returns {Array} 字段元素列表
+   */
+  _getAutofillFields(form) {
+    const excludedTypes = ['submit', 'button', 'reset', 'image', 'file', 'hidden'];
+    const names = new Set();
+    
+    // 复选框组和单选按钮组只保留第一个控件
+    return this._getFormFields(form).filter(field => {
+      const fieldName = this.fieldAdapters.getName(field);
+      if (!fieldName || names.has(fieldName)) return false;
+      if (field.disabled || field.readOnly || excludedTypes.includes(this.fieldAdapters.getType(field))) return false;
+      if (!this.policy.isAllowed(field)) return false;
       
-      // 将值添加到模式数据中
-      const fieldPatterns = this.patterns.get(fieldName);
-      fieldPatterns.add(value);
+      names.add(fieldName);
+      return true;
+    });
+  }
+  
+  /**
+   * 记录用户对建议的反馈
+   * @param {string} fieldName - 字段名
+   * @param {string} suggestion - 建议值
+   * @param {string} outcome - 'accepted'、'dismissed' 或 'overridden'
+   * @param {Object} options - 选项
+   * @param {string} options.scope - 表单作用域
+   */
+  recordFeedback(fieldName, suggestion, outcome, options = {}) {
+    super.recordFeedback(fieldName, suggestion, outcome, options);
+    this._pendingFeedback.delete(fieldName);
+    
+    // Worker中的预测同样需要按反馈调整排序
+    if (this.worker && !this.worker.failed) {
+      this.worker.call('recordFeedback', fieldName, suggestion, outcome, options)
+        .catch(error => console.warn('Failed to record feedback in worker:', error));
     }
   }
   
   /**
-   * 检测字段类型
-   * @param {string} fieldName - 字段名称
-   * @param {any} value - 字段值
-   * @returns {string} 字段类型
+   * 记录字段元素上的建议反馈，作用域由字段所在表单决定
+   * @param {HTMLElement} field - 字段元素
+   * @param {string} suggestion - 建议值
+   * @param {string} outcome - 'accepted'、'dismissed' 或 'overridden'
    */
-  _detectFieldType(fieldName, value) {
-    // 基于字段名和值的启发式检测
-    if (typeof value === 'number') return 'numerical';
-    if (typeof value === 'string') {
-      if (fieldName.includes('email')) return 'email';
-      if (fieldName.includes('phone')) return 'phone';
-      if (fieldName.includes('date')) return 'date';
-      return 'text';
+  _recordFieldFeedback(field, suggestion, outcome) {
+    const scope = this._getScope(this._getFieldForm(field));
+    this.recordFeedback(this.fieldAdapters.getName(field), suggestion, outcome, { scope });
+  }
+  
+  /**
+   * 判定已展示建议的结果
+   * 提交值与建议一致视为接受，否则视为被改写
+   * @param {Object} formData - 提交的表单数据
+   * @param {string|null} scope - 提交表单的作用域
+   */
+  _resolvePendingFeedback(formData, scope = null) {
+    for (const [fieldName, pending] of Array.from(this._pendingFeedback.entries())) {
+      if (!(fieldName in formData) || pending.scope !== scope) continue;
+      
+      const outcome = this.predictionEngine.valueKey(formData[fieldName]) === this.predictionEngine.valueKey(pending.value) ?
+        'accepted' : 'overridden';
+      this.recordFeedback(fieldName, pending.value, outcome, { scope });
     }
-    return 'generic';
   }
   
   /**
-   * 获取输入建议
+   * 注册自定义元素的字段适配器
+   * 用于表单关联的自定义元素等无法直接读写value的字段
+   * @param {string} selector - 匹配元素的CSS选择器，通常是自定义元素的标签名
+   * @param {Object} adapter - 适配器 { getValue(element), setValue(element, value), getName?(element), getType?(element) }
+   * @returns {SmartFormPredictor} 当前实例
+   */
+  registerFieldAdapter(selector, adapter) {
+    this.fieldAdapters.register(selector, adapter);
+    return this;
+  }
+  
+  /**
+   * 获取表单的作用域
+   * @param {HTMLElement} form - 表单元素
+   * @returns {string|null} 作用域标识
+   */
+  _getScope(form) {
+    return this.scopes.resolve(form);
+  }
+  
+  /**
+   * 从提交中学习
+   * @param {Object} formData - 表单数据
+   * @param {Object} options - 选项
+   * @param {string} options.scope - 表单作用域
+   */
+  async learnFromSubmission(formData, options = {}) {
+    if (this.paused || this.destroyed) return;
+    
+    // 记录进行中的学习任务，以便destroy()时等待写入完成
+    const task = this.worker ?
+      this._learnInWorker(formData, options) :
+      super.learnFromSubmission(formData, options);
+    this._pendingTasks.add(task);
+    try {
+      await task;
+    } finally {
+      this._pendingTasks.delete(task);
+    }
+  }
+  
+  /**
+   * 在Worker中从提交中学习
+   * 敏感字段在主线程按字段元素过滤，Worker只收到允许学习的值和可序列化的字段描述
+   * @param {Object} formData - 表单数据
+   * @param {Object} options - 选项
+   * @param {string} options.scope - 表单作用域
+   * @param {Array<HTMLElement|Object>} options.fields - 提交的字段元素或描述
+   */
+  async _learnInWorker(formData, options = {}) {
+    if (!this.config.learning) return;
+    
+    const allowedData = this.policy.filter(formData, options.fields);
+    if (Object.keys(allowedData).length === 0) return;
+    
+    const scope = options.scope || null;
+    const fields = Array.from(options.fields || [])
+      .map(field => this._toDescriptor(field))
+      .filter(field => field && field.name in allowedData);
+    
+    // 焦点访问只在主线程记录
+    const sequence = (options.sequence || this.featureEngine.getFocusSequence(scope))
+      .filter(visit => visit.name in allowedData);
+    this.featureEngine.clearFocusHistory(scope);
+    
+    // Worker返回提交涉及的字段的状态，在主线程执行时没有返回值
+    const fieldState = await this._runInWorker('learnFromSubmission', [allowedData, { scope, fields, sequence }],
+      () => {
+        this._syncSubmissionHistory();
+        return super.learnFromSubmission(formData, { ...options, sequence });
+      });
+    
+    // 行内补全和autofillForm在主线程执行，只更新这些字段的模型、模式和计数
+    if (fieldState) {
+      this.importFieldState(fieldState);
+    }
+  }
+  
+  /**
+   * Worker失效后第一次在主线程学习或保存之前，读取Worker写入存储的提交记录
+   * Worker正常工作时提交记录只在Worker中维护，学习完成后不发回页面
+   */
+  _syncSubmissionHistory() {
+    if (!this.worker || this._submissionHistorySynced) return;
+    this.predictionEngine.reloadSubmissionHistory();
+    this._submissionHistorySynced = true;
+  }
+  
+  /**
+   * 预测字段值，Worker模式下在Worker中执行
+   * @param {HTMLElement|Object} field - 字段元素或字段描述
+   * @param {Object} formState - 表单状态
+   * @param {Object} options - 选项
+   * @param {string} options.scope - 表单作用域
+   * @returns {Promise<Object>} 预测结果
+   */
+  async predict(field, formState = {}, options = {}) {
+    // 敏感字段在主线程按字段元素判断，不发送到Worker；按键记录也只在主线程
+    if (!this.worker || !this.policy.isAllowed(field) || this._isTypingFast(field)) {
+      return await super.predict(field, formState, options);
+    }
+    
+    return await this._runInWorker('predict', [this._toDescriptor(field), formState, options],
+      () => super.predict(field, formState, options));
+  }
+  
+  /**
+   * 获取输入建议，Worker模式下在Worker中执行并返回Promise
    * @param {string} field - 字段名
    * @param {string} partialValue - 部分输入值
-   * @returns {Array} 建议列表
-   */
-  getSuggestions(field, partialValue) {
-    // TODO: 简化实现，实际应该基于模型预测
-    const suggestions = [];
-    if (this.patterns.has(field)) {
-      const fieldPatterns = this.patterns.get(field);
-      // 基于历史模式生成建议
-      for (const pattern of fieldPatterns) {
-        if (pattern.startsWith(partialValue)) {
-          suggestions.push(pattern);
-        }
-      }
+   * @param {Object} options - 选项
+   * @param {string} options.scope - 表单作用域
+   * @returns {Array|Promise<Array>} 建议列表
+   */
+  getSuggestions(field, partialValue, options = {}) {
+    if (!this.worker || !this.policy.isAllowed(field)) {
+      return super.getSuggestions(field, partialValue, options);
     }
-    return suggestions.slice(0, this.config.prediction.maxSuggestions);
+    
+    return this._runInWorker('getSuggestions', [this._toDescriptor(field), partialValue, options],
+      () => super.getSuggestions(field, partialValue, options));
   }
   
   /**
-   * 加载存储的数据
+   * 创建Worker客户端
+   * 未启用、环境不支持Web Worker或创建失败时返回null，在主线程执行
+   * @returns {WorkerClient|null} Worker客户端
    */
-  async _loadStoredData() {
+  _createWorker() {
+    const { enabled, url, type } = this.config.worker;
+    if (!enabled) return null;
+    
+    if (typeof Worker === 'undefined' || !url) {
+      console.warn(url ? 'Web Workers are not available, running predictions on the main thread.' :
+        'No worker url configured, running predictions on the main thread.');
+      return null;
+    }
+    
     try {
-      const storedModels = this.storage.getItem('smart-form-models');
-      const storedPatterns = this.storage.getItem('smart-form-patterns');
-      
-      if (storedModels) {
-        // 恢复模型（简化实现）
-        Object.keys(storedModels).forEach(fieldName => {
-          const modelData = storedModels[fieldName];
-          const model = new FieldPredictionModel(modelData.fieldType);
-          // 恢复模型状态
-          this.models.set(fieldName, model);
-        });
-      }
+      const client = new WorkerClient(new Worker(url, { type }), this.storage);
       
-      if (storedPatterns) {
-        // 恢复模式
-        Object.keys(storedPatterns).forEach(fieldName => {
-          this.patterns.set(fieldName, new Set(storedPatterns[fieldName]));
-        });
-      }
+      // Worker中只需要核心配置，UI配置可能包含无法克隆的函数
+      const { learning, privacy, prediction, models, scoping } = this.config;
+      client.init({ learning, privacy, prediction, models, scoping }, this.environment.getDeviceType())
+        .catch(() => {});
+      return client;
     } catch (error) {
-      console.warn('Failed to load stored data:', error);
+      console.warn('Failed to create predictor worker, running predictions on the main thread:', error);
+      return null;
     }
   }
   
   /**
-   * 保存模式数据
+   * 在Worker中调用预测器方法，Worker不可用时改为在主线程执行
+   * @param {string} method - 方法名
+   * @param {Array} args - 可结构化克隆的参数
+   * @param {Function} inline - 在主线程执行的等价调用
+   * @returns {Promise<any>} 方法的返回值
    */
-  async _savePatterns() {
-    try {
-      // 转换Map为可序列化的对象
-      const serializablePatterns = {};
-      for (const [key, value] of this.patterns.entries()) {
-        serializablePatterns[key] = Array.from(value);
+  async _runInWorker(method, args, inline) {
+    if (this.worker && !this.worker.failed) {
+      try {
+        return await this.worker.call(method, ...args);
+      } catch (error) {
+        // 方法本身的错误照常抛出，只有Worker失效时才退回主线程
+        if (!this.worker.failed) throw error;
       }
-      
-      this.storage.setItem('smart-form-patterns', serializablePatterns);
-    } catch (error) {
-      console.warn('Failed to save patterns:', error);
     }
+    
+    return await inline();
+  }
+  
+  /**
+   * 把字段元素转换为可以发送到Worker的字段描述
+   * @param {HTMLElement|Object|string} field - 字段元素、字段描述或字段名
+   * @returns {Object|string} 字段描述或字段名
+   */
+  _toDescriptor(field) {
+    return field && typeof field.getAttribute === 'function' ? this._describeField(field) : field;
   }
   
   /**
@@ -0,0 +1,505 @@
+// 用于生成唯一的listbox id
+let rendererCount = 0;
+
+/**
+ * 建议下拉框渲染器类
+ * Suggestion Dropdown Renderer
+ *
+ * 按照WAI-ARIA combobox模式管理字段的ARIA状态，并支持键盘导航
+ */
+export class SuggestionRenderer {
+  /**
+   * 构造函数
+   * @param {Object} options - 渲染选项
+   * @param {boolean} options.showConfidence - 是否显示置信度
+   * @param {boolean} options.highlightPredictions - 是否高亮预测填充的字段
+   * @param {string} options.animation - 动画效果（'smooth' 或 'none'）
+   * @param {number} options.maxSuggestions - 最多显示的建议数
+   * @param {Function} options.onSelect - 选中建议时的回调 (field, value) => void
+   * @param {Function} options.onDismiss - 用户按Escape关闭建议时的回调 (field, items) => void
+   * @param {string} options.ariaAutocomplete - 字段的aria-autocomplete值，同时提供行内补全时为'both'
+   * @param {Object} options.messages - 屏幕阅读器播报文案
+   */
+  constructor(options = {}) {
+    this.options = {
+      showConfidence: false,
+      highlightPredictions: true,
+      animation: 'smooth',
+      maxSuggestions: 3,
+      onSelect: null,
+      onDismiss: null,
+      ariaAutocomplete: 'list',
+      ...options,
+      messages: {
+        suggestionsAvailable: (count) => count === 1 ?
+          '1 suggestion available, use up and down arrows to navigate' :
+          `${count} suggestions available, use up and down arrows to navigate`,
+        ...(options.messages || {})
+      }
+    };
+    
+    this.id = `sfp-listbox-${++rendererCount}`;
+    this.container = null;      // 下拉框元素
+    this.liveRegion = null;     // 屏幕阅读器播报区域
+    this.activeField = null;    // 当前显示建议的字段
+    this.items = [];            // 当前建议项
+    this.activeIndex = -1;      // 键盘导航选中的建议项
+    this.managedFields = new Map(); // 已设置combobox语义的字段 -> 是否由渲染器添加了role
+    this.lastPredictions = new WeakMap(); // 字段最近一次的预测，用于按下方向键时重新打开
+  }
+  
+  /**
+   * 在字段下方显示建议
+   * @param {HTMLElement} field - 字段元素
+   * @param {Object} prediction - 预测结果
+   */
+  show(field, prediction) {
+    if (typeof document === 'undefined') return;
+    
+    const items = this._buildItems(field, prediction);
+    if (items.length === 0) {
+      this.hide();
+      return;
+    }
+    
+    this._ensureStyles();
+    this._ensureContainer();
+    
+    if (this.activeField && this.activeField !== field) {
+      this._setExpanded(this.activeField, false);
+    }
+    
+    this.activeField = field;
+    this.items = items;
+    this.activeIndex = -1;
+    this.lastPredictions.set(field, prediction);
+    this._renderItems();
+    this._position(field);
+    this._setupCombobox(field);
+    this._setExpanded(field, true);
+    this.announce(this.options.messages.suggestionsAvailable(items.length));
+    
+    this.container.classList.remove('sfp-suggestions--hidden');
+    if (this.options.animation === 'smooth') {
+      this.container.classList.add('sfp-suggestions--animated');
+      // 下一帧再添加可见类，以触发过渡动画
+      const reveal = () => this.container && this.container.classList.add('sfp-suggestions--visible');
+      if (typeof requestAnimationFrame === 'function') {
+        requestAnimationFrame(reveal);
+      } else {
+        reveal();
+      }
+    } else {
+      this.container.classList.remove('sfp-suggestions--animated');
+      this.container.classList.add('sfp-suggestions--visible');
+    }
+  }
+  
+  /**
+   * 隐藏建议下拉框
+   */
+  hide() {
+    if (this.container) {
+      this.container.classList.remove('sfp-suggestions--visible');
+      this.container.classList.add('sfp-suggestions--hidden');
+    }
+    
+    if (this.activeField) {
+      this._setExpanded(this.activeField, false);
+    }
+    
+    this.activeField = null;
+    this.items = [];
+    this.activeIndex = -1;
+  }
+  
+  /**
+   * 处理键盘导航
+   * 上下方向键移动选中项，Enter选中，Escape关闭
+   * @param {KeyboardEvent} event - 键盘事件
+   * @param {HTMLElement} field - 事件对应的字段，默认为event.target，shadow root中的字段需要显式传入
+   * @returns {boolean} 是否已处理该事件
+   */
+  handleKeyDown(event, field = event.target) {
+    if (!this.isVisible() || field !== this.activeField) {
+      // 建议关闭时，按下方向键重新打开最近一次的建议
+      if (event.key === 'ArrowDown' && this.managedFields.has(field) && this.lastPredictions.has(field)) {
+        event.preventDefault();
+        this.show(field, this.lastPredictions.get(field));
+        return true;
+      }
+      return false;
+    }
+    
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        this._setActiveIndex(this.activeIndex + 1 >= this.items.length ? 0 : this.activeIndex + 1);
+        return true;
+      case 'ArrowUp':
+        event.preventDefault();
+        this._setActiveIndex(this.activeIndex - 1 < 0 ? this.items.length - 1 : this.activeIndex - 1);
+        return true;
+      case 'Enter':
+        // 没有选中项时不拦截Enter，保持表单的默认提交行为
+        if (this.activeIndex < 0) return false;
+        event.preventDefault();
+        this._select(this.items[this.activeIndex]);
+        return true;
+      case 'Escape': {
+        event.preventDefault();
+        const items = this.items;
+        this.hide();
+        if (typeof this.options.onDismiss === 'function') {
+          this.options.onDismiss(field, items);
+        }
+        return true;
+      }
+      default:
+        return false;
+    }
+  }
+  
+  /**
+   * 通过屏幕阅读器播报消息
+   * @param {string} message - 播报内容
+   */
+  announce(message) {
+    if (typeof document === 'undefined') return;
+    
+    this._ensureLiveRegion();
+    // 先清空再写入，确保相同内容也会被重新播报
+    this.liveRegion.textContent = '';
+    setTimeout(() => {
+      if (this.liveRegion) {
+        this.liveRegion.textContent = message;
+      }
+    }, 50);
+  }
+  
+  /**
+   * 判断下拉框是否正在显示
+   * @returns {boolean} 是否显示
+   */
+  isVisible() {
+    return this.activeField !== null && this.items.length > 0;
+  }
+  
+  /**
+   * 标记字段为预测填充
+   * @param {HTMLElement} field - 字段元素
+   */
+  highlight(field) {
+    if (!this.options.highlightPredictions || !field.classList) return;
+    field.classList.add('sfp-predicted');
+  }
+  
+  /**
+   * 移除字段的预测高亮
+   * @param {HTMLElement} field - 字段元素
+   */
+  unhighlight(field) {
+    if (field && field.classList) {
+      field.classList.remove('sfp-predicted');
+    }
+  }
+  
+  /**
+   * 销毁渲染器，移除下拉框元素
+   */
+  destroy() {
+    this.hide();
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    if (this.liveRegion && this.liveRegion.parentNode) {
+      this.liveRegion.parentNode.removeChild(this.liveRegion);
+    }
+    Array.from(this.managedFields.keys()).forEach(field => this.release(field));
+    this.container = null;
+    this.liveRegion = null;
+  }
+  
+  /**
+   * 移除字段上由渲染器添加的combobox语义
+   * @param {HTMLElement} field - 字段元素
+   */
+  release(field) {
+    if (!this.managedFields.has(field)) return;
+    
+    if (field === this.activeField) {
+      this.hide();
+    }
+    
+    if (this.managedFields.get(field)) {
+      field.removeAttribute('role');
+    }
+    ['aria-autocomplete', 'aria-haspopup', 'aria-controls', 'aria-expanded', 'aria-activedescendant']
+      .forEach(attribute => field.removeAttribute(attribute));
+    this.managedFields.delete(field);
+  }
+  
+  /**
+   * 为字段设置combobox语义
+   * @param {HTMLElement} field - 字段元素
+   */
+  _setupCombobox(field) {
+    if (this.managedFields.has(field)) return;
+    
+    // 不覆盖开发者已设置的role
+    const addRole = !field.hasAttribute('role');
+    if (addRole) {
+      field.setAttribute('role', 'combobox');
+    }
+    field.setAttribute('aria-autocomplete', this.options.ariaAutocomplete);
+    field.setAttribute('aria-haspopup', 'listbox');
+    field.setAttribute('aria-controls', this.id);
+    field.setAttribute('aria-expanded', 'false');
+    this.managedFields.set(field, addRole);
+  }
+  
+  /**
+   * 更新字段的展开状态
+   * @param {HTMLElement} field - 字段元素
+   * @param {boolean} expanded - 是否展开
+   */
+  _setExpanded(field, expanded) {
+    if (!this.managedFields.has(field)) return;
+    
+    field.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+    if (!expanded) {
+      field.removeAttribute('aria-activedescendant');
+    }
+  }
+  
+  /**
+   * 设置键盘导航选中的建议项
+   * @param {number} index - 建议项索引
+   */
+  _setActiveIndex(index) {
+    this.activeIndex = index;
+    
+    Array.from(this.container.children).forEach((element, i) => {
+      const active = i === index;
+      element.classList.toggle('sfp-suggestion--active', active);
+      element.setAttribute('aria-selected', active ? 'true' : 'false');
+      
+      if (active && typeof element.scrollIntoView === 'function') {
+        element.scrollIntoView({ block: 'nearest' });
+      }
+    });
+    
+    if (index >= 0) {
+      this.activeField.setAttribute('aria-activedescendant', this._getOptionId(index));
+    } else {
+      this.activeField.removeAttribute('aria-activedescendant');
+    }
+  }
+  
+  /**
+   * 获取建议项的id
+   * @param {number} index - 建议项索引
+   * @returns {string} 元素id
+   */
+  _getOptionId(index) {
+    return `${this.id}-option-${index}`;
+  }
+  
+  /**
+   * 根据预测结果构建建议项
+   * @param {HTMLElement} field - 字段元素
+   * @param {Object} prediction - 预测结果
+   * @returns {Array} 建议项列表
+   */
+  _buildItems(field, prediction) {
+    const items = [];
+    const seen = new Set();
+    const currentValue = field.value || '';
+    
+    const addItem = (value, confidence) => {
+      if (value === null || value === undefined) return;
+      const text = value.toString();
+      // 跳过重复项以及与当前输入完全相同的值
+      if (text === '' || seen.has(text) || text === currentValue) return;
+      seen.add(text);
+      items.push({ value: text, confidence: confidence });
+    };
+    
+    // 备选值的置信度取自预测结果的candidates，没有对应候选值时不显示
+    const confidences = new Map((prediction.candidates || []).map(candidate => [candidate.value, candidate.confidence]));
+    addItem(prediction.value, prediction.confidence);
+    (prediction.alternatives || []).forEach(alternative => {
+      addItem(alternative, confidences.has(alternative) ? confidences.get(alternative) : null);
+    });
+    
+    return items.slice(0, this.options.maxSuggestions);
+  }
+  
+  /**
+   * 渲染建议项
+   */
+  _renderItems() {
+    const list = this.container;
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+    
+    this.items.forEach((item, index) => {
+      const element = document.createElement('li');
+      element.className = 'sfp-suggestion';
+      element.id = this._getOptionId(index);
+      element.setAttribute('role', 'option');
+      element.setAttribute('aria-selected', 'false');
+      
+      const label = document.createElement('span');
+      label.className = 'sfp-suggestion-value';
+      label.textContent = item.value;
+      element.appendChild(label);
+      
+      if (this.options.showConfidence && typeof item.confidence === 'number') {
+        const confidence = document.createElement('span');
+        confidence.className = 'sfp-confidence';
+        confidence.setAttribute('aria-hidden', 'true');
+        confidence.textContent = `${Math.round(item.confidence * 100)}%`;
+        element.appendChild(confidence);
+      }
+      
+      // 使用mousedown并阻止默认行为，避免字段在点击时失去焦点
+      element.addEventListener('mousedown', (event) => {
+        event.preventDefault();
+        this._select(item);
+      });
+      
+      list.appendChild(element);
+    });
+  }
+  
+  /**
+   * 选中建议项
+   * @param {Object} item - 建议项
+   */
+  _select(item) {
+    const field = this.activeField;
+    this.hide();
+    
+    if (field && typeof this.options.onSelect === 'function') {
+      this.options.onSelect(field, item.value);
+    }
+  }
+  
+  /**
+   * 将下拉框定位到字段下方
+   * @param {HTMLElement} field - 字段元素
+   */
+  _position(field) {
+    const rect = field.getBoundingClientRect();
+    const scrollX = window.pageXOffset || document.documentElement.scrollLeft || 0;
+    const scrollY = window.pageYOffset || document.documentElement.scrollTop || 0;
+    
+    this.container.style.left = `${rect.left + scrollX}px`;
+    this.container.style.top = `${rect.bottom + scrollY}px`;
+    this.container.style.minWidth = `${rect.width}px`;
+  }
+  
+  /**
+   * 确保下拉框元素存在
+   */
+  _ensureContainer() {
+    if (this.container && this.container.isConnected) return;
+    
+    this.container = document.createElement('ul');
+    this.container.id = this.id;
+    this.container.className = 'sfp-suggestions sfp-suggestions--hidden';
+    this.container.setAttribute('role', 'listbox');
+    document.body.appendChild(this.container);
+  }
+  
+  /**
+   * 确保屏幕阅读器播报区域存在
+   */
+  _ensureLiveRegion() {
+    if (this.liveRegion && this.liveRegion.isConnected) return;
+    
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.className = 'sfp-live-region';
+    this.liveRegion.setAttribute('role', 'status');
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.liveRegion.setAttribute('aria-atomic', 'true');
+    // 视觉上隐藏，但屏幕阅读器可以读取
+    Object.assign(this.liveRegion.style, {
+      position: 'absolute',
+      width: '1px',
+      height: '1px',
+      margin: '-1px',
+      padding: '0',
+      overflow: 'hidden',
+      clip: 'rect(0 0 0 0)',
+      whiteSpace: 'nowrap',
+      border: '0'
+    });
+    document.body.appendChild(this.liveRegion);
+  }
+  
+  /**
+   * 注入默认样式（仅注入一次）
+   * 所有颜色和尺寸都通过CSS变量暴露，可在页面中覆盖
+   */
+  _ensureStyles() {
+    if (document.getElementById('smart-form-predictor-styles')) return;
+    
+    const style = document.createElement('style');
+    style.id = 'smart-form-predictor-styles';
+    style.textContent = `
+.sfp-suggestions {
+  position: absolute;
+  z-index: var(--sfp-z-index, 10000);
+  margin: 0;
+  padding: 0;
+  list-style: none;
+  box-sizing: border-box;
+  max-height: var(--sfp-max-height, 200px);
+  overflow-y: auto;
+  background: var(--sfp-bg, #fff);
+  color: var(--sfp-color, #333);
+  border: 1px solid var(--sfp-border-color, #ddd);
+  border-radius: var(--sfp-radius, 6px);
+  box-shadow: var(--sfp-shadow, 0 2px 10px rgba(0, 0, 0, 0.1));
+  font-family: var(--sfp-font-family, inherit);
+  font-size: var(--sfp-font-size, 14px);
+}
+.sfp-suggestions--hidden {
+  display: none;
+}
+.sfp-suggestions--animated {
+  opacity: 0;
+  transform: translateY(-4px);
+  transition: opacity var(--sfp-transition-duration, 150ms) ease, transform var(--sfp-transition-duration, 150ms) ease;
+}
+.sfp-suggestions--animated.sfp-suggestions--visible {
+  opacity: 1;
+  transform: none;
+}
+.sfp-suggestion {
+  display: flex;
+  justify-content: space-between;
+  gap: 8px;
+  padding: var(--sfp-item-padding, 8px 12px);
+  cursor: pointer;
+}
+.sfp-suggestion:hover,
+.sfp-suggestion--active {
+  background: var(--sfp-active-bg, #f0f7ff);
+  color: var(--sfp-active-color, inherit);
+}
+.sfp-confidence {
+  color: var(--sfp-confidence-color, #999);
+  font-size: 0.85em;
+}
+.sfp-predicted {
+  background-color: var(--sfp-highlight-bg, #fff9c4);
+  transition: background-color var(--sfp-transition-duration, 150ms) ease;
+}
+`;
+    document.head.appendChild(style);
+  }
+}
@@ -0,0 +1,313 @@
+// 字符n-gram中的起止标记
+const START = '\u0002';
+const END = '\u0003';
+
+/**
+ * 创建以文本或字符为键的表
+ * 没有原型，"constructor"、"__proto__" 等文本不会与Object.prototype的成员冲突
+ * @param {Object} source - 复制的初始内容
+ * @returns {Object} 表
+ */
+function createTable(source = {}) {
+  return Object.assign(Object.create(null), source);
+}
+
+/**
+ * 文本补全模型类
+ * Text Completion Model
+ *
+ * 字符级的前缀树和n-gram模型，用于补全文本字段：
+ * 1. 整值前缀树：补全为曾经输入过的完整值
+ * 2. 单词前缀树：补全正在输入的单词，适用于未完整出现过的组合（如新的街道名）
+ * 3. 字符n-gram：逐字符生成补全，适用于没有空格分隔的中日韩文本
+ * 结果按概率排序，相同输入总是得到相同结果。
+ */
+export class TextCompletionModel {
+  /**
+   * 构造函数
+   * @param {Object} options - 选项
+   * @param {number} options.order - n-gram的阶数
+   * @param {number} options.maxCompletionLength - n-gram生成的最大字符数
+   */
+  constructor(options = {}) {
+    this.order = options.order || 3;
+    this.maxCompletionLength = options.maxCompletionLength || 32;
+    
+    // 前缀树节点 { children: { 字符: 节点 }, values: { 原始值: 次数 }, count }，字符不区分大小写
+    this.valueTrie = this._createNode();
+    this.wordTrie = this._createNode();
+    
+    // n-gram计数 { 上下文: { 下一个字符: 次数 } }，包含从0到order-1的所有上下文长度
+    this.ngrams = createTable();
+  }
+  
+  /**
+   * 用一组值训练模型
+   * @param {Array} values - 字段值
+   * @returns {TextCompletionModel} 当前实例
+   */
+  fit(values) {
+    values.forEach(value => this.partialFit(value));
+    return this;
+  }
+  
+  /**
+   * 增量训练：将一个值加入前缀树和n-gram计数
+   * 耗时只与值的长度有关
+   * @param {any} value - 字段值
+   * @returns {TextCompletionModel} 当前实例
+   */
+  partialFit(value) {
+    if (value === null || value === undefined || Array.isArray(value)) return this;
+    const text = value.toString();
+    if (text === '') return this;
+    
+    this._insert(this.valueTrie, text);
+    TextCompletionModel.tokenize(text).forEach(word => this._insert(this.wordTrie, word));
+    this._countNgrams(text);
+    return this;
+  }
+  
+  /**
+   * 补全部分输入
+   * 依次尝试整值、当前单词和字符n-gram，前一级的候选值排在前面，大小写不同的重复值只保留一个
+   * @param {string} partialInput - 部分输入
+   * @param {number} limit - 最多返回的候选值数量
+   * @returns {Array<Object>} 候选值 [{ value, probability }]
+   */
+  complete(partialInput = '', limit = 5) {
+    const candidates = [];
+    const add = items => {
+      items.forEach(item => {
+        const key = item.value.toLowerCase();
+        if (candidates.length < limit && !candidates.some(candidate => candidate.value.toLowerCase() === key)) {
+          candidates.push(item);
+        }
+      });
+    };
+    
+    // 空输入时返回最常见的值
+    add(this._completeFromTrie(this.valueTrie, partialInput));
+    
+    const word = TextCompletionModel.getCurrentWord(partialInput);
+    if (word) {
+      const head = partialInput.slice(0, partialInput.length - word.length);
+      add(this._completeFromTrie(this.wordTrie, word).map(item => ({
+        value: head + item.value,
+        probability: item.probability
+      })));
+      
+      // 字符n-gram只在前缀树中没有候选值时使用，避免拼凑出的值排在已知的值前面
+      if (candidates.length === 0) {
+        add(this._generate(partialInput, limit));
+      }
+    }
+    
+    // 只保留比输入更长的值
+    return candidates.filter(candidate => candidate.value.length > partialInput.length || partialInput === '');
+  }
+  
+  /**
+   * 拆分单词，空白和标点作为分隔符
+   * @param {string} text - 文本
+   * @returns {Array<string>} 单词
+   */
+  static tokenize(text) {
+    return text.split(/[^\p{L}\p{N}]+/u).filter(word => word !== '');
+  }
+  
+  /**
+   * 获取正在输入的单词（末尾连续的字母和数字）
+   * @param {string} text - 部分输入
+   * @returns {string} 当前单词，输入以分隔符结尾时为空字符串
+   */
+  static getCurrentWord(text) {
+    const match = text.match(/[\p{L}\p{N}]+$/u);
+    return match ? match[0] : '';
+  }
+  
+  /**
+   * 序列化模型
+   * @returns {Object} 可JSON序列化的对象
+   */
+  toJSON() {
+    return {
+      order: this.order,
+      maxCompletionLength: this.maxCompletionLength,
+      valueTrie: this.valueTrie,
+      wordTrie: this.wordTrie,
+      ngrams: this.ngrams
+    };
+  }
+  
+  /**
+   * 从序列化数据恢复模型
+   * @param {Object} data - toJSON()的结果
+   * @returns {TextCompletionModel} 模型实例
+   */
+  static fromJSON(data) {
+    const model = new TextCompletionModel({
+      order: data.order,
+      maxCompletionLength: data.maxCompletionLength
+    });
+    model.valueTrie = model._restoreNode(data.valueTrie);
+    model.wordTrie = model._restoreNode(data.wordTrie);
+    Object.entries(data.ngrams).forEach(([context, counts]) => {
+      model.ngrams[context] = createTable(counts);
+    });
+    return model;
+  }
+  
+  /**
+   * 创建前缀树节点
+   * @returns {Object} 节点
+   */
+  _createNode() {
+    return { children: createTable(), values: createTable(), count: 0 };
+  }
+  
+  /**
+   * 把反序列化得到的前缀树节点恢复为以没有原型的表保存子节点和值
+   * @param {Object} node - 节点
+   * @returns {Object} 恢复后的节点
+   */
+  _restoreNode(node) {
+    const restored = this._createNode();
+    restored.count = node.count;
+    Object.assign(restored.values, node.values);
+    Object.entries(node.children).forEach(([char, child]) => {
+      restored.children[char] = this._restoreNode(child);
+    });
+    return restored;
+  }
+  
+  /**
+   * 向前缀树中插入文本
+   * @param {Object} root - 根节点
+   * @param {string} text - 文本
+   */
+  _insert(root, text) {
+    let node = root;
+    node.count++;
+    
+    for (const char of text.toLowerCase()) {
+      if (!node.children[char]) {
+        node.children[char] = this._createNode();
+      }
+      node = node.children[char];
+      node.count++;
+    }
+    
+    node.values[text] = (node.values[text] || 0) + 1;
+  }
+  
+  /**
+   * 列出前缀树中以指定前缀开头的所有文本
+   * 概率为该文本在所有匹配文本中的出现比例
+   * @param {Object} root - 根节点
+   * @param {string} prefix - 前缀
+   * @returns {Array<Object>} 候选值 [{ value, probability }]
+   */
+  _completeFromTrie(root, prefix) {
+    let node = root;
+    for (const char of prefix.toLowerCase()) {
+      node = node.children[char];
+      if (!node) return [];
+    }
+    
+    const results = [];
+    const stack = [node];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      for (const [value, count] of Object.entries(current.values)) {
+        results.push({ value, probability: count / node.count });
+      }
+      stack.push(...Object.values(current.children));
+    }
+    
+    return results.sort(TextCompletionModel._compareCandidates);
+  }
+  
+  /**
+   * 统计字符n-gram
+   * @param {string} text - 文本
+   */
+  _countNgrams(text) {
+    const chars = [...START.repeat(this.order - 1), ...text, END];
+    
+    for (let i = this.order - 1; i < chars.length; i++) {
+      const next = chars[i];
+      for (let length = 0; length < this.order; length++) {
+        const context = chars.slice(i - length, i).join('');
+        if (!this.ngrams[context]) {
+          this.ngrams[context] = createTable();
+        }
+        this.ngrams[context][next] = (this.ngrams[context][next] || 0) + 1;
+      }
+    }
+  }
+  
+  /**
+   * 获取下一个字符的概率分布，上下文没有出现过时退回到更短的上下文
+   * @param {Array<string>} chars - 已有的字符（包含起始标记）
+   * @returns {Array<Object>} 按概率降序排列的 [{ char, probability }]
+   */
+  _nextCharDistribution(chars) {
+    for (let length = this.order - 1; length >= 0; length--) {
+      const counts = this.ngrams[chars.slice(chars.length - length).join('')];
+      if (!counts) continue;
+      
+      const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+      return Object.entries(counts)
+        .map(([char, count]) => ({ char, probability: count / total }))
+        .sort((a, b) => b.probability - a.probability || (a.char < b.char ? -1 : 1));
+    }
+    return [];
+  }
+  
+  /**
+   * 使用字符n-gram和束搜索补全当前单词，生成到值的结尾或下一个空白为止
+   * @param {string} partialInput - 部分输入
+   * @param {number} beamWidth - 束宽，也是返回的候选值数量上限
+   * @returns {Array<Object>} 候选值 [{ value, probability }]
+   */
+  _generate(partialInput, beamWidth) {
+    const prefix = [...START.repeat(this.order - 1), ...partialInput];
+    let beams = [{ chars: prefix, probability: 1 }];
+    const finished = [];
+    
+    for (let step = 0; step < this.maxCompletionLength && beams.length > 0; step++) {
+      const expanded = [];
+      
+      beams.forEach(beam => {
+        this._nextCharDistribution(beam.chars).slice(0, beamWidth).forEach(({ char, probability }) => {
+          const next = { chars: [...beam.chars, char], probability: beam.probability * probability };
+          
+          if (char === END || /\s/.test(char)) {
+            // 至少生成一个字符才算补全
+            if (step > 0) {
+              finished.push({ value: beam.chars.slice(this.order - 1).join(''), probability: next.probability });
+            }
+          } else {
+            expanded.push(next);
+          }
+        });
+      });
+      
+      beams = expanded.sort((a, b) => b.probability - a.probability).slice(0, beamWidth);
+    }
+    
+    return finished.sort(TextCompletionModel._compareCandidates).slice(0, beamWidth);
+  }
+  
+  /**
+   * 候选值排序：概率降序，概率相同时按值排序以保证结果确定
+   * @param {Object} a - 候选值
+   * @param {Object} b - 候选值
+   * @returns {number} 比较结果
+   */
+  static _compareCandidates(a, b) {
+    if (b.probability !== a.probability) return b.probability - a.probability;
+    return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+  }
+}
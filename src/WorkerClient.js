@@ -0,0 +1,166 @@
+/**
+ * Worker客户端类
+ * Worker Client
+ *
+ * 在页面中代理对PredictorWorker的调用：每个请求带有编号，收到相同编号的结果后兑现对应的Promise。
+ * Worker写入的存储变更由这里写回页面的存储后端。Worker加载失败或出错后不再可用，
+ * 进行中的请求被拒绝，调用方据此退回到主线程执行。
+ */
+export class WorkerClient {
+  /**
+   * 构造函数
+   * @param {Worker} worker - 运行PredictorWorker的Worker
+   * @param {LocalStorage} storage - 页面的存储，Worker以其快照初始化并把变更写回这里
+   */
+  constructor(worker, storage) {
+    this.worker = worker;
+    this.storage = storage;
+    this.failed = false;
+    this.ready = null;
+    this.nextId = 1;
+    this.pending = new Map(); // 请求编号 -> { resolve, reject }
+    
+    worker.addEventListener('message', event => this._handleMessage(event.data));
+    worker.addEventListener('error', event => {
+      const error = new Error(`Predictor worker failed: ${(event && event.message) || 'unknown error'}`);
+      console.warn(error.message);
+      this._fail(error);
+    });
+  }
+  
+  /**
+   * 在Worker中创建预测器
+   * @param {Object} options - 可结构化克隆的预测器配置
+   * @param {string} deviceType - 页面检测到的设备类型
+   * @returns {Promise<null>} Worker加载完成
+   */
+  init(options, deviceType) {
+    this.ready = this._send({
+      type: 'init',
+      options: options,
+      deviceType: deviceType,
+      storage: this._snapshot()
+    });
+    this.ready.catch(error => {
+      if (!this.failed) {
+        console.warn('Failed to start predictor worker:', error);
+      }
+      this._fail(error);
+    });
+    return this.ready;
+  }
+  
+  /**
+   * 调用Worker中预测器的方法
+   * @param {string} method - 方法名
+   * @param {...any} args - 可结构化克隆的参数
+   * @returns {Promise<any>} 方法的返回值
+   */
+  async call(method, ...args) {
+    await this.ready;
+    return await this._send({ type: 'call', method: method, args: args });
+  }
+  
+  /**
+   * 终止Worker，进行中的请求被拒绝
+   */
+  terminate() {
+    this._fail(new Error('Predictor worker was terminated'));
+  }
+  
+  /**
+   * 发送请求
+   * @param {Object} message - 不含编号的消息
+   * @returns {Promise<any>} 请求结果
+   */
+  _send(message) {
+    if (this.failed) {
+      return Promise.reject(new Error('Predictor worker is unavailable'));
+    }
+    
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      try {
+        this.worker.postMessage({ ...message, id: id });
+      } catch (error) {
+        // 参数无法克隆时只拒绝本次请求，Worker仍然可用
+        this.pending.delete(id);
+        reject(error);
+      }
+    });
+  }
+  
+  /**
+   * 处理Worker发来的消息
+   * @param {Object} message - 消息
+   */
+  _handleMessage(message) {
+    if (!message) return;
+    
+    if (message.type === 'storage') {
+      this._applyStorageChange(message);
+      return;
+    }
+    
+    const request = this.pending.get(message.id);
+    if (!request) return;
+    this.pending.delete(message.id);
+    
+    if (message.type === 'error') {
+      request.reject(new Error(message.message));
+    } else {
+      request.resolve(message.result);
+    }
+  }
+  
+  /**
+   * 把Worker中的存储变更写入页面的存储后端
+   * 只处理带预测器前缀的键，忽略存储可用性测试等临时键
+   * @param {Object} change - { action, key, value }
+   */
+  _applyStorageChange(change) {
+    if (!this.storage.isEnabled || !change.key.startsWith(this.storage.prefix)) return;
+    
+    try {
+      if (change.action === 'remove') {
+        this.storage.backend.removeItem(change.key);
+      } else {
+        this.storage.backend.setItem(change.key, change.value);
+      }
+    } catch (error) {
+      console.error('Failed to apply storage change from worker:', error);
+    }
+  }
+  
+  /**
+   * 获取页面存储中预测器数据的快照
+   * @returns {Object} { key: serializedValue }
+   */
+  _snapshot() {
+    const data = {};
+    this.storage.getAllKeys().forEach(key => {
+      const fullKey = this.storage.prefix + key;
+      data[fullKey] = this.storage.backend.getItem(fullKey);
+    });
+    return data;
+  }
+  
+  /**
+   * 标记Worker不可用，拒绝进行中的请求并终止Worker
+   * @param {Error} error - 原因
+   */
+  _fail(error) {
+    if (this.failed) return;
+    this.failed = true;
+    
+    this.pending.forEach(request => request.reject(error));
+    this.pending.clear();
+    
+    try {
+      this.worker.terminate();
+    } catch (e) {
+      // Worker可能已经关闭
+    }
+  }
+}
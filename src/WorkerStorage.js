@@ -0,0 +1,46 @@
+import { MemoryStorage } from './MemoryStorage.js';
+
+/**
+ * Worker存储类
+ * Worker Storage
+ *
+ * Worker中没有localStorage。以页面存储的快照初始化，每次写入后通过回调把变更发回页面，
+ * 由页面写入实际的存储后端，使Worker与页面共用同一份数据。
+ */
+export class WorkerStorage extends MemoryStorage {
+  /**
+   * 构造函数
+   * @param {Object} initialData - 页面存储的快照 { key: serializedValue }
+   * @param {Function} onChange - 存储变更回调，参数为 { action: 'set' | 'remove', key, value }
+   */
+  constructor(initialData = {}, onChange = () => {}) {
+    super(initialData);
+    this.onChange = onChange;
+  }
+  
+  /**
+   * 设置存储项
+   * @param {string} key - 键
+   * @param {string} value - 值
+   */
+  setItem(key, value) {
+    super.setItem(key, value);
+    this.onChange({ action: 'set', key: key, value: this.getItem(key) });
+  }
+  
+  /**
+   * 删除存储项
+   * @param {string} key - 键
+   */
+  removeItem(key) {
+    super.removeItem(key);
+    this.onChange({ action: 'remove', key: key });
+  }
+  
+  /**
+   * 清空所有存储项
+   */
+  clear() {
+    Array.from(this.data.keys()).forEach(key => this.removeItem(key));
+  }
+}
@@ -0,0 +1,172 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+/**
+ * React 适配器
+ * React Adapter
+ *
+ * useSmartPredictor 返回当前字段的建议列表以及接受、关闭建议的处理函数，由应用自行渲染建议。
+ * 接受建议时通过原生 value setter 写入并触发 input 事件，受控组件的 onChange 会随之执行，state 保持同步。
+ */
+
+/**
+ * 在React组件中使用预测器
+ *
+ *   const { register, fieldName, suggestions, accept, dismiss, learn } = useSmartPredictor(predictor);
+ *   <input {...register('city')} value={city} onChange={e => setCity(e.target.value)} />
+ *   {fieldName === 'city' && suggestions.map(item =>
+ *     <li key={item.value} onMouseDown={() => accept(item.value)}>{item.value}</li>)}
+ *
+ * @param {SmartFormPredictor} predictor - 预测器实例
+ * @param {Object} options - 选项
+ * @param {string} options.scope - 表单作用域
+ * @param {number} options.minConfidence - 显示建议所需的最低置信度，默认使用confidenceThreshold
+ * @returns {Object} { register, fieldName, suggestions, accept, dismiss, learn }
+ */
+export function useSmartPredictor(predictor, options = {}) {
+  const { scope = null, minConfidence } = options;
+  
+  const fieldsRef = useRef(new Map());     // 字段名 -> 元素
+  const listenersRef = useRef(new Map());  // 字段名 -> { element, listener }
+  const refCallbacksRef = useRef(new Map()); // 字段名 -> 稳定的ref回调
+  const generationRef = useRef(0);         // 递增后，进行中的预测结果会被丢弃
+  const applyingRef = useRef(false);       // 正在写入建议值时为true，避免触发新的预测
+  const optionsRef = useRef({ scope, minConfidence });
+  optionsRef.current = { scope, minConfidence };
+  
+  const [state, setState] = useState({ fieldName: null, suggestions: [] });
+  
+  // 以所有已注册字段的当前值作为表单状态
+  const collectValues = useCallback(() => {
+    const values = {};
+    for (const [name, element] of fieldsRef.current.entries()) {
+      values[name] = predictor.getFieldValue(element);
+    }
+    return values;
+  }, [predictor]);
+  
+  const updateSuggestions = useCallback(async (name, element) => {
+    const generation = ++generationRef.current;
+    const prediction = await predictor.predict(element, collectValues(), {
+      scope: optionsRef.current.scope
+    });
+    if (generation !== generationRef.current) return;
+    
+    const threshold = optionsRef.current.minConfidence !== undefined ?
+      optionsRef.current.minConfidence :
+      predictor.config.prediction.confidenceThreshold;
+    const currentValue = predictor.getFieldValue(element);
+    const suggestions = [];
+    
+    if (prediction.value !== null && prediction.value !== undefined && prediction.confidence >= threshold) {
+      const seen = new Set();
+      [prediction.value, ...(prediction.alternatives || [])].forEach((value, index) => {
+        const text = value.toString();
+        // 跳过重复项以及与当前输入完全相同的值
+        if (text === '' || seen.has(text) || text === currentValue) return;
+        seen.add(text);
+        suggestions.push({ value: text, confidence: index === 0 ? prediction.confidence : null });
+      });
+    }
+    
+    setState({
+      fieldName: name,
+      suggestions: suggestions.slice(0, predictor.config.prediction.maxSuggestions)
+    });
+  }, [predictor, collectValues]);
+  
+  /**
+   * 注册字段，返回需要展开到输入元素上的属性 { name, ref }
+   * @param {string} name - 字段名
+   * @returns {Object} 元素属性
+   */
+  const register = useCallback(name => {
+    if (!refCallbacksRef.current.has(name)) {
+      refCallbacksRef.current.set(name, element => {
+        const previous = listenersRef.current.get(name);
+        if (previous) {
+          previous.element.removeEventListener('input', previous.listener);
+          listenersRef.current.delete(name);
+          fieldsRef.current.delete(name);
+        }
+        
+        if (element) {
+          const listener = () => {
+            if (!applyingRef.current) {
+              updateSuggestions(name, element);
+            }
+          };
+          element.addEventListener('input', listener);
+          listenersRef.current.set(name, { element, listener });
+          fieldsRef.current.set(name, element);
+        }
+      });
+    }
+    
+    return { name: name, ref: refCallbacksRef.current.get(name) };
+  }, [updateSuggestions]);
+  
+  /**
+   * 接受建议，写入当前字段
+   * @param {string} value - 建议值
+   */
+  const accept = useCallback(value => {
+    const name = state.fieldName;
+    const element = name ? fieldsRef.current.get(name) : null;
+    if (!element) return;
+    
+    generationRef.current++;
+    applyingRef.current = true;
+    try {
+      predictor.setFieldValue(element, value);
+    } finally {
+      applyingRef.current = false;
+    }
+    
+    predictor.recordFeedback(name, value, 'accepted', { scope: optionsRef.current.scope });
+    setState({ fieldName: null, suggestions: [] });
+  }, [predictor, state.fieldName]);
+  
+  /**
+   * 关闭建议，首选建议记为被拒绝
+   */
+  const dismiss = useCallback(() => {
+    generationRef.current++;
+    if (state.fieldName && state.suggestions.length > 0) {
+      predictor.recordFeedback(state.fieldName, state.suggestions[0].value, 'dismissed', {
+        scope: optionsRef.current.scope
+      });
+    }
+    setState({ fieldName: null, suggestions: [] });
+  }, [predictor, state]);
+  
+  /**
+   * 从提交中学习，默认使用所有已注册字段的当前值
+   * @param {Object} values - 表单数据
+   * @returns {Promise<void>}
+   */
+  const learn = useCallback((values = collectValues()) => {
+    return predictor.learnFromSubmission(values, {
+      scope: optionsRef.current.scope,
+      fields: Array.from(fieldsRef.current.values())
+    });
+  }, [predictor, collectValues]);
+  
+  // 卸载时移除监听器并丢弃进行中的预测
+  useEffect(() => () => {
+    generationRef.current++;
+    for (const { element, listener } of listenersRef.current.values()) {
+      element.removeEventListener('input', listener);
+    }
+    listenersRef.current.clear();
+    fieldsRef.current.clear();
+  }, []);
+  
+  return {
+    register,
+    fieldName: state.fieldName,
+    suggestions: state.suggestions,
+    accept,
+    dismiss,
+    learn
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Vue 适配器
+ * Vue Adapter
+ *
+ * 提供 v-smart-predict 指令（同时兼容 Vue 2 和 Vue 3）以及 Element UI 的 el-form 集成。
+ * 预测值通过原生 input/change 事件写入，v-model 和 el-input 会随之同步更新。
+ */
+
+/**
+ * 查找元素本身或其内部的表单控件，兼容 el-input 等包裹了原生控件的组件
+ * @param {HTMLElement} el - 元素
+ * @returns {HTMLElement|null} 表单控件
+ */
+function findControl(el) {
+  if (!el) return null;
+  if (el.matches && el.matches('input, textarea, select')) return el;
+  return el.querySelector ? el.querySelector('input, textarea, select') : null;
+}
+
+/**
+ * 创建 v-smart-predict 指令
+ * 指令的值为字段名，省略时使用控件已有的 name 属性
+ *
+ *   <el-input v-model="form.city" v-smart-predict="'city'" />
+ *
+ * @param {SmartFormPredictor} predictor - 预测器实例
+ * @returns {Object} 指令定义
+ */
+export function createSmartPredictDirective(predictor) {
+  const boundForms = new WeakMap(); // 元素 -> 所在表单
+  const formUsage = new Map();      // 表单 -> { count, attachedByDirective }
+  
+  const applyName = (el, binding) => {
+    const control = findControl(el);
+    if (control && typeof binding.value === 'string' && binding.value !== '') {
+      control.setAttribute('name', binding.value);
+    }
+    return control;
+  };
+  
+  const mount = (el, binding) => {
+    const control = applyName(el, binding);
+    if (!control) {
+      console.warn('v-smart-predict: no input, textarea or select element found');
+      return;
+    }
+    
+    const form = control.closest('form');
+    if (!form) {
+      console.warn('v-smart-predict: field is not inside a form');
+      return;
+    }
+    
+    // 只解除由指令开始监控的表单，不影响通过init()监控的表单
+    if (!formUsage.has(form)) {
+      formUsage.set(form, { count: 0, attachedByDirective: !predictor.forms.has(form) });
+      predictor.attach(form);
+    }
+    formUsage.get(form).count++;
+    boundForms.set(el, form);
+  };
+  
+  const unmount = el => {
+    const form = boundForms.get(el);
+    if (!form) return;
+    boundForms.delete(el);
+    
+    const usage = formUsage.get(form);
+    usage.count--;
+    if (usage.count === 0) {
+      formUsage.delete(form);
+      if (usage.attachedByDirective) {
+        predictor.detach(form);
+      }
+    }
+  };
+  
+  return {
+    // Vue 2
+    inserted: mount,
+    componentUpdated: applyName,
+    unbind: unmount,
+    // Vue 3
+    mounted: mount,
+    updated: applyName,
+    unmounted: unmount
+  };
+}
+
+/**
+ * Vue 插件，注册全局的 v-smart-predict 指令
+ *
+ *   Vue.use(SmartPredictPlugin, { predictor })      // Vue 2
+ *   app.use(SmartPredictPlugin, { predictor })      // Vue 3
+ */
+export const SmartPredictPlugin = {
+  /**
+   * 安装插件
+   * @param {Object} app - Vue 构造函数（Vue 2）或应用实例（Vue 3）
+   * @param {Object} options - 选项
+   * @param {SmartFormPredictor} options.predictor - 预测器实例
+   */
+  install(app, options = {}) {
+    if (!options.predictor) {
+      throw new Error('SmartPredictPlugin requires a predictor instance');
+    }
+    app.directive('smart-predict', createSmartPredictDirective(options.predictor));
+  }
+};
+
+/**
+ * 将 Element UI 的 el-form 接入预测器
+ * 以 el-form-item 的 prop 作为字段名，无需在每个 el-input 上手动设置 name
+ *
+ *   const binding = bindElementForm(predictor, this.$refs.form);
+ *   // 校验通过后
+ *   await binding.learn();
+ *
+ * @param {SmartFormPredictor} predictor - 预测器实例
+ * @param {Object} formVm - el-form 组件实例
+ * @returns {Object} 绑定 { refresh, learn, destroy }
+ */
+export function bindElementForm(predictor, formVm) {
+  const form = formVm.$el;
+  
+  // 为每个带prop的表单项中的控件设置name
+  const refresh = () => {
+    (formVm.fields || []).forEach(item => {
+      if (!item.prop) return;
+      const control = findControl(item.$el);
+      if (control && !control.getAttribute('name')) {
+        control.setAttribute('name', item.prop);
+      }
+    });
+  };
+  
+  // 之后通过v-if等方式添加的表单项
+  const handleAddField = () => formVm.$nextTick(refresh);
+  
+  refresh();
+  formVm.$on('el.form.addField', handleAddField);
+  predictor.attach(form);
+  
+  return {
+    refresh: refresh,
+    
+    /**
+     * 以el-form的数据模型学习一次提交
+     * el-form通常不会触发原生的submit事件，需要在校验通过后调用
+     * @returns {Promise<void>}
+     */
+    learn() {
+      const values = {};
+      (formVm.fields || []).forEach(item => {
+        if (item.prop && item.fieldValue !== undefined) {
+          values[item.prop] = item.fieldValue;
+        }
+      });
+      
+      return predictor.learnFromSubmission(values, {
+        scope: predictor.scopes.resolve(form),
+        fields: Array.from(form.querySelectorAll('input, textarea, select'))
+      });
+    },
+    
+    destroy() {
+      formVm.$off('el.form.addField', handleAddField);
+      predictor.detach(form);
+    }
+  };
+}
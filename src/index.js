@@ -1 +1,3 @@
-export { SmartFormPredictor } from './SmartFormPredictor.js';
\ No newline at end of file
+export { SmartFormPredictor } from './SmartFormPredictor.js';
+export { HeadlessPredictor } from './HeadlessPredictor.js';
+export { MemoryStorage } from './MemoryStorage.js';
\ No newline at end of file
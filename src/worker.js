@@ -0,0 +1,4 @@
+import { PredictorWorker } from './PredictorWorker.js';
+
+// Web Worker入口，SmartFormPredictor的worker.url指向此文件或构建后的 dist/smart-form-predictor.worker.js
+new PredictorWorker(self);
@@ -1,5 +1,80 @@
 // 简单的测试文件来验证包的基本功能
-import { SmartFormPredictor } from '../src/index.js';
+import { createElement } from 'react';
+import TestRenderer from 'react-test-renderer';
+import { SmartFormPredictor, HeadlessPredictor, MemoryStorage } from '../src/index.js';
+import { FieldPredictionModel } from '../src/FieldPredictionModel.js';
+import { PredictorWorker } from '../src/PredictorWorker.js';
+import { TextCompletionModel } from '../src/TextCompletionModel.js';
+import { FieldSemantics } from '../src/FieldSemantics.js';
+import { createSmartPredictDirective, bindElementForm } from '../src/adapters/vue.js';
+import { useSmartPredictor } from '../src/adapters/react.js';
+import { installDom, h } from './dom-stub.js';
+
+const { act } = TestRenderer;
+
+// 在同一进程中模拟Web Worker，消息经结构化克隆后异步传递
+class FakeWorker {
+  constructor(url, options) {
+    this.listeners = { message: [], error: [] };
+    this.messages = []; // 页面发送给Worker的消息
+    this.scope = {
+      listeners: [],
+      addEventListener: (type, listener) => this.scope.listeners.push(listener),
+      postMessage: data => {
+        const event = { data: structuredClone(data) };
+        setTimeout(() => this.listeners.message.forEach(listener => listener(event)));
+      }
+    };
+    new PredictorWorker(this.scope);
+  }
+  addEventListener(type, listener) {
+    this.listeners[type].push(listener);
+  }
+  postMessage(data) {
+    this.messages.push(data);
+    const event = { data: structuredClone(data) };
+    setTimeout(() => this.scope.listeners.forEach(listener => listener(event)));
+  }
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+/**
+ * 创建使用内存存储和固定时钟的预测器，并依次学习给出的提交
+ * @param {Object} options - 预测器配置，environment中的项覆盖默认的时钟和存储
+ * @param {Array<Object|Array>} submissions - 表单数据，或 [表单数据, 学习选项]
+ * @param {Function} Predictor - 预测器类
+ * @returns {Promise<HeadlessPredictor>} 学习完成的预测器
+ */
+async function createPredictor(options = {}, submissions = [], Predictor = HeadlessPredictor) {
+  const predictor = new Predictor({
+    ...options,
+    environment: { now: () => 0, deviceType: 'server', storage: new MemoryStorage(), ...options.environment },
+    privacy: { anonymize: false, ...options.privacy }
+  });
+  for (const submission of submissions) {
+    const [formData, learnOptions] = Array.isArray(submission) ? submission : [submission];
+    await predictor.learnFromSubmission(formData, learnOptions);
+  }
+  return predictor;
+}
+
+/**
+ * 在测试用的DOM中执行，结束后恢复全局对象
+ * @param {Function} callback - 接收document的异步函数
+ */
+async function withDom(callback) {
+  const { document, restore } = installDom();
+  try {
+    await callback(document);
+  } finally {
+    restore();
+  }
+}
+
+// 等待异步的事件处理完成，包括Worker消息的往返
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
 
 // 检查类是否正确定义
 if (typeof SmartFormPredictor === 'function') {
@@ -18,4 +93,1095 @@ try {
   process.exit(1);
 }
 
+// 检查无DOM环境下的学习和预测
+try {
+  const storage = new MemoryStorage();
+  const headless = await createPredictor({ environment: { storage } },
+    [{ city: 'Paris', country: 'FR' }, { city: 'Paris', country: 'FR' }]);
+  
+  const prediction = await headless.predict({ name: 'city', type: 'text', value: 'Pa' }, { country: 'FR' });
+  if (prediction.value !== 'Paris') {
+    throw new Error(`Expected Paris, got ${prediction.value}`);
+  }
+  if (storage.getItem('smart-form-training-data') === null) {
+    throw new Error('Training data was not written to the injected storage');
+  }
+  
+  // 数值按字符串给出建议，对象值不学习
+  const warn = console.warn;
+  console.warn = () => {};
+  await headless.learnFromSubmission({ quantity: 12, profile: { id: 1 }, tags: ['a', { id: 2 }] });
+  console.warn = warn;
+  const suggestions = headless.getSuggestions('quantity', '1');
+  if (suggestions[0] !== 12 || headless.patterns.has('profile') || Array.from(headless.patterns.get('tags')).join() !== 'a') {
+    throw new Error(`Unexpected suggestions: ${JSON.stringify(suggestions)}`);
+  }
+  console.log('✓ HeadlessPredictor predicts from plain field descriptors');
+} catch (error) {
+  console.error('✗ HeadlessPredictor failed:', error);
+  process.exit(1);
+}
+
+// 检查不同作用域的同名字段互不干扰
+try {
+  const pets = [{ name: 'Rex' }, { scope: 'pet' }];
+  const shippings = [{ name: 'Robert' }, { scope: 'shipping' }];
+  const scoped = await createPredictor({}, [pets, pets, shippings, shippings]);
+  
+  const field = { name: 'name', type: 'text', value: 'R' };
+  const pet = await scoped.predict(field, {}, { scope: 'pet' });
+  const shipping = await scoped.predict(field, {}, { scope: 'shipping' });
+  if (pet.value !== 'Rex' || shipping.value !== 'Robert') {
+    throw new Error(`Expected Rex/Robert, got ${pet.value}/${shipping.value}`);
+  }
+  console.log('✓ Form scopes keep same-named fields apart');
+} catch (error) {
+  console.error('✗ Form scopes failed:', error);
+  process.exit(1);
+}
+
+// 检查敏感字段不会被学习
+try {
+  const storage = new MemoryStorage();
+  await createPredictor({ environment: { storage } }, [[
+    { city: 'Paris', password: 'hunter2', cvv: '123', code: '999' },
+    { fields: [{ name: 'code', autocomplete: 'one-time-code' }] }
+  ]]);
+  
+  const stored = storage.getItem('smart-form-training-data');
+  if (['hunter2', '123', '999'].some(secret => stored.includes(secret)) || !stored.includes('Paris')) {
+    throw new Error(`Unexpected training data: ${stored}`);
+  }
+  console.log('✓ Sensitive fields are excluded from learning');
+} catch (error) {
+  console.error('✗ Sensitive field policy failed:', error);
+  process.exit(1);
+}
+
+// 检查autocomplete属性的解析和没有autocomplete时的启发式推断
+try {
+  const semantics = new FieldSemantics();
+  const parsed = [
+    ['section-blue shipping street-address', { token: 'street-address', section: 'blue', addressType: 'shipping', contact: null }],
+    ['section-a cc-number', { token: 'cc-number', section: 'a', addressType: null, contact: null }],
+    ['billing postal-code', { token: 'postal-code', section: null, addressType: 'billing', contact: null }],
+    ['shipping work email', { token: 'email', section: null, addressType: 'shipping', contact: 'work' }],
+    ['home tel', { token: 'tel', section: null, addressType: null, contact: 'home' }],
+    ['  Mobile   TEL-national ', { token: 'tel-national', section: null, addressType: null, contact: 'mobile' }],
+    ['email webauthn', { token: 'email', section: null, addressType: null, contact: null }]
+  ];
+  for (const [value, expected] of parsed) {
+    const result = semantics.parseAutocomplete(value);
+    if (JSON.stringify(result) !== JSON.stringify(expected)) {
+      throw new Error(`Unexpected parse of "${value}": ${JSON.stringify(result)}`);
+    }
+  }
+  
+  // off、未知令牌、修饰符顺序错误、联系方式修饰符用于地址等都不合法
+  const invalid = ['off', 'on', '', 'favorite-color', 'shipping section-a tel', 'work street-address',
+    'billing shipping tel', 'home', 'tel email', null];
+  const accepted = invalid.filter(value => semantics.parseAutocomplete(value) !== null);
+  if (accepted.length > 0) {
+    throw new Error(`Invalid autocomplete values were accepted: ${JSON.stringify(accepted)}`);
+  }
+  
+  // 没有可识别的autocomplete时按字段名和标签推断
+  const byName = semantics.resolve({ name: 'customer_email', autocomplete: 'off' });
+  const byLabel = semantics.resolve({ name: 'field_3', label: 'Postal code' });
+  const byAutocomplete = semantics.resolve({ name: 'email', autocomplete: 'billing address-level2' });
+  if (byName.token !== 'email' || byName.source !== 'heuristic' ||
+      byLabel.token !== 'postal-code' || byLabel.source !== 'heuristic' ||
+      byAutocomplete.kind !== 'city' || byAutocomplete.source !== 'autocomplete' || byAutocomplete.addressType !== 'billing') {
+    throw new Error(`Unexpected semantics: ${JSON.stringify({ byName, byLabel, byAutocomplete })}`);
+  }
+  
+  // 启发式规则只匹配完整的单词，驼峰和下划线命名按单词拆分
+  const words = { billingZipCode: 'postal-code', telNo: 'tel', address_line1: 'street-address', birthDate: 'bday', mail: 'email' };
+  const unmatched = ['hotel', 'ethnicity', 'adobe', 'statement', 'hotelName'];
+  const heuristics = [...Object.keys(words), ...unmatched].map(name => [name, semantics.resolve({ name }).token]);
+  if (heuristics.some(([name, token]) => token !== (words[name] || null))) {
+    throw new Error(`Unexpected heuristic matches: ${JSON.stringify(heuristics)}`);
+  }
+  console.log('✓ Autocomplete attributes are parsed with heuristic fallback');
+} catch (error) {
+  console.error('✗ Field semantics failed:', error);
+  process.exit(1);
+}
+
+// 检查集合型字段按选项学习和预测
+try {
+  const choices = await createPredictor({}, [{ topics: ['js', 'css'] }, { topics: ['js'] }, { topics: ['js', 'go'] }]);
+  
+  const prediction = await choices.predict({ name: 'topics', type: 'checkbox', value: [] });
+  if (!Array.isArray(prediction.value) || prediction.value.join(',') !== 'js') {
+    throw new Error(`Expected [js], got ${JSON.stringify(prediction.value)}`);
+  }
+  console.log('✓ Multi-value fields are predicted as sets');
+} catch (error) {
+  console.error('✗ Multi-value prediction failed:', error);
+  process.exit(1);
+}
+
+// 检查训练好的模型在重新加载后恢复
+try {
+  const storage = new MemoryStorage();
+  const original = await createPredictor({ environment: { storage } });
+  
+  const model = new FieldPredictionModel('text');
+  await model.train([], ['New York', 'New Jersey', 'New York']);
+  original.models.set('city', model);
+  await original.learnFromSubmission({ city: 'New York' });
+  
+  const restored = await HeadlessPredictor.create({
+    environment: { now: () => 0, deviceType: 'server', storage: storage },
+    privacy: { anonymize: false }
+  });
+  const restoredModel = restored.models.get('city');
+  if (!restoredModel || restoredModel.model.predict('New') !== 'New York') {
+    throw new Error(`Unexpected restored model: ${JSON.stringify(restoredModel)}`);
+  }
+  console.log('✓ Trained models are restored from storage');
+} catch (error) {
+  console.error('✗ Model persistence failed:', error);
+  process.exit(1);
+}
+
+// 检查字段预测模型以其他字段为特征参与预测
+try {
+  const submissions = [['Ann', 'ann@example.com'], ['Bob', 'bob@example.com'], ['Bob', 'bob@example.com'],
+    ['Bob', 'bob@example.com'], ['Ann', 'ann@example.com'], ['Bob', 'bob@example.com'], ['Ann', 'ann@example.com']];
+  const blended = await createPredictor({}, submissions.map(([name, email]) => ({ name, email })));
+  
+  // 只按频率统计时bob@example.com更常见，模型根据name选择ann@example.com
+  const prediction = await blended.predict({ name: 'email', type: 'email', value: '' }, { name: 'Ann' });
+  if (prediction.value !== 'ann@example.com' || prediction.candidates[0].source !== 'blend') {
+    throw new Error(`Unexpected prediction: ${JSON.stringify(prediction)}`);
+  }
+  console.log('✓ Field models are blended into predictions');
+} catch (error) {
+  console.error('✗ Model blending failed:', error);
+  process.exit(1);
+}
+
+// 检查数值字段使用岭回归预测
+try {
+  const numeric = await createPredictor({}, [1, 2, 3, 4, 5, 6].map(quantity =>
+    ({ quantity: String(quantity), amount: String(quantity * 20 + 5) })));
+  
+  const prediction = await numeric.predict({ name: 'amount', type: 'text', value: '' }, { quantity: '10' });
+  const candidate = prediction.candidates.find(item => item.source === 'model');
+  if (!candidate || Math.abs(Number(candidate.value) - 205) > 3 || !(candidate.interval[0] < 205 && candidate.interval[1] > 200)) {
+    throw new Error(`Unexpected prediction: ${JSON.stringify(prediction)}`);
+  }
+  
+  // 评估时误差在容差内的数值预测也算命中，回归不会因为预测值与提交值不完全相同而输给K近邻
+  const features = [];
+  const labels = [];
+  for (const rooms of [...Array.from({ length: 20 }, (value, i) => i + 1), 4, 8, 12, 16]) {
+    features.push({ rooms: String(rooms) });
+    labels.push(String(rooms * 100 + (rooms % 2 ? 2 : -2)));
+  }
+  const price = new FieldPredictionModel('numerical');
+  await price.train(features, labels);
+  const { algorithm, results } = price.evaluation;
+  if (algorithm !== 'regression' || results.regression.top1 <= results.knn.top1) {
+    throw new Error(`Unexpected evaluation: ${JSON.stringify(price.evaluation)}`);
+  }
+  console.log('✓ Numeric fields are predicted by regression');
+} catch (error) {
+  console.error('✗ Regression failed:', error);
+  process.exit(1);
+}
+
+// 检查文本补全模型补全正在输入的单词
+try {
+  const text = await createPredictor({},
+    [{ address: 'Main St, Springfield' }, { address: '北京市朝阳区' }, { address: '上海市浦东新区' }]);
+  
+  const word = text.getInlineCompletion({ name: 'address', value: 'Pine Rd, Spr' });
+  const cjk = await text.predict({ name: 'address', type: 'text', value: '北京市浦' });
+  if (!word || word.completion !== 'ingfield' || cjk.value !== '北京市浦东新区') {
+    throw new Error(`Unexpected completions: ${JSON.stringify(word)} / ${cjk.value}`);
+  }
+  
+  // 以Object.prototype成员命名的值在序列化前后都能补全
+  const completion = new TextCompletionModel().fit(['constructor', 'constructor', '__proto__ lane']);
+  const restored = TextCompletionModel.fromJSON(JSON.parse(JSON.stringify(completion)));
+  const named = [completion, restored].map(model => model.complete('con')[0]);
+  const proto = restored.complete('__pro')[0];
+  if (named.some(item => !item || item.value !== 'constructor' || item.probability !== 1) || !proto || proto.value !== '__proto__ lane') {
+    throw new Error(`Unexpected completions: ${JSON.stringify(named)} / ${JSON.stringify(proto)}`);
+  }
+  console.log('✓ Text fields complete the word being typed');
+} catch (error) {
+  console.error('✗ Text completion failed:', error);
+  process.exit(1);
+}
+
+// 检查分类字段使用决策树预测并给出预测依据
+try {
+  const fields = [{ name: 'country', type: 'select-one' }, { name: 'plan', type: 'select-one' }];
+  const submissions = [['FR', 'pro'], ['FR', 'pro'], ['FR', 'pro'], ['FR', 'basic'],
+    ['US', 'basic'], ['US', 'basic'], ['US', 'basic'], ['DE', 'team']];
+  const categorical = await createPredictor({}, submissions.map(([country, plan], index) =>
+    [{ email: `user${index}@example.com`, country, plan }, { fields }]));
+  
+  const candidates = categorical.models.get('plan').predictCandidates({ country: 'FR', email: 'new@example.com' });
+  const explanation = categorical.explain('plan', { country: 'FR' });
+  if (categorical.models.get('plan').fieldType !== 'categorical' || candidates[0].value !== 'pro' ||
+      candidates[0].probability !== 0.75 || explanation !== 'country = "FR" → pro (75% of 4 submissions)') {
+    throw new Error(`Unexpected tree prediction: ${JSON.stringify(candidates)} / ${explanation}`);
+  }
+  console.log('✓ Categorical fields are predicted by a decision tree');
+} catch (error) {
+  console.error('✗ Decision tree failed:', error);
+  process.exit(1);
+}
+
+// 检查取值与Object.prototype的成员同名时决策树仍然正常
+try {
+  const fields = [{ name: 'country', type: 'select-one' }, { name: 'plan', type: 'select-one' }];
+  const submissions = [['constructor', 'toString'], ['constructor', 'toString'], ['__proto__', 'valueOf'],
+    ['__proto__', 'valueOf'], ['FR', 'pro'], ['FR', 'pro']];
+  const predictor = await createPredictor({}, submissions.map(([country, plan]) => [{ country, plan }, { fields }]));
+  
+  // 预测和填充计划不应抛出异常
+  await predictor.predict({ name: 'plan', type: 'select-one', value: '' }, { country: 'constructor' });
+  predictor.predictForm([{ name: 'country', value: 'hasOwnProperty' }, { name: 'plan', value: '' }]);
+  
+  const model = predictor.models.get('plan');
+  const restored = FieldPredictionModel.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+  const fromConstructor = model.predictCandidates({ country: 'constructor' });
+  const fromProto = restored.predictCandidates({ country: '__proto__' });
+  if (model.model.type !== 'decisionTree' || fromConstructor[0].value !== 'toString' || fromProto[0].value !== 'valueOf') {
+    throw new Error(`Unexpected predictions: ${JSON.stringify({ fromConstructor, fromProto })}`);
+  }
+  console.log('✓ Decision trees handle values named after Object.prototype members');
+} catch (error) {
+  console.error('✗ Decision tree with prototype-named values failed:', error);
+  process.exit(1);
+}
+
+// 检查K近邻按字段配置并给出加权的概率分布
+try {
+  const submissions = [['20', 'a@example.com'], ['22', 'a@example.com'], ['60', 'b@example.com'],
+    ['61', 'b@example.com'], ['62', 'b@example.com']];
+  const neighbors = await createPredictor({ models: { fields: { email: { k: 3 } } } },
+    submissions.map(([age, email]) => ({ age, plan: 'pro', email })));
+  
+  const model = neighbors.models.get('email');
+  const candidates = model.predictCandidates({ age: '21', plan: 'pro' });
+  const total = candidates.reduce((sum, candidate) => sum + candidate.probability, 0);
+  if (model.model.knn.k !== 3 || candidates[0].value !== 'a@example.com' ||
+      !(candidates[0].probability > 0.9 && candidates[0].probability < 1) || Math.abs(total - 1) > 1e-9) {
+    throw new Error(`Unexpected neighbours: ${JSON.stringify(candidates)}`);
+  }
+  
+  // 以Object.prototype成员命名的标签同样按权重投票
+  const labelled = new FieldPredictionModel('categorical', { algorithm: 'knn' });
+  await labelled.train([{ age: '20' }, { age: '21' }, { age: '60' }], ['constructor', 'constructor', '__proto__']);
+  const votes = labelled.predictCandidates({ age: '20' });
+  if (votes[0].value !== 'constructor' || votes.some(vote => !Number.isFinite(vote.probability))) {
+    throw new Error(`Unexpected votes: ${JSON.stringify(votes)}`);
+  }
+  console.log('✓ K-nearest neighbours vote by scaled distance');
+} catch (error) {
+  console.error('✗ K-nearest neighbours failed:', error);
+  process.exit(1);
+}
+
+// 检查按交叉验证结果为字段选择算法
+try {
+  // seats的取值各不相同，决策树无法划分，K近邻按数值距离可以预测
+  const fields = [{ name: 'plan', type: 'select-one' }];
+  const evaluated = await createPredictor({}, Array.from({ length: 12 }, (value, index) =>
+    [{ seats: String(index + 1), plan: index < 6 ? 'basic' : 'pro' }, { fields }]));
+  
+  const { plan } = evaluated.getModelAccuracy();
+  if (!plan || plan.algorithm !== 'knn' || plan.top1 <= plan.results.decisionTree.top1 ||
+      plan.top3 !== 1 || evaluated.models.get('plan').model.type !== 'knn') {
+    throw new Error(`Unexpected evaluation: ${JSON.stringify(plan)}`);
+  }
+  console.log('✓ Field algorithms are chosen by cross-validation');
+} catch (error) {
+  console.error('✗ Model evaluation failed:', error);
+  process.exit(1);
+}
+
+// 检查各类模型支持增量训练
+try {
+  const samples = [1, 2, 3, 4, 5, 6].map(quantity => ({
+    features: { quantity: String(quantity), country: quantity % 2 ? 'FR' : 'US' },
+    label: String(quantity * 20 + 5)
+  }));
+  
+  for (const [fieldType, algorithm] of [['numerical', 'regression'], ['text', 'textCompletion'],
+    ['categorical', 'decisionTree'], ['email', 'knn']]) {
+    const batch = new FieldPredictionModel(fieldType, { algorithm });
+    await batch.train(samples.map(sample => sample.features), samples.map(sample => sample.label));
+    
+    const online = new FieldPredictionModel(fieldType, { algorithm });
+    samples.forEach(sample => online.partialFit(sample));
+    
+    const query = { quantity: '3', country: 'FR' };
+    const expected = JSON.stringify(batch.predictCandidates(query, '4'));
+    const actual = JSON.stringify(online.predictCandidates(query, '4'));
+    if (online.model.type !== algorithm || online.samples !== 6 || actual !== expected) {
+      throw new Error(`Incremental ${algorithm} differs: ${actual} / ${expected}`);
+    }
+  }
+  
+  const counted = await createPredictor({}, [{ city: 'Paris' }, { city: 'Paris' }]);
+  const table = counted.predictionEngine.trainingData.get('city');
+  if (table.total !== 2 || table.values.Paris !== 2) {
+    throw new Error(`Unexpected count table: ${JSON.stringify(table)}`);
+  }
+  console.log('✓ Models and value counts are updated incrementally');
+} catch (error) {
+  console.error('✗ Incremental learning failed:', error);
+  process.exit(1);
+}
+
+// 检查预测缓存只以稳定的输入为键
+try {
+  let now = 0;
+  const predictor = await createPredictor({ environment: { now: () => now } }, [{ city: 'Paris', country: 'FR' }]);
+  
+  let misses = 0;
+  const predictFromTrainingData = predictor.predictionEngine._predictFromTrainingData.bind(predictor.predictionEngine);
+  predictor.predictionEngine._predictFromTrainingData = (...args) => {
+    misses++;
+    return predictFromTrainingData(...args);
+  };
+  
+  // 时间变化和被排除的字段不影响缓存，其他字段的值变化时重新预测
+  const field = { name: 'city', type: 'text', value: 'Pa' };
+  await predictor.predict(field, { country: 'FR', password: 'one' });
+  now += 12 * 60 * 60 * 1000;
+  await predictor.predict(field, { password: 'two', country: 'FR' });
+  const hits = misses;
+  await predictor.predict(field, { country: 'DE' });
+  if (hits !== 1 || misses !== 2) {
+    throw new Error(`Unexpected cache misses: ${hits}/${misses}`);
+  }
+  console.log('✓ Prediction cache keys ignore time-varying features');
+} catch (error) {
+  console.error('✗ Prediction cache failed:', error);
+  process.exit(1);
+}
+
+// 检查以Object.prototype成员命名的值按普通的值计数
+try {
+  const storage = new MemoryStorage();
+  const predictor = await createPredictor({ environment: { storage } },
+    ['constructor', 'constructor', '__proto__', 'toString'].map(city => ({ city })));
+  predictor.recordFeedback('city', 'constructor', 'accepted');
+  
+  // 重新加载后计数和反馈保持不变
+  const reloaded = await createPredictor({ environment: { storage } });
+  const table = reloaded.predictionEngine.trainingData.get('city');
+  const prediction = await reloaded.predict({ name: 'city', type: 'text', value: '' }, {});
+  const completion = reloaded.getInlineCompletion({ name: 'city', value: 'con' });
+  if (table.values.constructor !== 2 || table.values['__proto__'] !== 1 || table.total !== 4 ||
+      prediction.value !== 'constructor' || !Number.isFinite(prediction.confidence) ||
+      !completion || completion.value !== 'constructor') {
+    throw new Error(`Unexpected counts: ${JSON.stringify({ table, prediction, completion })}`);
+  }
+  console.log('✓ Values named after Object.prototype members are counted normally');
+} catch (error) {
+  console.error('✗ Prototype-named values failed:', error);
+  process.exit(1);
+}
+
+// 检查整表预测只使用计数，提交记录可以关闭
+try {
+  const storage = new MemoryStorage();
+  const options = { environment: { storage }, models: { historySize: 0 } };
+  const predictor = await createPredictor(options,
+    [{ country: 'FR', city: 'Paris' }, { country: 'DE', city: 'Berlin' }, { country: 'DE', city: 'Berlin' }]);
+  
+  // Paris 出现1次且与 fr 同时出现1次，权重 1 + 2 = 3，高于 Berlin 的 2
+  const reloaded = await (await createPredictor(options)).load();
+  const [city] = reloaded.predictForm([{ name: 'country', value: 'fr' }, { name: 'city', value: '' }]);
+  if (city.value !== 'Paris' || city.source !== 'context' || storage.getItem('smart-form-submission-history') !== null ||
+      predictor.predictionEngine.submissionHistory.length !== 0 || !predictor.models.has('city')) {
+    throw new Error(`Unexpected context prediction: ${JSON.stringify(city)}`);
+  }
+  
+  // 保存的提交少于已学习的提交时，增量训练的模型不会被最近的提交替换
+  const windowed = await createPredictor({ models: { historySize: 4 } },
+    [{ note: 'alpha' }, ...Array.from({ length: 11 }, (value, index) => ({ note: `note ${index + 1}` }))]);
+  const note = windowed.models.get('note');
+  if (note.predictCandidates({}, 'alp')[0].value !== 'alpha' || note.evaluation !== null || note.samples !== 12) {
+    throw new Error(`Incrementally trained model was replaced: ${JSON.stringify(note.predictCandidates({}, 'alp'))}`);
+  }
+  console.log('✓ Whole-form predictions use co-occurrence counts instead of stored submissions');
+} catch (error) {
+  console.error('✗ Co-occurrence counts failed:', error);
+  process.exit(1);
+}
+
+// 测试Worker模式
+try {
+  const storage = new MemoryStorage();
+  const options = { environment: { storage }, worker: { enabled: true, url: 'worker.js' } };
+  
+  globalThis.Worker = FakeWorker;
+  const predictor = await createPredictor(options, [], SmartFormPredictor);
+  delete globalThis.Worker;
+  
+  // 学习后主线程只导入Worker发回的字段状态，不重新加载存储
+  let reloads = 0;
+  predictor._loadStoredData = async () => { reloads++; };
+  predictor.predictionEngine._loadTrainingData = () => { reloads++; };
+  
+  await predictor.learnFromSubmission({ city: 'Paris' });
+  await predictor.learnFromSubmission({ city: 'Paris', password: 'secret' });
+  const prediction = await predictor.predict({ name: 'city', type: 'text', value: '' }, {});
+  const suggestions = await predictor.getSuggestions('city', 'Pa');
+  const completion = predictor.getInlineCompletion({ name: 'city', type: 'text', value: 'Pa' });
+  
+  // Worker写入的数据保存在页面的存储中，字段状态用于主线程中的行内补全等功能
+  const stored = storage.getItem('smart-form-training-data');
+  if (prediction.value !== 'Paris' || suggestions[0] !== 'Paris' || !completion || completion.value !== 'Paris' ||
+      !stored || stored.includes('secret') || !predictor.models.has('city') || predictor.patterns.has('password') ||
+      predictor.predictionEngine.trainingData.get('city').total !== 2 || reloads !== 0) {
+    throw new Error(`Unexpected worker results: ${JSON.stringify({ prediction, suggestions, completion, stored, reloads })}`);
+  }
+  await predictor.destroy();
+  if (!predictor.worker.worker.terminated) {
+    throw new Error('Worker was not terminated');
+  }
+  
+  // 销毁时主线程不会用自己过时的副本覆盖Worker保存的提交记录
+  const history = JSON.parse(storage.getItem('smart-form-submission-history'));
+  if (!history || history.length !== 2) {
+    throw new Error(`Submission history was lost on destroy: ${JSON.stringify(history)}`);
+  }
+  
+  // 没有Web Worker时在主线程执行
+  const warn = console.warn;
+  console.warn = () => {};
+  const inline = await createPredictor({ worker: options.worker }, [], SmartFormPredictor);
+  console.warn = warn;
+  await inline.learnFromSubmission({ city: 'Lyon' });
+  if (inline.worker !== null || (await inline.predict({ name: 'city', value: '' }, {})).value !== 'Lyon') {
+    throw new Error('Inline fallback failed');
+  }
+  console.log('✓ Worker mode proxies learning and prediction and falls back inline');
+} catch (error) {
+  console.error('✗ Worker mode failed:', error);
+  process.exit(1);
+}
+
+// 测试敏感字段的值不进入表单状态、特征和Worker消息
+try {
+  await withDom(async document => {
+    const form = h(document, 'form', { id: 'login' }, [
+      h(document, 'input', { name: 'city', value: 'Pa' }),
+      h(document, 'input', { name: 'password', type: 'password', value: 'hunter2' }),
+      h(document, 'input', { name: 'card', autocomplete: 'cc-number', value: '4111111111111111' }),
+      h(document, 'div', { 'data-smart-ignore': '' }, [h(document, 'input', { name: 'note', value: 'private' })])
+    ]);
+    document.body.appendChild(form);
+    const city = form.querySelector('[name="city"]');
+    const leaks = text => ['hunter2', '4111111111111111', 'private'].filter(value => text.includes(value));
+    
+    // 主线程预测：特征和预测缓存的键中都没有敏感值
+    const inline = await createPredictor({}, [], SmartFormPredictor);
+    const features = [];
+    const extractFeatures = inline.featureEngine.extractFeatures.bind(inline.featureEngine);
+    inline.featureEngine.extractFeatures = (field, formState) => {
+      const result = extractFeatures(field, formState);
+      features.push(result);
+      return result;
+    };
+    inline.attach(form);
+    city.dispatchEvent(new Event('input', { bubbles: true }));
+    await settle();
+    
+    const state = JSON.stringify(inline._getFormState(form));
+    const cacheKeys = JSON.stringify(Array.from(inline.predictionEngine.predictionCache.keys()));
+    if (features.length === 0 || !state.includes('city') ||
+        leaks(state + JSON.stringify(features) + cacheKeys).length > 0) {
+      throw new Error(`Sensitive values leaked: ${state} ${cacheKeys}`);
+    }
+    
+    // Worker模式：发送给Worker的消息中没有敏感值
+    globalThis.Worker = FakeWorker;
+    const predictor = await createPredictor({ worker: { enabled: true, url: 'worker.js' } }, [], SmartFormPredictor);
+    delete globalThis.Worker;
+    predictor.attach(form);
+    city.dispatchEvent(new Event('input', { bubbles: true }));
+    await settle();
+    
+    const messages = JSON.stringify(predictor.worker.worker.messages);
+    if (!messages.includes('"predict"') || leaks(messages).length > 0) {
+      throw new Error(`Sensitive values were sent to the worker: ${messages}`);
+    }
+    await inline.destroy();
+    await predictor.destroy();
+  });
+  console.log('✓ Sensitive fields are left out of the form state used for prediction');
+} catch (error) {
+  console.error('✗ Sensitive form state failed:', error);
+  process.exit(1);
+}
+
+// 测试按键记录
+try {
+  let now = 0;
+  const predictor = await createPredictor({ environment: { now: () => now } }, [{ city: 'Paris' }]);
+  
+  const field = { name: 'city', type: 'text', value: '' };
+  const engine = predictor.featureEngine;
+  engine.recordFocus(field);
+  now = 1500;
+  
+  // 每100毫秒键入一个字符，即600字符/分钟
+  for (const key of 'Parisian') {
+    field.value += key;
+    engine.recordKeystroke(field, key);
+    engine.recordInput(field, 'insertText');
+    now += 100;
+  }
+  const fast = await predictor.predict(field, {});
+  const behavior = engine.extractFeatures(field, {}).userBehavior;
+  if (fast.source !== 'typing' || Math.round(behavior.typingSpeed) !== 600 || behavior.hesitationTime !== 1500 ||
+      behavior.correctionPattern !== 'none' || behavior.inputMethod !== 'typed') {
+    throw new Error(`Unexpected fast typing features: ${JSON.stringify({ fast, behavior })}`);
+  }
+  
+  // 修正之后重新显示建议
+  field.value = field.value.slice(0, -1);
+  engine.recordKeystroke(field, 'Backspace');
+  engine.recordInput(field, 'deleteContentBackward');
+  const corrected = await predictor.predict(field, {});
+  
+  now += 2000;
+  field.value += ' Nord';
+  engine.recordInput(field, 'insertFromPaste');
+  if (corrected.source === 'typing' || engine.getCorrectionPattern(field) !== 'occasional' ||
+      engine.getInputMethod(field) !== 'mixed' || engine.isTypingConfidently(field, 0)) {
+    throw new Error('Corrections, pauses and pastes were not recorded');
+  }
+  console.log('✓ Keystroke telemetry suppresses suggestions while typing fast');
+} catch (error) {
+  console.error('✗ Keystroke telemetry failed:', error);
+  process.exit(1);
+}
+
+// 测试焦点访问顺序
+try {
+  let now = 0;
+  const predictor = await createPredictor({ environment: { now: () => now } });
+  const engine = predictor.featureEngine;
+  
+  // 先填邮箱再填姓名，最后回到邮箱修改
+  const visits = [['email', 3000], ['name', 1000], ['email', 500]];
+  for (const [name, dwell] of visits) {
+    engine.recordFocus({ name, value: '' });
+    now += dwell;
+    engine.recordBlur(name);
+  }
+  
+  const formState = { name: { value: 'Ada' }, email: { value: 'ada@example.com' } };
+  const sequence = engine.getFieldSequence(formState);
+  const timeSpent = engine.getTimeSpentPerField(formState);
+  if (sequence.join() !== 'email,name' || timeSpent.email !== 3500 || timeSpent.name !== 1000) {
+    throw new Error(`Unexpected focus features: ${JSON.stringify({ sequence, timeSpent })}`);
+  }
+  
+  await predictor.learnFromSubmission({ name: 'Ada', email: 'ada@example.com' });
+  const record = predictor.predictionEngine.submissionHistory[0];
+  const edges = Array.from(predictor.relationshipGraph.edges.values());
+  if (JSON.stringify(record.sequence) !== JSON.stringify(visits.map(([name, dwell]) => ({ name, dwell }))) ||
+      edges.length !== 1 || edges[0].from !== 'email' || edges[0].to !== 'name' || engine.focusHistory.length !== 0) {
+    throw new Error(`Fill order was not learned: ${JSON.stringify({ record, edges })}`);
+  }
+  console.log('✓ Submissions carry the actual focus order and dwell times');
+} catch (error) {
+  console.error('✗ Focus history failed:', error);
+  process.exit(1);
+}
+
+// 测试内置的建议下拉框
+try {
+  await withDom(async document => {
+    const predictor = await createPredictor({
+      ui: { renderSuggestions: true, animation: 'none' },
+      prediction: { confidenceThreshold: 0.5 }
+    }, [{ city: 'Paris' }, { city: 'Paris' }, { city: 'Prague' }], SmartFormPredictor);
+    const form = h(document, 'form', { id: 'trip' }, [h(document, 'input', { name: 'city' })]);
+    document.body.appendChild(form);
+    predictor.attach(form);
+    
+    const city = form.querySelector('input');
+    let changes = 0;
+    city.addEventListener('change', () => changes++);
+    city.value = 'P';
+    city.dispatchEvent(new Event('input', { bubbles: true, inputType: 'insertText' }));
+    await settle();
+    
+    const list = document.querySelector('.sfp-suggestions');
+    const items = list ? list.children.map(item => item.textContent) : [];
+    if (items.join() !== 'Paris,Prague' || !list.classList.contains('sfp-suggestions--visible')) {
+      throw new Error(`Unexpected dropdown: ${JSON.stringify(items)}`);
+    }
+    
+    // 点击建议项写入字段、触发change事件并高亮字段
+    list.children[1].dispatchEvent(new Event('mousedown'));
+    if (city.value !== 'Prague' || changes !== 1 || !city.classList.contains('sfp-predicted') ||
+        !list.classList.contains('sfp-suggestions--hidden')) {
+      throw new Error(`Suggestion was not applied: ${city.value}`);
+    }
+    
+    await predictor.destroy();
+    if (document.querySelector('.sfp-suggestions') !== null) {
+      throw new Error('Dropdown was not removed on destroy');
+    }
+  });
+  console.log('✓ Suggestion dropdown renders predictions and applies the selected one');
+} catch (error) {
+  console.error('✗ Suggestion dropdown failed:', error);
+  process.exit(1);
+}
+
+// 测试行内补全的幽灵文本
+try {
+  await withDom(async document => {
+    const predictor = await createPredictor({}, [{ city: 'Paris' }, { city: 'Paris' }], SmartFormPredictor);
+    const form = h(document, 'form', { id: 'trip' }, [h(document, 'input', { name: 'city' })]);
+    document.body.appendChild(form);
+    predictor.attach(form);
+    
+    const city = form.querySelector('input');
+    const type = async (value, inputType) => {
+      city.value = value;
+      city.dispatchEvent(new Event('input', { bubbles: true, inputType }));
+      await settle();
+    };
+    await type('Pa', 'insertText');
+    
+    const ghost = document.querySelector('.sfp-ghost-text');
+    if (!ghost || ghost.textContent !== 'ris' || document.querySelector('.sfp-ghost').style.display === 'none') {
+      throw new Error(`Unexpected ghost text: ${ghost && ghost.textContent}`);
+    }
+    
+    // 删除字符时不显示补全
+    await type('P', 'deleteContentBackward');
+    if (predictor.inlineCompletion.isVisible()) {
+      throw new Error('Ghost text was shown while deleting');
+    }
+    
+    // Tab接受补全，光标移到末尾
+    await type('Pa', 'insertText');
+    const tab = new Event('keydown', { bubbles: true, key: 'Tab' });
+    city.dispatchEvent(tab);
+    if (city.value !== 'Paris' || !tab.defaultPrevented || city.selectionStart !== 5 ||
+        document.querySelector('.sfp-ghost').style.display !== 'none') {
+      throw new Error(`Ghost text was not accepted: ${city.value}`);
+    }
+    await predictor.destroy();
+  });
+  console.log('✓ Inline ghost text completes the value and is accepted with Tab');
+} catch (error) {
+  console.error('✗ Inline completion failed:', error);
+  process.exit(1);
+}
+
+// 测试一键填充整个表单
+try {
+  await withDom(async document => {
+    const submission = { country: 'FR', city: 'Paris', plan: 'pro' };
+    const predictor = await createPredictor({}, [submission, submission], SmartFormPredictor);
+    const form = h(document, 'form', { id: 'signup' }, [
+      h(document, 'input', { name: 'country', value: 'FR' }),
+      h(document, 'input', { name: 'city' }),
+      h(document, 'select', { name: 'plan' }, [
+        h(document, 'option', { value: '' }),
+        h(document, 'option', { value: 'basic' }),
+        h(document, 'option', { value: 'pro' })
+      ]),
+      h(document, 'input', { name: 'password', type: 'password' })
+    ]);
+    document.body.appendChild(form);
+    
+    // dryRun只返回填充计划，不写入字段
+    const plan = await predictor.autofillForm(form, { dryRun: true });
+    const city = plan.fields.find(entry => entry.name === 'city');
+    if (!city || city.value !== 'Paris' || !city.apply || plan.applied || form.querySelector('[name="city"]').value !== '' ||
+        plan.fields.some(entry => entry.name === 'password' || entry.name === 'country') || plan.context.country !== 'FR') {
+      throw new Error(`Unexpected autofill plan: ${JSON.stringify(plan.fields.map(({ field, ...entry }) => entry))}`);
+    }
+    
+    let autofilled = null;
+    form.addEventListener('smart-form-autofill', event => { autofilled = event.detail.plan; });
+    await predictor.autofillForm(form);
+    if (form.querySelector('[name="city"]').value !== 'Paris' || form.querySelector('[name="plan"]').value !== 'pro' ||
+        !autofilled || !autofilled.applied) {
+      throw new Error('Autofill plan was not applied');
+    }
+  });
+  console.log('✓ Whole forms are autofilled from learned data');
+} catch (error) {
+  console.error('✗ Form autofill failed:', error);
+  process.exit(1);
+}
+
+// 测试监听DOM变化，自动接管之后渲染的表单
+try {
+  await withDom(async document => {
+    const predictor = await createPredictor({ watch: true }, [], SmartFormPredictor);
+    const log = console.log;
+    console.log = () => {};
+    await predictor.init('#checkout');
+    console.log = log;
+    
+    const form = h(document, 'form', { id: 'checkout' }, [h(document, 'input', { name: 'city' })]);
+    document.body.appendChild(h(document, 'div', {}, [form]));
+    await settle();
+    if (!predictor.forms.has(form)) {
+      throw new Error('Dynamically rendered form was not attached');
+    }
+    
+    // 已监控表单中新增的字段会通知UI层
+    let added = null;
+    form.addEventListener('smart-form-fields-added', event => { added = event.detail.fields; });
+    const zip = form.appendChild(h(document, 'input', { name: 'zip' }));
+    await settle();
+    if (!added || added.length !== 1 || added[0] !== zip) {
+      throw new Error('Added fields were not reported');
+    }
+    
+    // 从文档中移除的表单解除监控
+    form.parentNode.removeChild(form);
+    await settle();
+    if (predictor.forms.has(form)) {
+      throw new Error('Removed form is still attached');
+    }
+    await predictor.destroy();
+    if (predictor.observer !== null) {
+      throw new Error('Mutation observer was not disconnected');
+    }
+  });
+  console.log('✓ Watch mode attaches and detaches dynamically rendered forms');
+} catch (error) {
+  console.error('✗ Watch mode failed:', error);
+  process.exit(1);
+}
+
+// 测试生命周期：暂停、恢复、解除监控和销毁
+try {
+  await withDom(async document => {
+    const storage = new MemoryStorage();
+    const predictor = await createPredictor({ environment: { storage } }, [{ city: 'Paris' }], SmartFormPredictor);
+    const form = h(document, 'form', { id: 'trip' }, [h(document, 'input', { name: 'city' })]);
+    document.body.appendChild(form);
+    predictor.attach(form);
+    
+    const city = form.querySelector('input');
+    let predictions = 0;
+    const predict = predictor.predict.bind(predictor);
+    predictor.predict = (...args) => {
+      predictions++;
+      return predict(...args);
+    };
+    const interact = async value => {
+      city.value = value;
+      city.dispatchEvent(new Event('input', { bubbles: true, inputType: 'insertText' }));
+      form.dispatchEvent(new Event('submit'));
+      await settle();
+    };
+    
+    // 暂停期间既不预测也不学习
+    predictor.pause();
+    await interact('Lyon');
+    if (predictions !== 0 || predictor.predictionEngine.trainingData.get('id:trip::city')) {
+      throw new Error('Paused predictor still predicted or learned');
+    }
+    
+    predictor.resume();
+    await interact('Lyon');
+    if (predictions !== 1 || predictor.predictionEngine.trainingData.get('id:trip::city').total !== 1) {
+      throw new Error('Resumed predictor did not predict and learn');
+    }
+    
+    // 解除监控后不再处理该表单的事件
+    predictor.detach(form);
+    await interact('Nice');
+    if (predictions !== 1 || predictor.forms.size !== 0) {
+      throw new Error('Detached form was still handled');
+    }
+    
+    // 销毁后保存数据，不能再恢复或监控表单
+    await predictor.destroy();
+    predictor.resume();
+    predictor.attach(form);
+    const stored = storage.getItem('smart-form-training-data');
+    if (!predictor.paused || predictor.forms.size !== 0 || !stored.includes('Lyon') ||
+        predictor.predictionEngine.predictionCache.size !== 0) {
+      throw new Error('Destroyed predictor is still active');
+    }
+  });
+  console.log('✓ Lifecycle API pauses, resumes, detaches and destroys');
+} catch (error) {
+  console.error('✗ Lifecycle failed:', error);
+  process.exit(1);
+}
+
+// 测试建议的combobox语义和键盘导航
+try {
+  await withDom(async document => {
+    const predictor = await createPredictor({
+      ui: { renderSuggestions: true, animation: 'none' },
+      prediction: { confidenceThreshold: 0.5, autoComplete: 'off' }
+    }, [{ city: 'Paris' }, { city: 'Paris' }, { city: 'Prague' }], SmartFormPredictor);
+    const form = h(document, 'form', { id: 'trip' }, [h(document, 'input', { name: 'city' })]);
+    document.body.appendChild(form);
+    predictor.attach(form);
+    
+    const city = form.querySelector('input');
+    const press = key => {
+      const event = new Event('keydown', { bubbles: true, key });
+      city.dispatchEvent(event);
+      return event;
+    };
+    city.value = 'P';
+    city.dispatchEvent(new Event('input', { bubbles: true, inputType: 'insertText' }));
+    await new Promise(resolve => setTimeout(resolve, 60));
+    
+    const list = document.querySelector('[role="listbox"]');
+    const aria = () => ['role', 'aria-autocomplete', 'aria-controls', 'aria-expanded', 'aria-activedescendant']
+      .map(name => city.getAttribute(name)).join();
+    if (!list || aria() !== `combobox,list,${list.id},true,` ||
+        document.querySelector('[role="status"]').textContent !== '2 suggestions available, use up and down arrows to navigate') {
+      throw new Error(`Unexpected combobox state: ${aria()}`);
+    }
+    
+    // 方向键循环移动选中项
+    press('ArrowDown');
+    press('ArrowDown');
+    press('ArrowDown');
+    const options = list.children.map(option => option.getAttribute('aria-selected')).join();
+    if (city.getAttribute('aria-activedescendant') !== list.children[0].id || options !== 'true,false') {
+      throw new Error(`Unexpected active option: ${city.getAttribute('aria-activedescendant')} / ${options}`);
+    }
+    
+    // Escape关闭，方向键重新打开，Enter选中
+    const escape = press('Escape');
+    if (!escape.defaultPrevented || city.getAttribute('aria-expanded') !== 'false' || city.hasAttribute('aria-activedescendant')) {
+      throw new Error('Escape did not close the suggestions');
+    }
+    press('ArrowDown');
+    press('ArrowDown');
+    press('ArrowDown');
+    const enter = press('Enter');
+    if (!enter.defaultPrevented || city.value !== 'Prague' || city.getAttribute('aria-expanded') !== 'false') {
+      throw new Error(`Enter did not select the active suggestion: ${city.value}`);
+    }
+    
+    // 没有选中项时不拦截Enter；解除监控时移除添加的属性
+    if (press('Enter').defaultPrevented) {
+      throw new Error('Enter was intercepted without an active suggestion');
+    }
+    predictor.detach(form);
+    if (aria() !== ',,,,') {
+      throw new Error(`ARIA attributes were not released: ${aria()}`);
+    }
+  });
+  console.log('✓ Suggestions expose combobox semantics and keyboard navigation');
+} catch (error) {
+  console.error('✗ Accessible suggestions failed:', error);
+  process.exit(1);
+}
+
+// 测试建议的反馈调整之后的排序
+try {
+  await withDom(async document => {
+    const predictor = await createPredictor({
+      ui: { renderSuggestions: true, animation: 'none' },
+      prediction: { confidenceThreshold: 0.3, autoComplete: 'off', suppressWhileTyping: false }
+    }, ['Paris', 'Paris', 'Prague'].map(city => [{ city }, { scope: 'id:trip' }]), SmartFormPredictor);
+    const form = h(document, 'form', { id: 'trip' }, [h(document, 'input', { name: 'city' })]);
+    document.body.appendChild(form);
+    predictor.attach(form);
+    
+    const city = form.querySelector('input');
+    let suggested = null;
+    city.addEventListener('smart-form-suggestion', event => { suggested = event.detail.prediction.value; });
+    const type = async value => {
+      city.value = value;
+      city.dispatchEvent(new Event('input', { bubbles: true, inputType: 'insertText' }));
+      await settle();
+    };
+    const feedback = () => predictor.predictionEngine.feedback.get('id:trip::city') || {};
+    
+    // 提交的值与展示的建议不同，记为被改写
+    await type('P');
+    city.value = 'Nice';
+    form.dispatchEvent(new Event('submit'));
+    await settle();
+    if (suggested !== 'Paris' || !feedback().Paris || feedback().Paris.rejected !== 1) {
+      throw new Error(`Override was not recorded: ${JSON.stringify(feedback())}`);
+    }
+    
+    // 再按Escape关闭一次后，Paris的得分 2 / (2 + 1) 低于Prague的 1
+    await type('P');
+    city.dispatchEvent(new Event('keydown', { bubbles: true, key: 'Escape' }));
+    await type('P');
+    if (feedback().Paris.rejected !== 2 || suggested !== 'Prague') {
+      throw new Error(`Rejected suggestion was not re-ranked: ${suggested} / ${JSON.stringify(feedback())}`);
+    }
+    
+    // 选中的建议记为接受
+    city.dispatchEvent(new Event('keydown', { bubbles: true, key: 'ArrowDown' }));
+    city.dispatchEvent(new Event('keydown', { bubbles: true, key: 'Enter' }));
+    if (city.value !== 'Prague' || feedback().Prague.accepted !== 1) {
+      throw new Error(`Acceptance was not recorded: ${JSON.stringify(feedback())}`);
+    }
+  });
+  console.log('✓ Accepted and rejected suggestions re-rank later predictions');
+} catch (error) {
+  console.error('✗ Suggestion feedback failed:', error);
+  process.exit(1);
+}
+
+// 测试contenteditable区域、shadow root中的控件和自定义元素
+try {
+  await withDom(async document => {
+    const predictor = await createPredictor({}, [[{ nickname: 'Ada' }, { scope: 'id:profile' }]], SmartFormPredictor);
+    predictor.registerFieldAdapter('star-rating', {
+      getValue: element => element.getAttribute('value') || '',
+      setValue: (element, value) => element.setAttribute('value', value)
+    });
+    
+    const host = h(document, 'x-nickname', { name: 'nickname' });
+    const nickname = host.attachShadow({ mode: 'open' }).appendChild(h(document, 'input'));
+    const bio = h(document, 'div', { contenteditable: 'true', name: 'bio' });
+    const rating = h(document, 'star-rating', { name: 'rating', value: '4' });
+    const form = h(document, 'form', { id: 'profile' }, [h(document, 'input', { name: 'city', value: 'Paris' }), host, bio, rating]);
+    document.body.appendChild(form);
+    predictor.attach(form);
+    
+    // shadow root中的输入事件冒泡到表单，按宿主元素的name预测
+    let suggestion = null;
+    nickname.addEventListener('smart-form-suggestion', event => { suggestion = event.detail; });
+    nickname.value = 'A';
+    nickname.dispatchEvent(new Event('input', { bubbles: true, inputType: 'insertText' }));
+    await settle();
+    if (!suggestion || suggestion.fieldName !== 'nickname' || suggestion.prediction.value !== 'Ada') {
+      throw new Error(`Unexpected shadow root suggestion: ${JSON.stringify(suggestion && suggestion.prediction)}`);
+    }
+    
+    // 通过字段适配器读写，提交时收集FormData不包含的字段
+    predictor.setFieldValue(bio, 'Hello');
+    predictor.setFieldValue(nickname, 'Ada');
+    form.dispatchEvent(new Event('submit'));
+    await settle();
+    const learned = ['city', 'nickname', 'bio', 'rating'].map(name =>
+      Object.keys(predictor.predictionEngine.trainingData.get(`id:profile::${name}`).values).join());
+    if (bio.textContent !== 'Hello' || learned.join('|') !== 'Paris|Ada|Hello|4') {
+      throw new Error(`Unexpected submission: ${JSON.stringify(learned)}`);
+    }
+  });
+  console.log('✓ contenteditable regions, shadow roots and custom elements are supported');
+} catch (error) {
+  console.error('✗ Custom field support failed:', error);
+  process.exit(1);
+}
+
+// 测试Vue指令和Element UI表单适配器
+try {
+  await withDom(async document => {
+    const predictor = await createPredictor({}, [], SmartFormPredictor);
+    const directive = createSmartPredictDirective(predictor);
+    
+    // 指令为el-input内部的原生控件设置name，并只解除由指令开始监控的表单
+    const wrapper = h(document, 'div', { class: 'el-input' }, [h(document, 'input')]);
+    const form = h(document, 'form', { id: 'trip' }, [wrapper]);
+    document.body.appendChild(form);
+    directive.mounted(wrapper, { value: 'city' });
+    const attached = predictor.forms.has(form);
+    directive.unmounted(wrapper);
+    if (wrapper.querySelector('input').getAttribute('name') !== 'city' || !attached || predictor.forms.has(form)) {
+      throw new Error('Directive did not name the control or manage the form');
+    }
+    
+    // el-form以表单项的prop作为字段名，学习el-form的数据模型
+    const items = [['city', 'Paris'], ['zip', '75001']].map(([prop, fieldValue]) =>
+      ({ prop, fieldValue, $el: h(document, 'div', {}, [h(document, 'input')]) }));
+    const handlers = [];
+    const formVm = {
+      $el: h(document, 'form', { id: 'address' }, items.map(item => item.$el)),
+      fields: items,
+      $on: (name, handler) => handlers.push(handler),
+      $off: (name, handler) => handlers.splice(handlers.indexOf(handler), 1),
+      $nextTick: callback => callback()
+    };
+    const binding = bindElementForm(predictor, formVm);
+    await binding.learn();
+    const names = items.map(item => item.$el.querySelector('input').getAttribute('name')).join();
+    const learned = predictor.predictionEngine.trainingData.get('id:address::zip');
+    binding.destroy();
+    if (names !== 'city,zip' || !learned || learned.values['75001'] !== 1 || handlers.length !== 0 ||
+        predictor.forms.has(formVm.$el)) {
+      throw new Error(`Unexpected el-form binding: ${names}`);
+    }
+  });
+  console.log('✓ Vue directive and Element UI binding attach forms and learn');
+} catch (error) {
+  console.error('✗ Vue adapter failed:', error);
+  process.exit(1);
+}
+
+// 测试React hook
+try {
+  await withDom(async document => {
+    globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+    const predictor = await createPredictor({ prediction: { suppressWhileTyping: false } },
+      ['Paris', 'Paris', 'Prague'].map(city => [{ city }, { scope: 'trip' }]), SmartFormPredictor);
+    
+    let hook = null;
+    const Trip = () => {
+      hook = useSmartPredictor(predictor, { scope: 'trip', minConfidence: 0.5 });
+      return createElement('input', hook.register('city'));
+    };
+    const city = h(document, 'input', { name: 'city' });
+    let renderer = null;
+    await act(async () => {
+      renderer = TestRenderer.create(createElement(Trip), { createNodeMock: () => city });
+    });
+    
+    const type = value => act(async () => {
+      city.value = value;
+      city.dispatchEvent(new Event('input', { bubbles: true }));
+      await settle();
+    });
+    await type('P');
+    if (hook.fieldName !== 'city' || hook.suggestions.map(item => item.value).join() !== 'Paris,Prague') {
+      throw new Error(`Unexpected suggestions: ${JSON.stringify(hook.suggestions)}`);
+    }
+    
+    // 接受建议时写入字段并记录反馈，写入触发的input事件不会重新预测
+    await act(async () => hook.accept('Prague'));
+    const feedback = predictor.predictionEngine.feedback.get('trip::city');
+    if (city.value !== 'Prague' || hook.suggestions.length !== 0 || feedback.Prague.accepted !== 1) {
+      throw new Error(`Suggestion was not accepted: ${city.value}`);
+    }
+    
+    // 卸载后移除监听器
+    await act(async () => renderer.unmount());
+    await type('P');
+    if (hook.suggestions.length !== 0) {
+      throw new Error('Unmounted hook still predicts');
+    }
+    delete globalThis.IS_REACT_ACT_ENVIRONMENT;
+  });
+  console.log('✓ React hook exposes suggestions and accepts them');
+} catch (error) {
+  console.error('✗ React adapter failed:', error);
+  process.exit(1);
+}
+
 console.log('All basic tests passed!');
\ No newline at end of file
@@ -0,0 +1,555 @@
+// 测试用的最小DOM实现，只覆盖预测器用到的接口，不依赖jsdom
+
+// 已创建的MutationObserver
+const observers = new Set();
+
+/**
+ * 把驼峰形式的dataset键转换为data-*属性名
+ * @param {string} key - dataset键
+ * @returns {string} 属性名
+ */
+function toDataAttribute(key) {
+  return `data-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+}
+
+/**
+ * 判断元素是否匹配简单选择器：标签、#id、.class、[attr]、[attr="value"]、*，以及逗号分隔的列表
+ * @param {StubElement} element - 元素
+ * @param {string} selector - 选择器
+ * @returns {boolean} 是否匹配
+ */
+function matchesSelector(element, selector) {
+  return selector.split(',').some(part => {
+    const tokens = part.trim().match(/^[\w-]+|\*|#[\w-]+|\.[\w-]+|\[[^\]]+\]/g) || [];
+    if (tokens.join('') !== part.trim()) {
+      throw new SyntaxError(`Unsupported selector: ${selector}`);
+    }
+    
+    return tokens.every(token => {
+      if (token === '*') return true;
+      if (token[0] === '#') return element.id === token.slice(1);
+      if (token[0] === '.') return element.classList.contains(token.slice(1));
+      if (token[0] === '[') {
+        const [, name, value] = token.match(/^\[([\w-]+)(?:="?([^"]*)"?)?\]$/);
+        return value === undefined ? element.hasAttribute(name) : element.getAttribute(name) === value;
+      }
+      return element.localName === token.toLowerCase();
+    });
+  });
+}
+
+/**
+ * 通知观察目标包含该节点的MutationObserver
+ * @param {StubNode} parent - 发生变化的父节点
+ * @param {Object} record - 变化记录 { addedNodes, removedNodes }
+ */
+function notifyObservers(parent, record) {
+  observers.forEach(observer => {
+    if (observer.target && (observer.target === parent || observer.target.contains(parent))) {
+      observer.queue(record);
+    }
+  });
+}
+
+/**
+ * 事件
+ */
+export class StubEvent {
+  constructor(type, init = {}) {
+    this.type = type;
+    this.bubbles = Boolean(init.bubbles);
+    this.detail = init.detail === undefined ? null : init.detail;
+    this.key = init.key;
+    this.shiftKey = Boolean(init.shiftKey);
+    this.inputType = init.inputType;
+    this.defaultPrevented = false;
+    this.target = null;
+    this.currentTarget = null;
+    this._path = [];
+  }
+  
+  preventDefault() {
+    this.defaultPrevented = true;
+  }
+  
+  composedPath() {
+    return this._path.slice();
+  }
+}
+
+/**
+ * 自定义事件
+ */
+export class StubCustomEvent extends StubEvent {}
+
+/**
+ * 节点基类：树结构、事件分发和查询
+ */
+class StubNode {
+  constructor(nodeType) {
+    this.nodeType = nodeType;
+    this.parentNode = null;
+    this.childNodes = [];
+    this.listeners = new Map();
+  }
+  
+  get children() {
+    return this.childNodes.filter(node => node.nodeType === 1);
+  }
+  
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+  
+  get isConnected() {
+    const root = this.getRootNode();
+    if (root.nodeType === 9) return true;
+    return Boolean(root.host && root.host.isConnected);
+  }
+  
+  appendChild(node) {
+    if (node.parentNode) {
+      node.parentNode.removeChild(node);
+    }
+    node.parentNode = this;
+    this.childNodes.push(node);
+    notifyObservers(this, { addedNodes: [node], removedNodes: [] });
+    return node;
+  }
+  
+  removeChild(node) {
+    this.childNodes = this.childNodes.filter(child => child !== node);
+    node.parentNode = null;
+    notifyObservers(this, { addedNodes: [], removedNodes: [node] });
+    return node;
+  }
+  
+  contains(node) {
+    for (let current = node; current; current = current.parentNode) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+  
+  getRootNode() {
+    let node = this;
+    while (node.parentNode) {
+      node = node.parentNode;
+    }
+    return node;
+  }
+  
+  querySelectorAll(selector) {
+    const result = [];
+    const visit = node => node.children.forEach(child => {
+      if (matchesSelector(child, selector)) {
+        result.push(child);
+      }
+      visit(child);
+    });
+    visit(this);
+    return result;
+  }
+  
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+  
+  addEventListener(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+  }
+  
+  removeEventListener(type, listener) {
+    if (this.listeners.has(type)) {
+      this.listeners.get(type).delete(listener);
+    }
+  }
+  
+  /**
+   * 分发事件，冒泡时穿过shadow root到达宿主元素，监听器看到的target按所在的树重新指向宿主
+   * @param {StubEvent} event - 事件
+   * @returns {boolean} 是否未被取消
+   */
+  dispatchEvent(event) {
+    const path = [];
+    for (let node = this; node; node = node.parentNode || node.host || null) {
+      path.push(node);
+    }
+    event._path = path;
+    
+    for (const node of event.bubbles ? path : [this]) {
+      let target = this;
+      while (target.getRootNode().host && !target.getRootNode().contains(node)) {
+        target = target.getRootNode().host;
+      }
+      
+      event.target = target;
+      event.currentTarget = node;
+      Array.from(node.listeners.get(event.type) || []).forEach(listener => listener.call(node, event));
+    }
+    
+    event.currentTarget = null;
+    return !event.defaultPrevented;
+  }
+}
+
+/**
+ * 元素
+ */
+export class StubElement extends StubNode {
+  constructor(tagName, ownerDocument) {
+    super(1);
+    this.localName = tagName.toLowerCase();
+    this.tagName = tagName.toUpperCase();
+    this.ownerDocument = ownerDocument;
+    this.attributes = new Map();
+    this.style = {};
+    this.shadowRoot = null;
+    this.scrollLeft = 0;
+    this._text = '';
+    
+    this.dataset = new Proxy({}, {
+      get: (target, key) => typeof key === 'string' && this.hasAttribute(toDataAttribute(key)) ?
+        this.getAttribute(toDataAttribute(key)) : undefined,
+      set: (target, key, value) => {
+        this.setAttribute(toDataAttribute(key), value);
+        return true;
+      }
+    });
+    
+    const element = this;
+    this.classList = {
+      contains: name => element.className.split(/\s+/).includes(name),
+      add: name => {
+        if (!element.classList.contains(name)) {
+          element.className = `${element.className} ${name}`.trim();
+        }
+      },
+      remove: name => {
+        element.className = element.className.split(/\s+/).filter(item => item && item !== name).join(' ');
+      },
+      toggle: (name, force = !element.classList.contains(name)) => {
+        if (force) {
+          element.classList.add(name);
+        } else {
+          element.classList.remove(name);
+        }
+        return force;
+      }
+    };
+  }
+  
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+  
+  set id(value) {
+    this.setAttribute('id', value);
+  }
+  
+  get className() {
+    return this.getAttribute('class') || '';
+  }
+  
+  set className(value) {
+    this.setAttribute('class', value);
+  }
+  
+  get textContent() {
+    return this._text + this.childNodes.map(node => node.textContent).join('');
+  }
+  
+  set textContent(value) {
+    this.childNodes.slice().forEach(node => this.removeChild(node));
+    this._text = String(value);
+  }
+  
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+  
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+  
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+  
+  removeAttribute(name) {
+    this.attributes.delete(name);
+  }
+  
+  matches(selector) {
+    return matchesSelector(this, selector);
+  }
+  
+  closest(selector) {
+    for (let node = this; node && node.nodeType === 1; node = node.parentNode) {
+      if (node.matches(selector)) return node;
+    }
+    return null;
+  }
+  
+  attachShadow() {
+    this.shadowRoot = new StubShadowRoot(this);
+    return this.shadowRoot;
+  }
+  
+  focus() {
+    this.getRootNode().activeElement = this;
+  }
+  
+  getBoundingClientRect() {
+    return { left: 0, top: 0, right: 200, bottom: 24, width: 200, height: 24 };
+  }
+  
+  scrollIntoView() {}
+}
+
+/**
+ * 表单控件：input、textarea和select
+ */
+export class StubControl extends StubElement {
+  constructor(tagName, ownerDocument) {
+    super(tagName, ownerDocument);
+    this._value = '';
+    this.checked = false;
+    this.selected = false;
+    this.labels = [];
+    this.selectionStart = 0;
+    this.selectionEnd = 0;
+  }
+  
+  get name() {
+    return this.getAttribute('name') || '';
+  }
+  
+  set name(value) {
+    this.setAttribute('name', value);
+  }
+  
+  get type() {
+    if (this.localName === 'textarea') return 'textarea';
+    if (this.localName === 'select') return this.hasAttribute('multiple') ? 'select-multiple' : 'select-one';
+    return (this.getAttribute('type') || 'text').toLowerCase();
+  }
+  
+  set type(value) {
+    this.setAttribute('type', value);
+  }
+  
+  get value() {
+    if (this.localName === 'select') {
+      const option = this.selectedOptions[0] || this.options[0];
+      return option ? option.value : '';
+    }
+    if (this.localName === 'option') return this.hasAttribute('value') ? this.getAttribute('value') : this.textContent;
+    if (this.type === 'checkbox' || this.type === 'radio') return this.getAttribute('value') || 'on';
+    return this._value;
+  }
+  
+  set value(value) {
+    if (this.localName === 'select') {
+      this.options.forEach(option => {
+        option.selected = option.value === String(value);
+      });
+      return;
+    }
+    if (this.localName === 'option' || this.type === 'checkbox' || this.type === 'radio') {
+      this.setAttribute('value', value);
+      return;
+    }
+    this._value = String(value);
+    this.selectionStart = this.selectionEnd = this._value.length;
+  }
+  
+  get disabled() {
+    return this.hasAttribute('disabled');
+  }
+  
+  get readOnly() {
+    return this.hasAttribute('readonly');
+  }
+  
+  get options() {
+    return this.querySelectorAll('option');
+  }
+  
+  get selectedOptions() {
+    return this.options.filter(option => option.selected);
+  }
+  
+  // 与浏览器一致，shadow root中的控件不属于外部表单
+  get form() {
+    return this.closest('form');
+  }
+  
+  setSelectionRange(start, end) {
+    this.selectionStart = start;
+    this.selectionEnd = end;
+  }
+}
+
+/**
+ * 表单
+ */
+export class StubForm extends StubElement {
+  get elements() {
+    return this.querySelectorAll('input, textarea, select');
+  }
+}
+
+/**
+ * Shadow root
+ */
+export class StubShadowRoot extends StubNode {
+  constructor(host) {
+    super(11);
+    this.host = host;
+    this.activeElement = null;
+  }
+}
+
+/**
+ * 文档
+ */
+export class StubDocument extends StubNode {
+  constructor() {
+    super(9);
+    this.activeElement = null;
+    this.documentElement = this.appendChild(this.createElement('html'));
+    this.head = this.documentElement.appendChild(this.createElement('head'));
+    this.body = this.documentElement.appendChild(this.createElement('body'));
+  }
+  
+  createElement(tagName) {
+    const name = tagName.toLowerCase();
+    if (name === 'form') return new StubForm(name, this);
+    if (['input', 'textarea', 'select', 'option'].includes(name)) return new StubControl(name, this);
+    return new StubElement(name, this);
+  }
+  
+  getElementById(id) {
+    return this.querySelector(`#${id}`);
+  }
+}
+
+/**
+ * MutationObserver，在微任务中批量投递变化记录
+ */
+export class StubMutationObserver {
+  constructor(callback) {
+    this.callback = callback;
+    this.target = null;
+    this.records = [];
+  }
+  
+  observe(target) {
+    this.target = target;
+    observers.add(this);
+  }
+  
+  disconnect() {
+    this.target = null;
+    this.records = [];
+    observers.delete(this);
+  }
+  
+  queue(record) {
+    if (this.records.length === 0) {
+      queueMicrotask(() => {
+        const records = this.records;
+        this.records = [];
+        if (this.target && records.length > 0) {
+          this.callback(records, this);
+        }
+      });
+    }
+    this.records.push(record);
+  }
+}
+
+/**
+ * FormData，按浏览器的规则收集表单控件的提交值
+ */
+export class StubFormData {
+  constructor(form) {
+    this.data = [];
+    form.elements.forEach(field => {
+      if (!field.name || field.disabled || ['submit', 'button', 'reset', 'image', 'file'].includes(field.type)) return;
+      if ((field.type === 'checkbox' || field.type === 'radio') && !field.checked) return;
+      
+      if (field.type === 'select-multiple') {
+        field.selectedOptions.forEach(option => this.data.push([field.name, option.value]));
+      } else {
+        this.data.push([field.name, field.value]);
+      }
+    });
+  }
+  
+  entries() {
+    return this.data[Symbol.iterator]();
+  }
+}
+
+/**
+ * 安装全局的document、window和事件类，返回恢复原有全局对象的函数
+ * @returns {Object} { document, restore }
+ */
+export function installDom() {
+  const document = new StubDocument();
+  const globals = {
+    document: document,
+    window: { pageXOffset: 0, pageYOffset: 0, getComputedStyle: () => ({}) },
+    Event: StubEvent,
+    CustomEvent: StubCustomEvent,
+    MutationObserver: StubMutationObserver,
+    FormData: StubFormData
+  };
+  
+  const previous = {};
+  for (const [name, value] of Object.entries(globals)) {
+    previous[name] = Object.getOwnPropertyDescriptor(globalThis, name);
+    Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+  }
+  
+  const restore = () => {
+    observers.clear();
+    for (const [name, descriptor] of Object.entries(previous)) {
+      if (descriptor) {
+        Object.defineProperty(globalThis, name, descriptor);
+      } else {
+        delete globalThis[name];
+      }
+    }
+  };
+  
+  return { document, restore };
+}
+
+/**
+ * 创建元素并设置属性
+ * @param {StubDocument} document - 文档
+ * @param {string} tagName - 标签名
+ * @param {Object} attributes - 属性
+ * @param {Array<StubElement>} children - 子元素
+ * @returns {StubElement} 元素
+ */
+export function h(document, tagName, attributes = {}, children = []) {
+  const element = document.createElement(tagName);
+  for (const [name, value] of Object.entries(attributes)) {
+    if (name === 'value' && element instanceof StubControl) {
+      element.value = value;
+    } else if (name === 'checked' || name === 'selected') {
+      element[name] = value;
+    } else {
+      element.setAttribute(name, value);
+    }
+  }
+  children.forEach(child => element.appendChild(child));
+  return element;
+}